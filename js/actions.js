@@ -0,0 +1,189 @@
+/**
+ * actions.js - Write operations on Eagle items
+ * Thin wrappers around the Eagle item API used by duplicate resolution,
+ * tagging and bulk actions on results.
+ *
+ * The last write is kept as an undo record: the changed field's previous
+ * value for every item it touched. Trashing can't be undone through the
+ * API, so its record only says what was trashed.
+ */
+
+const Actions = {
+
+    _undo: null,  // { label, field, snapshot: [{ id, value }] } or { label, trashed: [] }
+
+    /**
+     * Fetch Eagle item instances (with save/moveToTrash) by ID
+     */
+    async getItems(ids) {
+        if (!ids || ids.length === 0) return [];
+        if (eagle.item.getByIds) {
+            return (await eagle.item.getByIds(ids)) || [];
+        }
+        const items = [];
+        for (const id of ids) {
+            try {
+                const item = await eagle.item.getById(id);
+                if (item) items.push(item);
+            } catch (e) {}
+        }
+        return items;
+    },
+
+    /**
+     * Change one field on items and save them, recording the old values for undo
+     * @param {string[]} ids
+     * @param {string} label - Undo description
+     * @param {string} field - 'tags' | 'folders' | 'star'
+     * @param {Function} change - (item) => new value, or undefined to leave the item alone
+     * @returns {Promise<string[]>} IDs actually updated
+     */
+    async _update(ids, label, field, change) {
+        const items = await Actions.getItems(ids);
+        const snapshot = [];
+        const updated = [];
+        for (const item of items) {
+            const before = item[field];
+            const value = change(item);
+            if (value === undefined) continue;
+            try {
+                item[field] = value;
+                await item.save();
+                snapshot.push({ id: item.id, value: Array.isArray(before) ? before.slice() : before });
+                updated.push(item.id);
+            } catch (e) {
+                console.warn(`Actions: Failed to update ${field} of item:`, item.id, e.message);
+            }
+        }
+        if (snapshot.length > 0) Actions._undo = { label, field, snapshot };
+        return updated;
+    },
+
+    /**
+     * Move items to the Eagle trash
+     * @returns {Promise<string[]>} IDs actually trashed
+     */
+    async moveToTrash(ids) {
+        const items = await Actions.getItems(ids);
+        const trashed = [];
+        for (const item of items) {
+            try {
+                await item.moveToTrash();
+                trashed.push(item.id);
+            } catch (e) {
+                console.warn('Actions: Failed to trash item:', item.id, e.message);
+            }
+        }
+        if (trashed.length > 0) {
+            Actions._undo = { label: `Trashed ${trashed.length} items`, trashed };
+        }
+        return trashed;
+    },
+
+    /**
+     * Add tags to items (existing tags are kept)
+     * @returns {Promise<string[]>} IDs actually updated
+     */
+    async addTags(ids, tags) {
+        return Actions._update(ids, `Added tags ${tags.join(', ')}`, 'tags', (item) => {
+            const current = item.tags || [];
+            const missing = tags.filter(tag => !current.includes(tag));
+            return missing.length > 0 ? current.concat(missing) : undefined;
+        });
+    },
+
+    /**
+     * Add different tags to each item, as one undoable write
+     * @param {Map<string, string[]>} tagsById - item ID -> tags to add
+     * @returns {Promise<string[]>} IDs actually updated
+     */
+    async addTagsByItem(tagsById) {
+        return Actions._update(Array.from(tagsById.keys()), `Tagged ${tagsById.size} items`, 'tags', (item) => {
+            const current = item.tags || [];
+            const missing = (tagsById.get(item.id) || []).filter(tag => !current.includes(tag));
+            return missing.length > 0 ? current.concat(missing) : undefined;
+        });
+    },
+
+    /**
+     * Remove tags from items (case-insensitive)
+     * @returns {Promise<string[]>} IDs actually updated
+     */
+    async removeTags(ids, tags) {
+        const remove = new Set(tags.map(tag => tag.toLowerCase()));
+        return Actions._update(ids, `Removed tags ${tags.join(', ')}`, 'tags', (item) => {
+            const current = item.tags || [];
+            const kept = current.filter(tag => !remove.has(tag.toLowerCase()));
+            return kept.length < current.length ? kept : undefined;
+        });
+    },
+
+    /**
+     * Add items to a folder (they stay in their other folders)
+     * @returns {Promise<string[]>} IDs actually updated
+     */
+    async addToFolder(ids, folderId, folderName) {
+        return Actions._update(ids, `Added to ${folderName || 'folder'}`, 'folders', (item) => {
+            const current = item.folders || [];
+            return current.includes(folderId) ? undefined : current.concat([folderId]);
+        });
+    },
+
+    /**
+     * Create a folder and add the items to it
+     * Undo takes the items out again; the (then empty) folder is left in place.
+     * @returns {Promise<{folder: Object, updated: string[]}>}
+     */
+    async createFolderWith(ids, name) {
+        const folder = await eagle.folder.create({ name });
+        const updated = await Actions.addToFolder(ids, folder.id, name);
+        return { folder, updated };
+    },
+
+    /**
+     * Set the star rating of items
+     * @param {number} star - 0 (none) to 5
+     * @returns {Promise<string[]>} IDs actually updated
+     */
+    async setRating(ids, star) {
+        const rating = Math.max(0, Math.min(5, parseInt(star) || 0));
+        return Actions._update(ids, rating > 0 ? `Rated ${rating} stars` : 'Cleared rating', 'star', (item) =>
+            (item.star || 0) === rating ? undefined : rating);
+    },
+
+    /**
+     * The last write, or null
+     * @returns {{label: string, undoable: boolean}|null}
+     */
+    getUndo() {
+        const record = Actions._undo;
+        if (!record) return null;
+        return { label: record.label, undoable: !!record.snapshot };
+    },
+
+    /**
+     * Restore the values the last write replaced
+     * @returns {Promise<string[]>} IDs restored
+     */
+    async undo() {
+        const record = Actions._undo;
+        if (!record || !record.snapshot) return [];
+        Actions._undo = null;
+
+        const previous = new Map(record.snapshot.map(s => [s.id, s.value]));
+        const items = await Actions.getItems(Array.from(previous.keys()));
+        const restored = [];
+        for (const item of items) {
+            try {
+                item[record.field] = previous.get(item.id);
+                await item.save();
+                restored.push(item.id);
+            } catch (e) {
+                console.warn('Actions: Failed to restore item:', item.id, e.message);
+            }
+        }
+        return restored;
+    }
+};
+
+window.Actions = Actions;
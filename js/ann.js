@@ -0,0 +1,411 @@
+/**
+ * ann.js - Approximate nearest-neighbour index over embeddings
+ * IVF (inverted file): k-means centroids partition the embedding space,
+ * a query only visits the few closest partitions to build a shortlist.
+ *
+ * Vectors are assigned incrementally as they are added; the centroids are
+ * (re)trained in the background once the library outgrows them.
+ * Only embeddings from the active model are indexed (see setModel).
+ * Persisted next to the binary cache as ann.json + ann-centroids.bin.
+ */
+
+// fs, nodePath already declared in cache.js (shared global scope)
+
+const AnnIndex = {
+
+    INDEX_VERSION: 1,
+    MIN_ITEMS: 2000,        // below this, brute force is fast enough
+    MAX_LISTS: 256,
+    TRAIN_SAMPLES_PER_LIST: 16,
+    TRAIN_ITERATIONS: 8,
+    RETRAIN_GROWTH: 4,      // retrain when size exceeds trainedSize * this
+    NPROBE: 8,
+    MIN_SHORTLIST: 200,
+
+    _model: null,           // embedding model ID the index is built for
+    _dim: 0,
+    _centroids: null,       // Float32Array [nlist * dim]
+    _lists: [],             // Array<Set<id>>
+    _assignments: new Map(),// id -> list index
+    _pending: new Set(),    // ids added before centroids existed
+    _trainedSize: 0,
+    _training: false,
+    _generation: 0,         // bumped by reset(); a training run from an older one is discarded
+    _dirty: false,
+
+    /**
+     * Whether the index can be used for queries
+     */
+    isReady() {
+        return !!AnnIndex._centroids && !AnnIndex._training && AnnIndex._pending.size === 0;
+    },
+
+    /**
+     * Drop every centroid and assignment
+     */
+    reset() {
+        AnnIndex._generation++;
+        AnnIndex._training = false;
+        AnnIndex._dim = 0;
+        AnnIndex._centroids = null;
+        AnnIndex._lists = [];
+        AnnIndex._assignments = new Map();
+        AnnIndex._pending = new Set();
+        AnnIndex._trainedSize = 0;
+        AnnIndex._dirty = true;
+    },
+
+    /**
+     * Switch the model whose embeddings are indexed; rebuilds from the cache if it changed
+     */
+    setModel(modelId, cacheItems) {
+        if (AnnIndex._model === modelId) return;
+        AnnIndex.reset();
+        AnnIndex._model = modelId;
+        AnnIndex.sync(cacheItems);
+    },
+
+    /**
+     * Model ID the index is built for
+     */
+    getModel() {
+        return AnnIndex._model || Embedder.DEFAULT_MODEL_ID;
+    },
+
+    /**
+     * Whether a cache entry belongs in the index
+     */
+    _indexable(entry) {
+        return !!(entry && entry.embedding && entry.embedding.length > 0 &&
+            Similarity.modelOf(entry) === AnnIndex.getModel());
+    },
+
+    /**
+     * Add or update one vector
+     * @param {string} id - Item ID
+     * @param {number[]} embedding - L2-normalized vector
+     * @param {string} [model] - Model that produced it; other models' vectors are ignored
+     */
+    add(id, embedding, model) {
+        if (!AnnIndex._indexable({ embedding, embeddingModel: model })) {
+            AnnIndex.remove(id);
+            return;
+        }
+        if (AnnIndex._dim && embedding.length !== AnnIndex._dim) {
+            // Embedding width changed (different model) - old partitions are meaningless
+            AnnIndex.reset();
+        }
+        AnnIndex._dim = embedding.length;
+        AnnIndex.remove(id);
+
+        if (!AnnIndex._centroids || AnnIndex._training) {
+            AnnIndex._pending.add(id);
+        } else {
+            AnnIndex._assign(id, embedding);
+        }
+        AnnIndex._dirty = true;
+    },
+
+    /**
+     * Remove one vector
+     */
+    remove(id) {
+        AnnIndex._pending.delete(id);
+        const list = AnnIndex._assignments.get(id);
+        if (list === undefined) return;
+        AnnIndex._lists[list].delete(id);
+        AnnIndex._assignments.delete(id);
+        AnnIndex._dirty = true;
+    },
+
+    _assign(id, embedding) {
+        const list = AnnIndex._nearestLists(embedding, 1)[0];
+        AnnIndex._lists[list].add(id);
+        AnnIndex._assignments.set(id, list);
+    },
+
+    /**
+     * Number of vectors known to the index
+     */
+    size() {
+        return AnnIndex._assignments.size + AnnIndex._pending.size;
+    },
+
+    /**
+     * Reconcile the index with the cache after loading
+     * Adds embeddings the index doesn't know and drops IDs the cache no longer has
+     */
+    sync(cacheItems) {
+        for (const id of Array.from(AnnIndex._assignments.keys()).concat(Array.from(AnnIndex._pending))) {
+            if (!AnnIndex._indexable(cacheItems[id])) AnnIndex.remove(id);
+        }
+        for (const id of Object.keys(cacheItems)) {
+            const cached = cacheItems[id];
+            if (!AnnIndex._indexable(cached)) continue;
+            if (!AnnIndex._assignments.has(id) && !AnnIndex._pending.has(id)) {
+                AnnIndex.add(id, cached.embedding, cached.embeddingModel);
+            }
+        }
+    },
+
+    /**
+     * Train (or retrain) centroids when needed and assign pending vectors
+     * Yields to the event loop between k-means iterations
+     * @param {Object} cacheItems - Cache items map, used to look up vectors
+     */
+    async update(cacheItems) {
+        if (AnnIndex._training) return;
+        const size = AnnIndex.size();
+        if (size < AnnIndex.MIN_ITEMS) return;
+
+        const needsTraining = !AnnIndex._centroids ||
+            size > AnnIndex._trainedSize * AnnIndex.RETRAIN_GROWTH;
+
+        if (needsTraining) {
+            await AnnIndex._train(cacheItems);
+            return;
+        }
+
+        for (const id of AnnIndex._pending) {
+            const cached = cacheItems[id];
+            if (AnnIndex._indexable(cached) && cached.embedding.length === AnnIndex._dim) {
+                AnnIndex._assign(id, cached.embedding);
+            }
+        }
+        AnnIndex._pending.clear();
+        AnnIndex._dirty = true;
+    },
+
+    /**
+     * k-means over a sample of the stored embeddings, then assign all vectors
+     * Gives up without touching the index if reset() runs meanwhile (model or width changed).
+     */
+    async _train(cacheItems) {
+        AnnIndex._training = true;
+        const generation = AnnIndex._generation;
+        const stale = () => AnnIndex._generation !== generation;
+        const dim = AnnIndex._dim;
+        const ids = Object.keys(cacheItems).filter(id => {
+            const cached = cacheItems[id];
+            return AnnIndex._indexable(cached) && cached.embedding.length === dim;
+        });
+
+        const nlist = Math.min(AnnIndex.MAX_LISTS, Math.max(1, Math.round(Math.sqrt(ids.length))));
+        console.log(`AnnIndex: Training ${nlist} lists on ${ids.length} vectors`);
+
+        // Random sample for training
+        const sampleSize = Math.min(ids.length, nlist * AnnIndex.TRAIN_SAMPLES_PER_LIST);
+        const shuffled = ids.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        const sample = shuffled.slice(0, sampleSize).map(id => cacheItems[id].embedding);
+
+        const centroids = new Float32Array(nlist * dim);
+        for (let c = 0; c < nlist; c++) {
+            centroids.set(sample[c % sample.length], c * dim);
+        }
+
+        const assignment = new Int32Array(sample.length);
+        for (let iter = 0; iter < AnnIndex.TRAIN_ITERATIONS; iter++) {
+            for (let s = 0; s < sample.length; s++) {
+                assignment[s] = AnnIndex._nearestCentroid(centroids, nlist, dim, sample[s]);
+            }
+
+            const sums = new Float32Array(nlist * dim);
+            const counts = new Int32Array(nlist);
+            for (let s = 0; s < sample.length; s++) {
+                const c = assignment[s];
+                counts[c]++;
+                const vec = sample[s];
+                const base = c * dim;
+                for (let i = 0; i < dim; i++) sums[base + i] += vec[i];
+            }
+
+            for (let c = 0; c < nlist; c++) {
+                if (counts[c] === 0) continue; // keep previous centroid for empty lists
+                AnnIndex._normalizeInto(sums, c * dim, dim, centroids);
+            }
+
+            await new Promise(r => setTimeout(r, 0));
+            if (stale()) return;
+        }
+
+        AnnIndex._centroids = centroids;
+        AnnIndex._lists = [];
+        for (let c = 0; c < nlist; c++) AnnIndex._lists.push(new Set());
+        AnnIndex._assignments = new Map();
+
+        for (let i = 0; i < ids.length; i++) {
+            const cached = cacheItems[ids[i]];
+            if (AnnIndex._indexable(cached)) AnnIndex._assign(ids[i], cached.embedding);
+            if (i % 500 === 499) {
+                await new Promise(r => setTimeout(r, 0));
+                if (stale()) return;
+            }
+        }
+
+        // Vectors added while training ran
+        const late = AnnIndex._pending;
+        AnnIndex._pending = new Set();
+        for (const id of late) {
+            const cached = cacheItems[id];
+            if (AnnIndex._indexable(cached) && cached.embedding.length === dim) {
+                AnnIndex.remove(id);
+                AnnIndex._assign(id, cached.embedding);
+            }
+        }
+
+        AnnIndex._trainedSize = ids.length;
+        AnnIndex._training = false;
+        AnnIndex._dirty = true;
+        console.log('AnnIndex: Training complete');
+    },
+
+    _normalizeInto(src, base, dim, dst) {
+        let sumSq = 0;
+        for (let i = 0; i < dim; i++) sumSq += src[base + i] * src[base + i];
+        const norm = Math.sqrt(sumSq) || 1;
+        for (let i = 0; i < dim; i++) dst[base + i] = src[base + i] / norm;
+    },
+
+    _nearestCentroid(centroids, nlist, dim, vec) {
+        let best = 0, bestDot = -Infinity;
+        for (let c = 0; c < nlist; c++) {
+            const base = c * dim;
+            let dot = 0;
+            for (let i = 0; i < dim; i++) dot += centroids[base + i] * vec[i];
+            if (dot > bestDot) { bestDot = dot; best = c; }
+        }
+        return best;
+    },
+
+    /**
+     * Indices of the n lists whose centroids are closest to a vector
+     */
+    _nearestLists(vec, n) {
+        const dim = AnnIndex._dim;
+        const nlist = AnnIndex._lists.length;
+        const centroids = AnnIndex._centroids;
+        const scored = new Array(nlist);
+        for (let c = 0; c < nlist; c++) {
+            const base = c * dim;
+            let dot = 0;
+            for (let i = 0; i < dim; i++) dot += centroids[base + i] * vec[i];
+            scored[c] = { c, dot };
+        }
+        scored.sort((a, b) => b.dot - a.dot);
+        return scored.slice(0, n).map(s => s.c);
+    },
+
+    /**
+     * Candidate IDs for a query embedding
+     * Probes the closest lists until at least minCount candidates are collected
+     * @returns {Set<string>|null} null if the index can't answer this query
+     */
+    search(embedding, minCount, model) {
+        if (!AnnIndex.isReady() || !embedding || embedding.length !== AnnIndex._dim) return null;
+        if ((model || Embedder.LEGACY_MODEL_ID) !== AnnIndex.getModel()) return null;
+
+        const wanted = Math.max(minCount || 0, AnnIndex.MIN_SHORTLIST);
+        const order = AnnIndex._nearestLists(embedding, AnnIndex._lists.length);
+        const candidates = new Set();
+
+        for (let p = 0; p < order.length; p++) {
+            if (p >= AnnIndex.NPROBE && candidates.size >= wanted) break;
+            for (const id of AnnIndex._lists[order[p]]) candidates.add(id);
+        }
+        return candidates;
+    },
+
+    /**
+     * Fraction of the brute-force top-k embedding neighbours found in the shortlist
+     * @param {Object} cacheItems - Cache items map
+     * @param {number} queries - Number of random library items to use as queries
+     * @param {number} k - Neighbours per query
+     */
+    estimateRecall(cacheItems, queries, k) {
+        if (!AnnIndex.isReady()) return null;
+        const ids = Object.keys(cacheItems).filter(id => {
+            const cached = cacheItems[id];
+            return AnnIndex._indexable(cached) && cached.embedding.length === AnnIndex._dim;
+        });
+        let found = 0, total = 0;
+
+        for (let q = 0; q < queries && ids.length > 0; q++) {
+            const query = cacheItems[ids[Math.floor(Math.random() * ids.length)]].embedding;
+            const exact = ids
+                .map(id => ({ id, score: Similarity.clipSimilarity(query, cacheItems[id].embedding) }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, k);
+            const shortlist = AnnIndex.search(query, k, AnnIndex.getModel());
+            for (const r of exact) {
+                if (shortlist.has(r.id)) found++;
+                total++;
+            }
+        }
+        return total > 0 ? found / total : null;
+    },
+
+    /**
+     * Load a persisted index from the cache directory
+     */
+    load(dir) {
+        AnnIndex.reset();
+        AnnIndex._dirty = false;
+        try {
+            const metaPath = nodePath.join(dir, 'ann.json');
+            if (!fs.existsSync(metaPath)) return;
+            const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+            if (meta.version !== AnnIndex.INDEX_VERSION) return;
+
+            // setModel() rebuilds later if the active model turns out to be a different one
+            AnnIndex._model = meta.model || Embedder.LEGACY_MODEL_ID;
+            AnnIndex._dim = meta.dim;
+            AnnIndex._trainedSize = meta.trainedSize || 0;
+            AnnIndex._pending = new Set(meta.pending || []);
+
+            if (meta.lists) {
+                const raw = fs.readFileSync(nodePath.join(dir, 'ann-centroids.bin'));
+                const buf = raw.buffer.slice(raw.byteOffset, raw.byteOffset + raw.byteLength);
+                AnnIndex._centroids = new Float32Array(buf);
+                AnnIndex._lists = meta.lists.map(ids => new Set(ids));
+                meta.lists.forEach((ids, c) => {
+                    for (const id of ids) AnnIndex._assignments.set(id, c);
+                });
+            }
+            console.log(`AnnIndex: Loaded ${AnnIndex.size()} vectors`);
+        } catch (e) {
+            console.warn('AnnIndex: Failed to load, will rebuild:', e.message);
+            AnnIndex.reset();
+        }
+    },
+
+    /**
+     * Persist the index if it changed since the last save
+     */
+    save(dir) {
+        if (!AnnIndex._dirty) return;
+        try {
+            if (AnnIndex._centroids) {
+                Store._writeAtomic(nodePath.join(dir, 'ann-centroids.bin'),
+                    Buffer.from(AnnIndex._centroids.buffer));
+            }
+            const meta = {
+                version: AnnIndex.INDEX_VERSION,
+                model: AnnIndex.getModel(),
+                dim: AnnIndex._dim,
+                trainedSize: AnnIndex._trainedSize,
+                pending: Array.from(AnnIndex._pending),
+                lists: AnnIndex._centroids ? AnnIndex._lists.map(set => Array.from(set)) : null
+            };
+            Store._writeAtomic(nodePath.join(dir, 'ann.json'), JSON.stringify(meta));
+            AnnIndex._dirty = false;
+        } catch (e) {
+            console.warn('AnnIndex: Failed to save:', e.message);
+        }
+    }
+};
+
+window.AnnIndex = AnnIndex;
@@ -1,6 +1,6 @@
 /**
  * cache.js - Hash cache management
- * JSON file-backed persistent cache with incremental indexing
+ * Binary file-backed persistent cache (see store.js) with incremental indexing
  */
 
 const fs = require('fs');
@@ -8,12 +8,14 @@ const nodePath = require('path');
 
 const Cache = {
 
-    CACHE_VERSION: 3,
+    CACHE_VERSION: 4,
+    LEGACY_JSON_VERSION: 3,
     SAVE_DEBOUNCE_MS: 3000,
 
     _data: null,
     _cacheDir: '',
-    _cacheFile: '',
+    _cacheFile: '',     // legacy v3 JSON file, only read for migration
+    _storeDir: '',
     _saveTimer: null,
     _dirty: false,
 
@@ -24,6 +26,7 @@ const Cache = {
         Cache._cacheDir = nodePath.join(pluginPath, 'cache');
         const safeName = (libraryName || 'default').replace(/[^a-zA-Z0-9_-]/g, '_');
         Cache._cacheFile = nodePath.join(Cache._cacheDir, `${safeName}.json`);
+        Cache._storeDir = nodePath.join(Cache._cacheDir, safeName);
 
         // Ensure cache directory exists
         try {
@@ -35,23 +38,30 @@ const Cache = {
         }
 
         Cache._load(libraryPath);
+
+        AnnIndex.load(Cache._storeDir);
+        AnnIndex.sync(Cache._data.items);
+        Whitening.load(Cache._storeDir);
+        HashIndex.build(Cache._data.items);
     },
 
     /**
      * Load cache from disk
+     * Prefers the binary store; falls back to migrating a v3 JSON cache
      */
     _load(libraryPath) {
         try {
-            if (fs.existsSync(Cache._cacheFile)) {
-                const raw = fs.readFileSync(Cache._cacheFile, 'utf-8');
-                const parsed = JSON.parse(raw);
+            if (Store.exists(Cache._storeDir)) {
+                const parsed = Store.read(Cache._storeDir);
 
-                if (parsed.version === Cache.CACHE_VERSION && parsed.libraryPath === libraryPath) {
+                if (parsed && parsed.version === Cache.CACHE_VERSION && parsed.libraryPath === libraryPath) {
                     Cache._data = parsed;
                     console.log(`Cache: Loaded ${Object.keys(Cache._data.items).length} items from disk`);
                     return;
                 }
                 console.log('Cache: Version mismatch or library changed, resetting');
+            } else if (Cache._migrateLegacy(libraryPath)) {
+                return;
             }
         } catch (e) {
             console.warn('Cache: Failed to load, starting fresh:', e.message);
@@ -64,6 +74,34 @@ const Cache = {
         };
     },
 
+    /**
+     * Convert a v3 JSON cache into the binary store, then remove the JSON file
+     * Returns true if a legacy cache was migrated
+     */
+    _migrateLegacy(libraryPath) {
+        if (!fs.existsSync(Cache._cacheFile)) return false;
+
+        const raw = fs.readFileSync(Cache._cacheFile, 'utf-8');
+        const parsed = JSON.parse(raw);
+        if (parsed.version !== Cache.LEGACY_JSON_VERSION || parsed.libraryPath !== libraryPath) {
+            return false;
+        }
+
+        Cache._data = {
+            version: Cache.CACHE_VERSION,
+            libraryPath: libraryPath,
+            items: parsed.items || {}
+        };
+        Cache._dirty = true;
+        Cache._doSave();
+
+        if (!Cache._dirty) {
+            try { fs.unlinkSync(Cache._cacheFile); } catch (e) {}
+        }
+        console.log(`Cache: Migrated ${Object.keys(Cache._data.items).length} items from v3 JSON`);
+        return true;
+    },
+
     /**
      * Save cache to disk (debounced)
      */
@@ -91,8 +129,9 @@ const Cache = {
         if (!Cache._dirty || !Cache._data) return;
 
         try {
-            const json = JSON.stringify(Cache._data);
-            fs.writeFileSync(Cache._cacheFile, json, 'utf-8');
+            Store.write(Cache._storeDir, Cache._data);
+            AnnIndex.save(Cache._storeDir);
+            Whitening.save(Cache._storeDir);
             Cache._dirty = false;
             console.log(`Cache: Saved ${Object.keys(Cache._data.items).length} items to disk`);
         } catch (e) {
@@ -109,7 +148,8 @@ const Cache = {
     },
 
     /**
-     * Check if an item has a valid cached hash (regardless of mtime)
+     * Check if an item has a valid cached hash
+     * File changes are checked separately (see compareSignature)
      */
     hasValidHash(itemId) {
         if (!Cache._data) return false;
@@ -125,6 +165,42 @@ const Cache = {
     setHash(itemId, hashData) {
         if (!Cache._data) return;
         Cache._data.items[itemId] = hashData;
+        if (hashData && hashData.embedding) {
+            AnnIndex.add(itemId, hashData.embedding, hashData.embeddingModel);
+        } else {
+            AnnIndex.remove(itemId);
+        }
+        if (hashData && hashData.pHash) {
+            HashIndex.add(itemId, hashData.pHash);
+        } else {
+            HashIndex.remove(itemId);
+        }
+        Cache.save();
+    },
+
+    /**
+     * Compare an item's current file signature with the one its fingerprint was made from
+     * @param {string} itemId - Item ID
+     * @param {{mtime: number, size: number}} signature - From Indexer.getFileSignature
+     * @returns {string} 'same' | 'changed' (size differs) | 'touched' (only mtime differs)
+     *   | 'unknown' (indexed before signatures were recorded)
+     */
+    compareSignature(itemId, signature) {
+        const cached = Cache.getHash(itemId);
+        if (!cached || cached.fileSize === undefined || cached.fileMtime === undefined) return 'unknown';
+        if (cached.fileSize !== signature.size) return 'changed';
+        if (cached.fileMtime !== signature.mtime) return 'touched';
+        return 'same';
+    },
+
+    /**
+     * Update an entry's file metadata (fileMtime, fileSize, contentHash)
+     * Leaves its vectors, and so the indexes, untouched
+     */
+    setFileInfo(itemId, info) {
+        const cached = Cache.getHash(itemId);
+        if (!cached) return;
+        Object.assign(cached, info);
         Cache.save();
     },
 
@@ -148,6 +224,8 @@ const Cache = {
         for (const id of cacheIds) {
             if (!validSet.has(id)) {
                 delete Cache._data.items[id];
+                AnnIndex.remove(id);
+                HashIndex.remove(id);
                 removed++;
             }
         }
@@ -172,6 +250,8 @@ const Cache = {
     clear() {
         if (Cache._data) {
             Cache._data.items = {};
+            AnnIndex.reset();
+            HashIndex.reset();
             Cache.save(true);
         }
     },
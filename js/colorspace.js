@@ -0,0 +1,147 @@
+/**
+ * colorspace.js - Perceptual colour features
+ * Colours are compared in OKLab, where equal distances look about equally
+ * different. The colour histogram is a soft-binned OKLab grid: every pixel is
+ * spread over the 8 grid nodes around it (trilinear weights), so two close
+ * shades share nodes instead of falling into different bins. Histograms are
+ * compared with a quadratic-form similarity: nearby nodes count as partly
+ * the same colour (see affinity), so a shift to a neighbouring node costs
+ * little and only distant colours score 0.
+ *
+ * Cache entries record their histogram kind in `colorModel`; entries from
+ * before this (4x4x4 sRGB bins, cosine) are LEGACY_MODEL and are upgraded
+ * in phase 1. Histograms of different kinds are never compared.
+ */
+
+const ColorSpace = {
+
+    MODEL: 'oklab-5x6x6',
+    LEGACY_MODEL: 'rgb-4x4x4',
+
+    // Grid nodes: L 0..1 in 5 steps, a and b -0.25..0.25 in 6 (sRGB fits inside)
+    L_NODES: 5,
+    L_MIN: 0,
+    L_STEP: 0.25,
+    AB_NODES: 6,
+    AB_MIN: -0.25,
+    AB_STEP: 0.1,
+
+    AFFINITY_SIGMA: 0.15,   // OKLab distance at which two nodes are e^-1 alike
+    MIN_AFFINITY: 0.01,     // weaker links are left out of the sparse matrix
+
+    _linear: null,     // sRGB byte -> linear light
+    _affinity: null,   // per node: [[node, weight], ...]
+
+    /**
+     * sRGB (0-255) to OKLab
+     * @returns {number[]} [L, a, b]
+     */
+    toOklab(r, g, b) {
+        if (!ColorSpace._linear) {
+            ColorSpace._linear = new Float32Array(256);
+            for (let i = 0; i < 256; i++) {
+                const c = i / 255;
+                ColorSpace._linear[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+            }
+        }
+        const lin = ColorSpace._linear;
+        const lr = lin[Math.round(r)], lg = lin[Math.round(g)], lb = lin[Math.round(b)];
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ];
+    },
+
+    /**
+     * Distance between two OKLab colours
+     */
+    distance(lab1, lab2) {
+        const dl = lab1[0] - lab2[0], da = lab1[1] - lab2[1], db = lab1[2] - lab2[2];
+        return Math.sqrt(dl * dl + da * da + db * db);
+    },
+
+    size() {
+        return ColorSpace.L_NODES * ColorSpace.AB_NODES * ColorSpace.AB_NODES;
+    },
+
+    _nodeIndex(li, ai, bi) {
+        return (li * ColorSpace.AB_NODES + ai) * ColorSpace.AB_NODES + bi;
+    },
+
+    /**
+     * Position of a value between two grid nodes: [lower node, weight of the upper one]
+     */
+    _locate(value, min, step, nodes) {
+        const t = Math.max(0, Math.min(nodes - 1, (value - min) / step));
+        const i = Math.min(nodes - 2, Math.floor(t));
+        return [i, t - i];
+    },
+
+    /**
+     * Soft-binned OKLab histogram of RGBA pixel data (transparent pixels skipped)
+     * @param {Uint8ClampedArray} data - RGBA pixels
+     * @returns {number[]} size() weights summing to 1
+     */
+    histogram(data) {
+        const cs = ColorSpace;
+        const histogram = new Float32Array(cs.size());
+        let pixelCount = 0;
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < 128) continue;
+            const [L, a, b] = cs.toOklab(data[i], data[i + 1], data[i + 2]);
+            const [li, lf] = cs._locate(L, cs.L_MIN, cs.L_STEP, cs.L_NODES);
+            const [ai, af] = cs._locate(a, cs.AB_MIN, cs.AB_STEP, cs.AB_NODES);
+            const [bi, bf] = cs._locate(b, cs.AB_MIN, cs.AB_STEP, cs.AB_NODES);
+            for (let dl = 0; dl < 2; dl++) {
+                const wl = dl ? lf : 1 - lf;
+                for (let da = 0; da < 2; da++) {
+                    const wa = da ? af : 1 - af;
+                    for (let db = 0; db < 2; db++) {
+                        const wb = db ? bf : 1 - bf;
+                        histogram[cs._nodeIndex(li + dl, ai + da, bi + db)] += wl * wa * wb;
+                    }
+                }
+            }
+            pixelCount++;
+        }
+
+        if (pixelCount > 0) {
+            for (let i = 0; i < histogram.length; i++) histogram[i] /= pixelCount;
+        }
+        return Array.from(histogram);
+    },
+
+    /**
+     * How alike each pair of grid nodes is: exp(-(distance / AFFINITY_SIGMA)^2)
+     * Built once; only links of at least MIN_AFFINITY are kept.
+     * @returns {Array<Array<[number, number]>>}
+     */
+    affinity() {
+        if (ColorSpace._affinity) return ColorSpace._affinity;
+        const cs = ColorSpace;
+        const nodes = [];
+        for (let li = 0; li < cs.L_NODES; li++) {
+            for (let ai = 0; ai < cs.AB_NODES; ai++) {
+                for (let bi = 0; bi < cs.AB_NODES; bi++) {
+                    nodes.push([cs.L_MIN + li * cs.L_STEP, cs.AB_MIN + ai * cs.AB_STEP, cs.AB_MIN + bi * cs.AB_STEP]);
+                }
+            }
+        }
+        ColorSpace._affinity = nodes.map(node => {
+            const links = [];
+            nodes.forEach((other, j) => {
+                const w = Math.exp(-Math.pow(cs.distance(node, other) / cs.AFFINITY_SIGMA, 2));
+                if (w >= cs.MIN_AFFINITY) links.push([j, w]);
+            });
+            return links;
+        });
+        return ColorSpace._affinity;
+    }
+};
+
+window.ColorSpace = ColorSpace;
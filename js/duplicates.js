@@ -0,0 +1,175 @@
+/**
+ * duplicates.js - Library-wide near-duplicate clustering
+ * Links items whose pHashes are close (BK-tree lookup) and, when both have
+ * embeddings, whose neural similarity agrees. Linked items are merged into
+ * groups with union-find. Each item is looked up by its mirrored, flipped,
+ * rotated and centre hashes too (Similarity.entryHashes), so transformed and
+ * slightly cropped copies are linked as well.
+ *
+ * Groups can chain, so resolving one only trashes members that are duplicates
+ * of the kept item themselves (isDuplicate).
+ *
+ * Only hashes from the same algorithm are compared. When two items also
+ * share extra hashes (Hasher.configure), a straight match must hold up
+ * across all of them (Similarity.hashAgreement).
+ */
+
+const Duplicates = {
+
+    DEFAULT_STRICTNESS: 90,  // percent
+    MIN_EMBEDDING_FLOOR: 0.8,   // clipSimilarity floor at strictness 50 (cosine 0.6)
+    MAX_EMBEDDING_FLOOR: 0.98,  // ... and at strictness 100 (cosine 0.96)
+    CHUNK_SIZE: 200,
+
+    _scanning: false,
+
+    /**
+     * Match criteria for a strictness percentage (50..100)
+     * Hashes: strictness is the share of bits that must agree, so the pHash may
+     * differ in at most (1 - s) of its bits (maxDistance) and, with extra hashes,
+     * the mean score over all shared algorithms must reach s (minHashAgreement).
+     * Embeddings: near-duplicates sit far above unrelated images in cosine terms,
+     * so strictness maps linearly onto MIN_EMBEDDING_FLOOR..MAX_EMBEDDING_FLOOR
+     * of Similarity.clipSimilarity (minEmbeddingScore) instead.
+     * @param {number} [bits] - Hash length (default: 256-bit hashes)
+     * @returns {{maxDistance: number, minHashAgreement: number, minEmbeddingScore: number}}
+     */
+    getCriteria(strictness, bits = Similarity.MAX_HAMMING_BITS) {
+        const s = Math.max(50, Math.min(100, strictness)) / 100;
+        const maxDistance = Math.floor(bits * (1 - s));
+        const floors = Duplicates.MAX_EMBEDDING_FLOOR - Duplicates.MIN_EMBEDDING_FLOOR;
+        return {
+            maxDistance,
+            minHashAgreement: 1 - maxDistance / bits,
+            minEmbeddingScore: Duplicates.MIN_EMBEDDING_FLOOR + floors * (s - 0.5) / 0.5
+        };
+    },
+
+    isScanning() {
+        return Duplicates._scanning;
+    },
+
+    /**
+     * Cluster the cache into duplicate groups
+     * @param {Object} cacheItems - Cache items map
+     * @param {number} strictness - 50..100, higher = fewer, closer matches
+     * @param {Function} [onProgress] - (processed, total)
+     * @returns {Promise<string[][]>} groups of 2+ item IDs, largest groups first
+     */
+    async findGroups(cacheItems, strictness, onProgress) {
+        if (Duplicates._scanning) return [];
+        Duplicates._scanning = true;
+
+        try {
+            const ids = Object.keys(cacheItems).filter(id => cacheItems[id].pHash);
+            const parent = new Map(ids.map(id => [id, id]));
+
+            const find = (id) => {
+                while (parent.get(id) !== id) {
+                    parent.set(id, parent.get(parent.get(id)));
+                    id = parent.get(id);
+                }
+                return id;
+            };
+
+            for (let i = 0; i < ids.length; i++) {
+                const id = ids[i];
+                const item = cacheItems[id];
+                const { maxDistance } = Duplicates.getCriteria(strictness, Similarity.hashBits(item.pHash));
+                const neighbours = HashIndex.findWithinAny(Similarity.entryHashes(item), maxDistance);
+
+                for (const { id: otherId } of neighbours) {
+                    if (otherId === id || !parent.has(otherId)) continue;
+                    if (!Duplicates.isDuplicate(item, cacheItems[otherId], strictness)) continue;
+                    const a = find(id), b = find(otherId);
+                    if (a !== b) parent.set(a, b);
+                }
+
+                if (i % Duplicates.CHUNK_SIZE === Duplicates.CHUNK_SIZE - 1) {
+                    if (onProgress) onProgress(i + 1, ids.length);
+                    await new Promise(r => setTimeout(r, 0));
+                }
+            }
+            if (onProgress) onProgress(ids.length, ids.length);
+
+            const groups = new Map();
+            for (const id of ids) {
+                const root = find(id);
+                if (!groups.has(root)) groups.set(root, []);
+                groups.get(root).push(id);
+            }
+
+            return Array.from(groups.values())
+                .filter(group => group.length > 1)
+                .sort((a, b) => b.length - a.length);
+        } finally {
+            Duplicates._scanning = false;
+        }
+    },
+
+    /**
+     * Whether two cache entries are duplicates of each other at a strictness
+     * Groups are single-linkage (A~B and B~C put A and C together), so this is
+     * checked again between each member and the keeper before anything is trashed.
+     */
+    isDuplicate(item, other, strictness) {
+        if (!item || !other || !item.pHash || !other.pHash) return false;
+        if (!Similarity.hashesComparable(item, other)) return false;
+        const { maxDistance, minHashAgreement, minEmbeddingScore } =
+            Duplicates.getCriteria(strictness, Similarity.hashBits(item.pHash));
+
+        // Same lookup as the BK-tree's: any hash of one entry against the other's pHash
+        const near = (a, b) => Similarity.entryHashes(a)
+            .some(hash => Similarity.hammingDistance(hash, b.pHash) <= maxDistance);
+        if (!near(item, other) && !near(other, item)) return false;
+
+        if (!Similarity.structuralMatch(item, other).transform) {
+            const agreement = Similarity.hashAgreement(item, other);
+            if (agreement.count > 1 && agreement.score < minHashAgreement) return false;
+        }
+        if (Similarity.embeddingsComparable(item, other) &&
+            Similarity.clipSimilarity(item.embedding, other.embedding) < minEmbeddingScore) {
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Pixel count (0 when dimensions are unknown)
+     */
+    itemArea(item) {
+        return (item && item.width && item.height) ? item.width * item.height : 0;
+    },
+
+    /**
+     * Import date of an Eagle item (ms)
+     */
+    itemDate(item) {
+        if (!item) return 0;
+        return item.btime || item.modificationTime || item.mtime || 0;
+    },
+
+    /**
+     * Pick the member to keep for a resolution strategy
+     * @param {Object[]} items - Eagle items of one group
+     * @param {string} strategy - 'largest' | 'newest'
+     */
+    pickKeeper(items, strategy) {
+        const rank = strategy === 'newest'
+            ? (item) => [Duplicates.itemDate(item), Duplicates.itemArea(item), item.size || 0]
+            : (item) => [Duplicates.itemArea(item), item.size || 0, Duplicates.itemDate(item)];
+
+        let best = items[0];
+        for (const item of items.slice(1)) {
+            const a = rank(item), b = rank(best);
+            for (let i = 0; i < a.length; i++) {
+                if (a[i] === b[i]) continue;
+                if (a[i] > b[i]) best = item;
+                break;
+            }
+        }
+        return best;
+    }
+};
+
+window.Duplicates = Duplicates;
@@ -1,34 +1,226 @@
 /**
- * embedder.js - Neural image embedding via ONNX Runtime WebGL
+ * embedder.js - Neural image embedding via ONNX Runtime
  *
- * Uses MobileNet V2 (ONNX opset 7) with WebGL backend for GPU-accelerated
- * image feature extraction. No WASM, no native addons — pure WebGL.
+ * Runs a local ONNX model (MobileNet V2 by default), trying backends in order:
+ *   webgl - GPU-accelerated, the default
+ *   wasm  - ONNX Runtime WASM on the CPU, single-threaded (no SharedArrayBuffer)
+ *   js    - plain JavaScript interpreter (jsruntime.js), slow but dependency-free
+ * A backend that fails to load or to run a test inference is skipped. The
+ * chain can be replaced by one forced backend (setBackendPreference).
  *
- * WebGL backend avoids SharedArrayBuffer/WASM issues in Eagle's Chromium 107.
- * If loading fails, plugin continues with pHash only.
+ * Models are described by JSON descriptors in models/ (see _DEFAULT_MODEL for
+ * the fields), so other ONNX image models can be dropped in next to the default.
+ *
+ * The default reads MobileNet V2's global-average-pooled features (1280-dim)
+ * rather than its ImageNet logits. That tensor is not a graph output in the
+ * model zoo file, so it is exposed by patching the graph before loading.
+ *
+ * WebGL is tried first: it avoids SharedArrayBuffer/WASM issues in Eagle's Chromium 107.
+ * If every backend fails, plugin continues with pHash only.
  */
 
+// fs, nodePath already declared in cache.js (shared global scope)
+
 var Embedder = {
 
     _session: null,
     _loading: false,
     _ready: false,
     _error: null,
-    _ortLoaded: false,
+    _ortBundle: null,
+    _model: null,
+    _modelDir: null,
+    _labels: null,       // { file, names } read for the loaded model (see getClassLabels)
+    _backend: null,
+    _backendPreference: 'auto',
+
+    BACKENDS: ['webgl', 'wasm', 'js'],
+    BACKEND_LABELS: {
+        webgl: 'WebGL',
+        wasm: 'WASM (CPU)',
+        js: 'JavaScript (CPU)'
+    },
+    // onnxruntime-web bundle per ORT backend, each registers window.ort
+    _ORT_BUNDLES: {
+        webgl: 'ort.webgl.min.js',
+        wasm: 'ort.wasm.min.js'
+    },
+
+    DEFAULT_MODEL_ID: 'mobilenetv2-7-features',
+    // Embeddings cached before models were recorded: MobileNet V2 classification logits
+    LEGACY_MODEL_ID: 'mobilenetv2-7',
+    EMBEDDING_DIM: 1280,  // Dimension of the active model (MobileNet V2 pooled features by default)
+
+    // Built-in descriptor, used when models/ has no descriptor for the default model
+    _DEFAULT_MODEL: {
+        id: 'mobilenetv2-7-features',
+        name: 'MobileNet V2',
+        file: 'mobilenetv2-7.onnx',
+        inputSize: 224,
+        mean: [0.485, 0.456, 0.406],  // ImageNet normalization
+        std: [0.229, 0.224, 0.225],
+        output: 'mobilenetv20_features_pool0_fwd',  // output or intermediate tensor name, null = first output
+        dim: 1280,
+        pooling: 'mean'               // 'none' | 'mean' (over spatial dims / tokens) | 'cls' (first token)
+    },
+
+    /**
+     * List usable models: every descriptor in modelDir whose ONNX file exists
+     * @param {string} modelDir - Directory containing model descriptors and ONNX files
+     * @returns {Object[]} Model descriptors, default model first
+     */
+    listModels: function(modelDir) {
+        var models = {};
+        try {
+            var files = fs.readdirSync(modelDir);
+            for (var i = 0; i < files.length; i++) {
+                if (!/\.json$/i.test(files[i])) continue;
+                try {
+                    var raw = JSON.parse(fs.readFileSync(nodePath.join(modelDir, files[i]), 'utf-8'));
+                    var descriptor = Embedder._normalizeDescriptor(raw, files[i]);
+                    if (fs.existsSync(nodePath.join(modelDir, descriptor.file))) {
+                        models[descriptor.id] = descriptor;
+                    }
+                } catch (e) {
+                    console.warn('Embedder: Invalid model descriptor', files[i], e.message);
+                }
+            }
+            if (!models[Embedder.DEFAULT_MODEL_ID] &&
+                fs.existsSync(nodePath.join(modelDir, Embedder._DEFAULT_MODEL.file))) {
+                models[Embedder.DEFAULT_MODEL_ID] = Embedder._DEFAULT_MODEL;
+            }
+        } catch (e) {
+            console.warn('Embedder: Failed to list models:', e.message);
+        }
+
+        return Object.keys(models)
+            .map(function(id) { return models[id]; })
+            .sort(function(a, b) {
+                if (a.id === Embedder.DEFAULT_MODEL_ID) return -1;
+                if (b.id === Embedder.DEFAULT_MODEL_ID) return 1;
+                return a.name.localeCompare(b.name);
+            });
+    },
+
+    /**
+     * Fill in descriptor defaults and validate required fields
+     */
+    _normalizeDescriptor: function(raw, fileName) {
+        var base = fileName.replace(/\.json$/i, '');
+        var d = {
+            id: raw.id || base,
+            name: raw.name || raw.id || base,
+            file: raw.file || (base + '.onnx'),
+            inputSize: raw.inputSize || 224,
+            mean: raw.mean || Embedder._DEFAULT_MODEL.mean,
+            std: raw.std || Embedder._DEFAULT_MODEL.std,
+            output: raw.output || null,
+            dim: raw.dim,
+            pooling: raw.pooling || 'none',
+            labels: raw.labels || null
+        };
+        if (!d.dim) throw new Error('descriptor needs "dim"');
+        return d;
+    },
+
+    /**
+     * Descriptor of the loaded (or loading) model
+     */
+    getModel: function() {
+        return Embedder._model;
+    },
+
+    /**
+     * ID of the loaded model, recorded with every embedding it produces
+     * Includes the whitening ID when PCA whitening is active for this model
+     */
+    getModelId: function() {
+        var base = Embedder.getBaseModelId();
+        if (base && Whitening.isActive(base)) return Whitening.getModelId();
+        return base;
+    },
+
+    /**
+     * Class names of the loaded model, from the descriptor's "labels" file
+     * (one name per line, in output order), null if it has none
+     */
+    getClassLabels: function() {
+        var model = Embedder._model;
+        if (!model || !model.labels || !Embedder._modelDir) return null;
+        if (Embedder._labels && Embedder._labels.file === model.labels) return Embedder._labels.names;
+
+        var names = null;
+        try {
+            names = fs.readFileSync(nodePath.join(Embedder._modelDir, model.labels), 'utf-8')
+                .split(/\r?\n/)
+                .map(function(line) { return line.trim(); })
+                .filter(Boolean);
+            if (names.length !== model.dim) {
+                console.warn('Embedder: ' + model.labels + ' has ' + names.length + ' labels, model has ' + model.dim + ' outputs');
+                names = null;
+            }
+        } catch (e) {
+            names = null;
+        }
+        Embedder._labels = { file: model.labels, names: names };
+        return names;
+    },
 
-    EMBEDDING_DIM: 1000,  // MobileNet V2 classification logits
+    /**
+     * ID of the loaded model without whitening
+     */
+    getBaseModelId: function() {
+        return Embedder._model ? Embedder._model.id : null;
+    },
 
-    // ImageNet normalization constants
-    _MEAN: [0.485, 0.456, 0.406],
-    _STD:  [0.229, 0.224, 0.225],
-    _INPUT_SIZE: 224,
+    /**
+     * Backend the current session runs on ('webgl' | 'wasm' | 'js'), null before init
+     */
+    getBackend: function() {
+        return Embedder._backend;
+    },
+
+    /**
+     * Force one backend or go back to the fallback chain
+     * Takes effect on the next init
+     * @param {string} preference - 'auto' or one of BACKENDS
+     */
+    setBackendPreference: function(preference) {
+        Embedder._backendPreference = Embedder.BACKENDS.indexOf(preference) !== -1 ? preference : 'auto';
+    },
+
+    /**
+     * Backends init will try, in order
+     */
+    getBackendChain: function() {
+        return Embedder._backendPreference === 'auto'
+            ? Embedder.BACKENDS.slice()
+            : [Embedder._backendPreference];
+    },
+
+    /**
+     * Release the current session so another model can be loaded
+     */
+    release: async function() {
+        while (Embedder._loading) {
+            await new Promise(function(r) { setTimeout(r, 200); });
+        }
+        if (Embedder._session && Embedder._session.release) {
+            try { await Embedder._session.release(); } catch (e) {}
+        }
+        Embedder._session = null;
+        Embedder._ready = false;
+        Embedder._model = null;
+        Embedder._backend = null;
+    },
 
     /**
      * Initialize the neural embedding model
      * @param {string} modelDir - Directory containing the ONNX model file
+     * @param {string} [modelId] - Model to load (defaults to DEFAULT_MODEL_ID)
      * @returns {boolean} true if model loaded successfully
      */
-    init: async function(modelDir) {
+    init: async function(modelDir, modelId) {
         if (Embedder._ready) return true;
         if (Embedder._loading) {
             // Wait for existing load to finish
@@ -40,28 +232,49 @@ var Embedder = {
 
         Embedder._loading = true;
         Embedder._error = null;
-        console.log('Embedder: Initializing MobileNet V2 (WebGL)...');
 
         try {
-            // Step 1: Load onnxruntime-web WebGL bundle via <script> tag
-            if (!Embedder._ortLoaded) {
-                await Embedder._loadOrtScript();
+            var models = Embedder.listModels(modelDir);
+            var wanted = modelId || Embedder.DEFAULT_MODEL_ID;
+            var model = models.filter(function(m) { return m.id === wanted; })[0] ||
+                        models[0] || Embedder._DEFAULT_MODEL;
+            Embedder._model = model;
+            Embedder._modelDir = modelDir;
+            Embedder.EMBEDDING_DIM = model.dim;
+            var modelPath = modelDir + '/' + model.file;
+
+            var chain = Embedder.getBackendChain();
+            var failures = [];
+            for (var i = 0; i < chain.length; i++) {
+                var backend = chain[i];
+                console.log('Embedder: Initializing ' + model.name + ' (' + backend + ')...');
+                try {
+                    var session = await Embedder._createSession(backend, model, modelPath);
+                    Embedder._session = session;
+                    Embedder._backend = backend;
+                    // Some failures (unsupported ops, lost GL context) only show up on first run
+                    await Embedder._runModel(Embedder._createTensor(
+                        new Float32Array(3 * model.inputSize * model.inputSize),
+                        [1, 3, model.inputSize, model.inputSize]
+                    ));
+                    break;
+                } catch (err) {
+                    console.warn('Embedder: ' + backend + ' backend failed:', err.message);
+                    failures.push(backend + ': ' + err.message);
+                    if (Embedder._session && Embedder._session.release) {
+                        try { await Embedder._session.release(); } catch (e) {}
+                    }
+                    Embedder._session = null;
+                    Embedder._backend = null;
+                }
+            }
+            if (!Embedder._session) {
+                throw new Error(failures.join('; '));
             }
-
-            // Step 2: Create inference session with WebGL provider
-            var modelPath = modelDir + '/mobilenetv2-7.onnx';
-            var modelUrl = 'file:///' + modelPath.replace(/\\/g, '/');
-
-            console.log('Embedder: Loading model from', modelUrl);
-
-            Embedder._session = await window.ort.InferenceSession.create(
-                modelUrl,
-                { executionProviders: ['webgl'] }
-            );
 
             Embedder._ready = true;
             Embedder._loading = false;
-            console.log('Embedder: MobileNet V2 ready (WebGL)');
+            console.log('Embedder: ' + model.name + ' ready (' + Embedder._backend + ')');
             console.log('Embedder: Inputs:', Embedder._session.inputNames,
                         'Outputs:', Embedder._session.outputNames);
             return true;
@@ -75,35 +288,87 @@ var Embedder = {
     },
 
     /**
-     * Load ort.webgl.min.js via script tag injection
-     * This registers window.ort with WebGL backend only (no WASM)
+     * Create an inference session for the model on one backend
+     * @returns {Object} ort.InferenceSession or a JsRuntime session
      */
-    _loadOrtScript: function() {
+    _createSession: async function(backend, model, modelPath) {
+        if (backend === 'js') {
+            // JsRuntime can fetch any tensor, so intermediate outputs need no patching
+            return JsRuntime.create(new Uint8Array(fs.readFileSync(modelPath)));
+        }
+
+        // Step 1: Load the onnxruntime-web bundle for this backend via <script> tag
+        await Embedder._loadOrtScript(backend);
+
+        // Step 2: Create inference session with this provider
+        var modelUrl = 'file:///' + modelPath.replace(/\\/g, '/');
+        console.log('Embedder: Loading model from', modelUrl);
+
+        var session = await window.ort.InferenceSession.create(
+            modelUrl,
+            { executionProviders: [backend] }
+        );
+
+        // Intermediate layer requested: re-create the session with it added as a graph output
+        if (model.output && session.outputNames.indexOf(model.output) === -1) {
+            console.log('Embedder: Exposing intermediate output', model.output);
+            var patched = Embedder._exposeOutput(new Uint8Array(fs.readFileSync(modelPath)), model.output);
+            if (session.release) {
+                try { await session.release(); } catch (e) {}
+            }
+            session = await window.ort.InferenceSession.create(
+                patched,
+                { executionProviders: [backend] }
+            );
+        }
+        return session;
+    },
+
+    /**
+     * Locate onnxruntime-web's dist/ folder as a file:/// URL
+     * require.resolve returns dist/ort-web.node.js, so we go up to the package root
+     */
+    _ortDistUrl: function() {
+        var ortMainPath = require.resolve('onnxruntime-web').replace(/\\/g, '/');
+        // Strip everything after node_modules/onnxruntime-web/
+        var ortDir = ortMainPath.replace(/(\/onnxruntime-web\/).*$/, '$1');
+        return 'file:///' + ortDir + 'dist/';
+    },
+
+    /**
+     * Load the onnxruntime-web bundle for a backend via script tag injection
+     * Each bundle registers window.ort with that backend only, so switching
+     * backends replaces the global.
+     */
+    _loadOrtScript: function(backend) {
+        var bundle = Embedder._ORT_BUNDLES[backend];
         return new Promise(function(resolve, reject) {
-            if (window.ort) {
-                Embedder._ortLoaded = true;
+            if (Embedder._ortBundle === bundle && window.ort) {
                 resolve();
                 return;
             }
 
             try {
-                // Locate the ort.webgl.min.js bundle in node_modules
-                // require.resolve returns dist/ort-web.node.js, so we go up to the package root
-                var ortMainPath = require.resolve('onnxruntime-web').replace(/\\/g, '/');
-                // Strip everything after node_modules/onnxruntime-web/
-                var ortDir = ortMainPath.replace(/(\/onnxruntime-web\/).*$/, '$1');
-                var ortWebglPath = ortDir + 'dist/ort.webgl.min.js';
-                var ortUrl = 'file:///' + ortWebglPath;
+                var distUrl = Embedder._ortDistUrl();
+                var ortUrl = distUrl + bundle;
 
-                console.log('Embedder: Loading ORT WebGL from', ortUrl);
+                console.log('Embedder: Loading ORT ' + backend + ' from', ortUrl);
+                window.ort = undefined;
+                Embedder._ortBundle = null;
 
                 var script = document.createElement('script');
                 script.src = ortUrl;
 
                 script.onload = function() {
                     if (window.ort) {
-                        Embedder._ortLoaded = true;
-                        console.log('Embedder: ORT WebGL loaded, version:',
+                        Embedder._ortBundle = bundle;
+                        if (backend === 'wasm') {
+                            // Single-threaded, in-page: Eagle has no SharedArrayBuffer
+                            window.ort.env.wasm.numThreads = 1;
+                            window.ort.env.wasm.proxy = false;
+                            window.ort.env.wasm.wasmPaths = distUrl;
+                        }
+                        console.log('Embedder: ORT ' + backend + ' loaded, version:',
                                     window.ort.env && window.ort.env.versions
                                         ? window.ort.env.versions.common : 'unknown');
                         resolve();
@@ -113,7 +378,7 @@ var Embedder = {
                 };
 
                 script.onerror = function() {
-                    reject(new Error('Failed to load ort.webgl.min.js'));
+                    reject(new Error('Failed to load ' + bundle));
                 };
 
                 document.head.appendChild(script);
@@ -123,6 +388,90 @@ var Embedder = {
         });
     },
 
+    /**
+     * Add a tensor to an ONNX model's graph outputs
+     * Minimal protobuf surgery: ModelProto.graph (field 7) gets one more
+     * GraphProto.output (field 12) = ValueInfoProto { name, type: float tensor }.
+     * @param {Uint8Array} bytes - Serialized ModelProto
+     * @param {string} tensorName - Existing node output to expose
+     * @returns {Uint8Array} Patched model
+     */
+    _exposeOutput: function(bytes, tensorName) {
+        var name = new TextEncoder().encode(tensorName);
+        // TypeProto { tensor_type: { elem_type: FLOAT } }
+        var typeProto = [0x0a, 0x02, 0x08, 0x01];
+        var valueInfo = [0x0a].concat(Embedder._varint(name.length), Array.from(name),
+                                      [0x12, typeProto.length], typeProto);
+        var outputField = [0x62].concat(Embedder._varint(valueInfo.length), valueInfo);
+
+        var parts = [];
+        var pos = 0;
+        var patchedGraph = false;
+        while (pos < bytes.length) {
+            var start = pos;
+            var key = Embedder._readVarint(bytes, pos);
+            pos = key.pos;
+            var field = Math.floor(key.value / 8);
+            var wireType = key.value % 8;
+
+            if (wireType === 0) {
+                pos = Embedder._readVarint(bytes, pos).pos;
+            } else if (wireType === 1) {
+                pos += 8;
+            } else if (wireType === 5) {
+                pos += 4;
+            } else if (wireType === 2) {
+                var len = Embedder._readVarint(bytes, pos);
+                var end = len.pos + len.value;
+                if (field === 7 && !patchedGraph) {
+                    var graph = bytes.subarray(len.pos, end);
+                    var newLen = graph.length + outputField.length;
+                    parts.push(Uint8Array.from([0x3a].concat(Embedder._varint(newLen))));
+                    parts.push(graph);
+                    parts.push(Uint8Array.from(outputField));
+                    patchedGraph = true;
+                    pos = end;
+                    continue;
+                }
+                pos = end;
+            } else {
+                throw new Error('Unsupported protobuf wire type ' + wireType);
+            }
+            parts.push(bytes.subarray(start, pos));
+        }
+        if (!patchedGraph) throw new Error('Model has no graph');
+
+        var total = 0;
+        for (var i = 0; i < parts.length; i++) total += parts[i].length;
+        var out = new Uint8Array(total);
+        var offset = 0;
+        for (var j = 0; j < parts.length; j++) {
+            out.set(parts[j], offset);
+            offset += parts[j].length;
+        }
+        return out;
+    },
+
+    _varint: function(value) {
+        var out = [];
+        while (value > 127) {
+            out.push((value % 128) | 0x80);
+            value = Math.floor(value / 128);
+        }
+        out.push(value);
+        return out;
+    },
+
+    _readVarint: function(bytes, pos) {
+        var value = 0, mult = 1, b;
+        do {
+            b = bytes[pos++];
+            value += (b & 0x7f) * mult;
+            mult *= 128;
+        } while (b & 0x80);
+        return { value: value, pos: pos };
+    },
+
     isReady: function() {
         return Embedder._ready;
     },
@@ -134,44 +483,105 @@ var Embedder = {
     /**
      * Compute embedding for an image file
      * @param {string} filePath - Path to the image file
-     * @returns {number[]} L2-normalized embedding vector (1000-dim)
+     * @param {Object} [crop] - Region to embed instead of the whole image (see Hasher.cropRect)
+     * @returns {number[]} L2-normalized embedding vector (model.dim)
      */
-    computeEmbedding: async function(filePath) {
+    computeEmbedding: async function(filePath, crop) {
         if (!Embedder._ready) {
             throw new Error('Embedder not initialized');
         }
+        var model = Embedder._model;
 
         // Preprocess image to tensor
-        var tensor = await Embedder._preprocessImage(filePath);
+        var tensor = await Embedder._preprocessImage(filePath, crop);
 
         // Run inference
+        var output = await Embedder._runModel(tensor);
+
+        // Pool to a flat vector and L2-normalize
+        var data = Embedder._pool(output.data, output.dims, model.pooling);
+        if (data.length !== model.dim) {
+            throw new Error('Model output has ' + data.length + ' values, descriptor says ' + model.dim);
+        }
+        var embedding = Embedder.l2Normalize(data);
+        return Whitening.isActive(model.id) ? Whitening.transform(embedding) : embedding;
+    },
+
+    /**
+     * Run the session on one input tensor
+     * @returns {{data: Float32Array, dims: number[]}} The model's configured output
+     */
+    _runModel: async function(tensor) {
         var inputName = Embedder._session.inputNames[0];
         var feeds = {};
         feeds[inputName] = tensor;
 
-        var results = await Embedder._session.run(feeds);
-        var outputName = Embedder._session.outputNames[0];
-        var output = results[outputName];
+        var outputName = Embedder._model.output || Embedder._session.outputNames[0];
+        var results = await Embedder._session.run(feeds, [outputName]);
+        return results[outputName];
+    },
+
+    /**
+     * Input tensor for the active backend
+     */
+    _createTensor: function(data, dims) {
+        if (Embedder._backend === 'js') return JsRuntime.tensor(data, dims);
+        return new window.ort.Tensor('float32', data, dims);
+    },
+
+    /**
+     * Reduce a model output to a flat vector
+     * [1, D]          -> as is
+     * [1, C, H, W]    -> 'mean' averages each channel over H x W
+     * [1, N, D]       -> 'mean' averages the N tokens, 'cls' takes token 0
+     */
+    _pool: function(data, dims, pooling) {
+        if (pooling === 'none' || !dims || dims.length <= 2) {
+            return Array.from(data);
+        }
 
-        // Extract data and L2-normalize
-        var data = Array.from(output.data);
-        return Embedder._l2Normalize(data);
+        if (dims.length === 4 && pooling === 'mean') {
+            var channels = dims[1], spatial = dims[2] * dims[3];
+            var out = new Array(channels);
+            for (var c = 0; c < channels; c++) {
+                var sum = 0;
+                for (var s = 0; s < spatial; s++) sum += data[c * spatial + s];
+                out[c] = sum / spatial;
+            }
+            return out;
+        }
+
+        if (dims.length === 3) {
+            var tokens = dims[1], dim = dims[2];
+            if (pooling === 'cls') {
+                return Array.from(data.subarray ? data.subarray(0, dim) : data.slice(0, dim));
+            }
+            var mean = new Array(dim).fill(0);
+            for (var t = 0; t < tokens; t++) {
+                for (var i = 0; i < dim; i++) mean[i] += data[t * dim + i];
+            }
+            for (var j = 0; j < dim; j++) mean[j] /= tokens;
+            return mean;
+        }
+
+        return Array.from(data);
     },
 
     /**
-     * Preprocess image for MobileNet V2:
-     * 1. Load image via Canvas
-     * 2. Resize to 224x224
+     * Preprocess image for the active model:
+     * 1. Load image via Canvas (optionally cropped)
+     * 2. Resize to model.inputSize square
      * 3. Convert RGBA to CHW float32
-     * 4. Apply ImageNet normalization
+     * 4. Apply the model's mean/std normalization
      *
      * @param {string} filePath - Path to image
-     * @returns {ort.Tensor} Input tensor [1, 3, 224, 224]
+     * @param {Object} [crop] - { x, y, width, height } in 0-1
+     * @returns {ort.Tensor} Input tensor [1, 3, size, size] (plain object on the js backend)
      */
-    _preprocessImage: function(filePath) {
-        var size = Embedder._INPUT_SIZE;
-        var mean = Embedder._MEAN;
-        var std = Embedder._STD;
+    _preprocessImage: function(filePath, crop) {
+        var size = Embedder._model.inputSize;
+        var mean = Embedder._model.mean;
+        var std = Embedder._model.std;
 
         return new Promise(function(resolve, reject) {
             var img = new window.Image();
@@ -184,16 +594,21 @@ var Embedder = {
             img.onload = function() {
                 clearTimeout(timeout);
                 try {
-                    // Draw to 224x224 canvas
+                    // Draw to size x size canvas
                     var canvas = document.createElement('canvas');
                     canvas.width = size;
                     canvas.height = size;
                     var ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0, size, size);
+                    if (crop) {
+                        var rect = Hasher.cropRect(img.naturalWidth, img.naturalHeight, crop);
+                        ctx.drawImage(img, rect.sx, rect.sy, rect.sw, rect.sh, 0, 0, size, size);
+                    } else {
+                        ctx.drawImage(img, 0, 0, size, size);
+                    }
                     var imageData = ctx.getImageData(0, 0, size, size);
                     var pixels = imageData.data; // RGBA Uint8
 
-                    // Convert to CHW float32 with ImageNet normalization
+                    // Convert to CHW float32 with the model's normalization
                     var totalPixels = size * size;
                     var float32Data = new Float32Array(3 * totalPixels);
 
@@ -207,8 +622,7 @@ var Embedder = {
                         float32Data[2 * totalPixels + i] = (pixels[base + 2] / 255 - mean[2]) / std[2];
                     }
 
-                    var tensor = new window.ort.Tensor('float32', float32Data, [1, 3, size, size]);
-                    resolve(tensor);
+                    resolve(Embedder._createTensor(float32Data, [1, 3, size, size]));
                 } catch (err) {
                     reject(err);
                 }
@@ -224,11 +638,11 @@ var Embedder = {
     },
 
     /**
-     * L2-normalize a vector
+     * L2-normalize a vector (scale it to unit length)
      * @param {number[]} vec - Input vector
      * @returns {number[]} Normalized vector
      */
-    _l2Normalize: function(vec) {
+    l2Normalize: function(vec) {
         var sumSq = 0;
         for (var i = 0; i < vec.length; i++) {
             sumSq += vec[i] * vec[i];
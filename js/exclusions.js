@@ -0,0 +1,135 @@
+/**
+ * exclusions.js - Items kept out of the index and out of results
+ * Rules are per library; an item matching any rule is never hashed or
+ * embedded, and findSimilar skips it even if it is still cached.
+ *
+ * Rule shapes:
+ *   { type: 'folder', value: folderId }      folder and its subfolders
+ *   { type: 'tag', value: 'scratch' }        case-insensitive
+ *   { type: 'ext', value: 'svg' }
+ *   { type: 'minSize', width, height }       smaller than width x height
+ *   { type: 'name', value: '*_export*' }     glob on the item name (* and ?)
+ */
+
+const Exclusions = {
+
+    TYPES: ['folder', 'tag', 'ext', 'minSize', 'name'],
+
+    _rules: [],
+    _patterns: [],  // compiled name globs, parallel to _rules
+
+    /**
+     * Replace the rule list (invalid rules are dropped)
+     * @param {Object[]} rules
+     */
+    setRules(rules) {
+        Exclusions._rules = (Array.isArray(rules) ? rules : [])
+            .map(Exclusions.normalizeRule)
+            .filter(Boolean);
+        Exclusions._patterns = Exclusions._rules.map(rule =>
+            rule.type === 'name' ? Exclusions._globToRegExp(rule.value) : null);
+    },
+
+    getRules() {
+        return Exclusions._rules.map(rule => Object.assign({}, rule));
+    },
+
+    hasRules() {
+        return Exclusions._rules.length > 0;
+    },
+
+    /**
+     * A rule in canonical form (trimmed value, bare lowercase extension, integer sizes)
+     * @returns {Object|null} null if the rule is incomplete or of an unknown type
+     */
+    normalizeRule(rule) {
+        if (!rule || Exclusions.TYPES.indexOf(rule.type) === -1) return null;
+        if (rule.type === 'minSize') {
+            const width = Math.max(0, parseInt(rule.width) || 0);
+            const height = Math.max(0, parseInt(rule.height) || 0);
+            return (width || height) ? { type: 'minSize', width, height } : null;
+        }
+        let value = String(rule.value || '').trim();
+        if (rule.type === 'ext') value = value.replace(/^\./, '').toLowerCase();
+        return value ? { type: rule.type, value } : null;
+    },
+
+    /**
+     * Case-insensitive, whole-name glob
+     */
+    _globToRegExp(glob) {
+        const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${escaped}$`, 'i');
+    },
+
+    /**
+     * Whether an Eagle item matches any rule
+     */
+    isExcluded(item) {
+        if (!item) return false;
+        const rules = Exclusions._rules;
+        for (let i = 0; i < rules.length; i++) {
+            const rule = rules[i];
+            switch (rule.type) {
+                case 'folder': {
+                    const folders = Filters.folderWithDescendants(rule.value);
+                    if ((item.folders || []).some(id => folders.has(id))) return true;
+                    break;
+                }
+                case 'tag':
+                    if ((item.tags || []).some(tag => tag.toLowerCase() === rule.value.toLowerCase())) return true;
+                    break;
+                case 'ext':
+                    if ((item.ext || '').toLowerCase() === rule.value) return true;
+                    break;
+                case 'minSize':
+                    // Unknown dimensions are not treated as small
+                    if (item.width && item.height &&
+                        (item.width < rule.width || item.height < rule.height)) return true;
+                    break;
+                case 'name':
+                    if (Exclusions._patterns[i].test(item.name || '')) return true;
+                    break;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * IDs of the excluded items among a list
+     * @returns {Set<string>}
+     */
+    excludedIds(items) {
+        const excluded = new Set();
+        if (!Exclusions.hasRules()) return excluded;
+        for (const item of items) {
+            if (Exclusions.isExcluded(item)) excluded.add(item.id);
+        }
+        return excluded;
+    },
+
+    /**
+     * Human-readable rule description
+     * @param {Object} rule
+     * @param {Map<string, string>} [folderNames] - folder ID -> name
+     */
+    describe(rule, folderNames) {
+        switch (rule.type) {
+            case 'folder':
+                return `Folder "${(folderNames && folderNames.get(rule.value)) || rule.value}"`;
+            case 'tag':
+                return `Tag "${rule.value}"`;
+            case 'ext':
+                return `Type ${rule.value.toUpperCase()}`;
+            case 'minSize':
+                return `Smaller than ${rule.width || 'any'} × ${rule.height || 'any'} px`;
+            case 'name':
+                return `Name matches "${rule.value}"`;
+        }
+        return '';
+    }
+};
+
+window.Exclusions = Exclusions;
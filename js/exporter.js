@@ -0,0 +1,299 @@
+/**
+ * exporter.js - Reports for people who don't use Eagle
+ * Turns search results or duplicate groups into one flat row list and writes
+ * it as CSV, JSON and a self-contained HTML contact sheet (Eagle thumbnails
+ * inlined as data URIs, up to MAX_REPORT_INLINE_BYTES) into a folder the user picks.
+ *
+ * Every row pairs a reference item (the query, or a duplicate group's first
+ * member) with one item and its scores: combined plus the pHash, colour and
+ * neural components (blank where a component couldn't be compared).
+ */
+
+// fs and nodePath already declared in cache.js (shared global scope)
+
+const Exporter = {
+
+    COLUMNS: [
+        'group', 'query_id', 'query_name', 'rank', 'id', 'name', 'ext', 'file_path',
+        'width', 'height', 'tags', 'score', 'phash', 'color', 'neural'
+    ],
+    MAX_INLINE_BYTES: 512 * 1024,        // larger thumbnails are left out of the contact sheet
+    MAX_REPORT_INLINE_BYTES: 64 * 1024 * 1024,  // per contact sheet; later cards show "no preview"
+    IMAGE_TYPES: {
+        jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif',
+        webp: 'image/webp', bmp: 'image/bmp', svg: 'image/svg+xml', avif: 'image/avif', ico: 'image/x-icon'
+    },
+
+    /**
+     * One report row
+     * @param {number} group - 1-based group (query) number
+     * @param {Object} reference - { id, name } the scores are relative to
+     * @param {number} rank - 0 for the reference itself
+     * @param {string} id - Item ID
+     * @param {Object|null} item - Eagle item
+     * @param {number|null} score - Combined score
+     * @param {Object|null} components - Similarity.componentScores()
+     */
+    _row(group, reference, rank, id, item, score, components) {
+        const round = (value) => (typeof value === 'number' ? Math.round(value * 1000) / 1000 : null);
+        return {
+            group,
+            query_id: reference.id || '',
+            query_name: reference.name || '',
+            rank,
+            id,
+            name: (item && item.name) || '',
+            ext: (item && item.ext) || '',
+            file_path: (item && item.filePath) || '',
+            width: (item && item.width) || null,
+            height: (item && item.height) || null,
+            tags: (item && item.tags) || [],
+            score: round(score),
+            phash: round(components && components.phash),
+            color: round(components && components.color),
+            neural: round(components && components.neural),
+            // Only Eagle's thumbnail is inlined - originals can be huge
+            _thumbnail: (item && item.thumbnailPath) || ''
+        };
+    },
+
+    /**
+     * Report for a result set
+     * @param {Object} search
+     * @param {Object} search.queryData - Query fingerprint the results were ranked with
+     * @param {Object[]|null} search.queryItems - Query items, null for a dropped file
+     * @param {string} [search.queryLabel] - Shown when there are no query items
+     * @param {Array<{id, score, matchedQuery?}>} search.results
+     * @param {string} search.mode - Search mode
+     * @param {number} search.threshold - Percent
+     * @param {Object} [search.crop] - Area of the query item that was searched
+     * @param {Object} search.cacheItems - Cache items map
+     * @param {Map<string, Object>} search.itemsMap - Eagle items by ID
+     */
+    searchReport({ queryData, queryItems, queryLabel, results, mode, threshold, crop, cacheItems, itemsMap }) {
+        const queries = (queryItems && queryItems.length > 0)
+            ? queryItems.map(item => ({ id: item.id, name: item.name }))
+            : [{ id: '', name: queryLabel || 'Dropped image' }];
+        const ranks = queries.map(() => 0);
+
+        const rows = [];
+        for (const result of results) {
+            const index = typeof result.matchedQuery === 'number' ? result.matchedQuery : 0;
+            const reference = queries[index] || queries[0];
+            ranks[index]++;
+            const candidate = cacheItems[result.id];
+            const components = candidate
+                ? Similarity.componentScores(queryData, candidate, result.matchedQuery)
+                : null;
+            rows.push(Exporter._row(index + 1, reference, ranks[index], result.id,
+                itemsMap.get(result.id), result.score, components));
+        }
+        rows.sort((a, b) => a.group - b.group || a.rank - b.rank);
+
+        return {
+            kind: 'results',
+            title: `Similar to ${queries.map(q => q.name).join(', ')}`,
+            createdAt: new Date().toISOString(),
+            settings: {
+                mode,
+                threshold,
+                area: crop
+                    ? [crop.x, crop.y, crop.width, crop.height].map(v => `${Math.round(v * 100)}%`).join(' ')
+                    : undefined
+            },
+            queries,
+            rows
+        };
+    },
+
+    /**
+     * Report for a library-wide duplicate scan
+     * Each group's first member is the reference; it gets rank 0 and no scores.
+     * @param {string[][]} groups - Groups of item IDs
+     */
+    duplicatesReport({ groups, mode, strictness, cacheItems, itemsMap }) {
+        const rows = [];
+        groups.forEach((group, g) => {
+            const first = itemsMap.get(group[0]);
+            const reference = { id: group[0], name: (first && first.name) || '' };
+            group.forEach((id, rank) => {
+                const item = itemsMap.get(id);
+                if (rank === 0) {
+                    rows.push(Exporter._row(g + 1, reference, 0, id, item, null, null));
+                    return;
+                }
+                const a = cacheItems[group[0]];
+                const b = cacheItems[id];
+                const score = (a && b) ? Similarity.combinedScore(a, b, mode) : null;
+                const components = (a && b) ? Similarity.componentScores(a, b) : null;
+                rows.push(Exporter._row(g + 1, reference, rank, id, item, score, components));
+            });
+        });
+
+        return {
+            kind: 'duplicates',
+            title: `${groups.length} duplicate groups`,
+            createdAt: new Date().toISOString(),
+            settings: { mode, strictness },
+            queries: [],
+            rows
+        };
+    },
+
+    /**
+     * One CSV cell, quoted when needed
+     * Text starting like a formula (=, +, -, @) gets a leading ' so spreadsheets
+     * show it instead of evaluating it.
+     */
+    _csvField(value) {
+        if (value === null || value === undefined) return '';
+        let text = Array.isArray(value) ? value.join('; ') : String(value);
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    toCSV(report) {
+        const lines = [Exporter.COLUMNS.join(',')];
+        for (const row of report.rows) {
+            lines.push(Exporter.COLUMNS.map(column => Exporter._csvField(row[column])).join(','));
+        }
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    toJSON(report) {
+        const rows = report.rows.map(row => {
+            const out = {};
+            for (const column of Exporter.COLUMNS) out[column] = row[column];
+            return out;
+        });
+        return JSON.stringify({ ...report, rows }, null, 2);
+    },
+
+    _escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    },
+
+    /**
+     * Image file as a data URI, or null if it is unreadable or too large to inline
+     * @param {{left: number}} [budget] - Bytes the report may still inline, reduced by what this takes
+     */
+    _dataUri(filePath, budget) {
+        if (!filePath) return null;
+        const mime = Exporter.IMAGE_TYPES[nodePath.extname(filePath).slice(1).toLowerCase()];
+        if (!mime) return null;
+        try {
+            const size = fs.statSync(filePath).size;
+            if (size > Exporter.MAX_INLINE_BYTES) return null;
+            if (budget) {
+                if (size > budget.left) return null;
+                budget.left -= size;
+            }
+            return `data:${mime};base64,${fs.readFileSync(filePath).toString('base64')}`;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Contact sheet: one section per group, a card per row
+     */
+    toHTML(report) {
+        const esc = Exporter._escapeHtml;
+        const percent = (value) => (typeof value === 'number' ? `${Math.round(value * 100)}%` : '–');
+
+        const groups = new Map();
+        for (const row of report.rows) {
+            if (!groups.has(row.group)) groups.set(row.group, []);
+            groups.get(row.group).push(row);
+        }
+
+        const budget = { left: Exporter.MAX_REPORT_INLINE_BYTES };
+        const sections = [];
+        for (const [group, rows] of groups) {
+            const heading = report.kind === 'duplicates'
+                ? `Group ${group} (${rows.length} items)`
+                : `Query: ${rows[0].query_name}`;
+            const cards = rows.map(row => {
+                const src = Exporter._dataUri(row._thumbnail, budget);
+                const img = src ? `<img src="${src}" alt="">` : '<div class="noimg">no preview</div>';
+                const dims = row.width && row.height ? `${row.width}×${row.height}` : '';
+                const scores = row.score === null
+                    ? '<div class="score">reference</div>'
+                    : `<div class="score">${percent(row.score)}</div>` +
+                      `<div class="parts">pHash ${percent(row.phash)} · colour ${percent(row.color)} · neural ${percent(row.neural)}</div>`;
+                return `<div class="card">${img}<div class="name" title="${esc(row.file_path)}">${esc(row.name)}</div>` +
+                       `<div class="meta">${esc([row.ext.toUpperCase(), dims].filter(Boolean).join(' · '))}</div>` +
+                       `${scores}<div class="tags">${esc(row.tags.join(', '))}</div></div>`;
+            });
+            sections.push(`<section><h2>${esc(heading)}</h2><div class="grid">${cards.join('')}</div></section>`);
+        }
+
+        const settings = Object.entries(report.settings)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}: ${value}`).join(' · ');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(report.title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 18px; margin: 0 0 4px; }
+h2 { font-size: 14px; margin: 24px 0 8px; }
+.sub { color: #777; font-size: 12px; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 12px; }
+.card { border: 1px solid #ddd; border-radius: 6px; padding: 6px; font-size: 11px; break-inside: avoid; }
+.card img, .noimg { width: 100%; aspect-ratio: 1; object-fit: contain; background: #f4f4f4; border-radius: 4px; display: block; }
+.noimg { display: flex; align-items: center; justify-content: center; color: #aaa; }
+.name { font-weight: 600; margin-top: 4px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.meta, .parts, .tags { color: #777; }
+.score { font-size: 13px; font-weight: 600; color: #2979ff; }
+</style>
+</head>
+<body>
+<h1>${esc(report.title)}</h1>
+<div class="sub">${esc(new Date(report.createdAt).toLocaleString())} · ${esc(settings)}</div>
+${sections.join('\n')}
+</body>
+</html>
+`;
+    },
+
+    /**
+     * Ask the user for a folder
+     * @returns {Promise<string|null>} null if cancelled
+     */
+    async chooseFolder() {
+        const result = await eagle.dialog.showOpenDialog({
+            title: 'Export to folder',
+            properties: ['openDirectory', 'createDirectory']
+        });
+        if (!result || result.canceled || !result.filePaths || result.filePaths.length === 0) return null;
+        return result.filePaths[0];
+    },
+
+    /**
+     * Write a report as .csv, .json and .html
+     * @param {string} dir - Target folder
+     * @param {Object} report - searchReport() or duplicatesReport()
+     * @returns {string[]} Paths written
+     */
+    write(dir, report) {
+        const stamp = report.createdAt.replace(/\..*$/, '').replace(/[-:]/g, '').replace('T', '-');
+        const base = nodePath.join(dir, `find-by-media-${report.kind}-${stamp}`);
+        const files = [
+            [`${base}.csv`, Exporter.toCSV(report)],
+            [`${base}.json`, Exporter.toJSON(report)],
+            [`${base}.html`, Exporter.toHTML(report)]
+        ];
+        for (const [filePath, contents] of files) {
+            fs.writeFileSync(filePath, contents);
+        }
+        return files.map(([filePath]) => filePath);
+    }
+};
+
+window.Exporter = Exporter;
@@ -0,0 +1,144 @@
+/**
+ * filters.js - Metadata filters for search results
+ * Restricts results by Eagle item metadata: folder (including subfolders),
+ * tags, file type, minimum dimensions, star rating and import date.
+ *
+ * A filter is a plain criteria object, so it can be saved as a preset:
+ *   { folder, tags: [], ext, minWidth, minHeight, minRating, importedAfter }
+ * Empty / zero fields are ignored. Filters run before ranking: findSimilar
+ * only scores items in the allowed set.
+ */
+
+const Filters = {
+
+    EMPTY: {
+        folder: '',
+        tags: [],
+        ext: '',
+        minWidth: 0,
+        minHeight: 0,
+        minRating: 0,
+        importedAfter: ''   // YYYY-MM-DD
+    },
+
+    _folderTree: new Map(),  // folder ID -> Set of itself + descendant IDs
+
+    /**
+     * Fill in missing fields of a (possibly persisted) criteria object
+     */
+    normalize(criteria) {
+        const c = Object.assign({}, Filters.EMPTY, criteria || {});
+        c.tags = Array.isArray(c.tags)
+            ? c.tags.map(t => String(t).trim()).filter(Boolean)
+            : [];
+        c.ext = (c.ext || '').toLowerCase();
+        c.minWidth = Math.max(0, parseInt(c.minWidth) || 0);
+        c.minHeight = Math.max(0, parseInt(c.minHeight) || 0);
+        c.minRating = Math.max(0, Math.min(5, parseInt(c.minRating) || 0));
+        return c;
+    },
+
+    /**
+     * Whether any criterion is set
+     */
+    isActive(criteria) {
+        const c = Filters.normalize(criteria);
+        return !!(c.folder || c.tags.length > 0 || c.ext || c.minWidth || c.minHeight ||
+                  c.minRating || c.importedAfter);
+    },
+
+    /**
+     * Remember the folder hierarchy so a folder filter also matches subfolders
+     * @param {Object[]} folders - eagle.folder.getAll() result (nested via `children`)
+     * @returns {Array<{id: string, name: string, depth: number}>} Folders flattened in tree order
+     */
+    setFolders(folders) {
+        const flat = [];
+        Filters._folderTree = new Map();
+
+        const walk = (folder, depth) => {
+            const ids = new Set([folder.id]);
+            flat.push({ id: folder.id, name: folder.name, depth });
+            for (const child of folder.children || []) {
+                for (const id of walk(child, depth + 1)) ids.add(id);
+            }
+            Filters._folderTree.set(folder.id, ids);
+            return ids;
+        };
+        for (const folder of folders || []) walk(folder, 0);
+        return flat;
+    },
+
+    /**
+     * A folder's ID plus the IDs of all its subfolders
+     * @returns {Set<string>}
+     */
+    folderWithDescendants(folderId) {
+        return Filters._folderTree.get(folderId) || new Set([folderId]);
+    },
+
+    /**
+     * Import date of an Eagle item (ms)
+     */
+    itemImported(item) {
+        return item.importedAt || item.btime || 0;
+    },
+
+    /**
+     * Check one Eagle item against normalized criteria
+     */
+    matches(item, c) {
+        if (!item) return false;
+        if (c.ext && (item.ext || '').toLowerCase() !== c.ext) return false;
+        if (c.minWidth && (item.width || 0) < c.minWidth) return false;
+        if (c.minHeight && (item.height || 0) < c.minHeight) return false;
+        if (c.minRating && (item.star || 0) < c.minRating) return false;
+
+        if (c.importedAfter) {
+            const since = new Date(c.importedAfter + 'T00:00:00').getTime();
+            if (!isNaN(since) && Filters.itemImported(item) < since) return false;
+        }
+
+        if (c.tags.length > 0) {
+            const tags = new Set((item.tags || []).map(t => t.toLowerCase()));
+            for (const tag of c.tags) {
+                if (!tags.has(tag.toLowerCase())) return false;
+            }
+        }
+
+        if (c.folder) {
+            const allowed = Filters.folderWithDescendants(c.folder);
+            if (!(item.folders || []).some(id => allowed.has(id))) return false;
+        }
+        return true;
+    },
+
+    /**
+     * IDs of the items passing a filter
+     * @param {Object[]} items - Eagle items (App.allItems)
+     * @param {Object} criteria - Filter criteria
+     * @returns {Set<string>|null} null when the filter is empty (everything passes)
+     */
+    allowedIds(items, criteria) {
+        if (!Filters.isActive(criteria)) return null;
+        const c = Filters.normalize(criteria);
+        const allowed = new Set();
+        for (const item of items) {
+            if (Filters.matches(item, c)) allowed.add(item.id);
+        }
+        return allowed;
+    },
+
+    /**
+     * File types present in a library, for the type selector
+     */
+    extensions(items) {
+        const exts = new Set();
+        for (const item of items) {
+            if (item.ext) exts.add(item.ext.toLowerCase());
+        }
+        return Array.from(exts).sort();
+    }
+};
+
+window.Filters = Filters;
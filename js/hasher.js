@@ -1,6 +1,21 @@
 /**
  * hasher.js - Image hashing engine
- * Canvas-based pHash (via blockhash-js) + Color Histogram computation
+ * Canvas-based pHash (blockhash, dHash, aHash or wavelet) + colour features (see colorspace.js, palette.js)
+ *
+ * Every function taking a `crop` works on that part of the image only:
+ * { x, y, width, height } as fractions (0-1) of the image size, so the same
+ * rectangle fits the thumbnail and the original.
+ *
+ * Besides the pHash itself, phase 1 stores hashes for finding transformed
+ * copies (see Similarity.structuralMatch): `variantHashes`, the pHashes of
+ * the image mirrored, flipped and rotated (one per TRANSFORMS entry, back to
+ * back), and `cropHash`, the pHash of its centre without CROP_MARGIN.
+ *
+ * The pHash algorithm and length are configurable (see ALGORITHMS and
+ * configure); entries record theirs as `hashAlgorithm`, e.g. 'dhash-16'.
+ * Extra algorithms can be hashed alongside for duplicate checks:
+ * `extraHashes` holds their hashes back to back and `extraHashAlgorithms`
+ * their IDs in the same order.
  */
 
 const { bmvbhash } = require('blockhash-core');
@@ -10,21 +25,189 @@ const Hasher = {
     PHASH_SIZE: 32,
     PHASH_BITS: 16,
     HIST_SIZE: 64,
-    BINS_PER_CHANNEL: 4,
+    BITS_OPTIONS: [8, 16],         // hash side: 8 = 64-bit hash, 16 = 256-bit hash
+    DEFAULT_ALGORITHM: 'blockhash',
+    LEGACY_ALGORITHM_ID: 'blockhash-16',  // what entries without hashAlgorithm hold
+
+    // Hash algorithms on PHASH_SIZE x PHASH_SIZE RGBA pixels; each returns bits x bits hash bits
+    ALGORITHMS: {
+        blockhash: {
+            label: 'Blockhash',
+            hash: (data, bits) => Hasher.packHash(bmvbhash(
+                { width: Hasher.PHASH_SIZE, height: Hasher.PHASH_SIZE, data }, bits))
+        },
+        dhash: {
+            // Brightness gradient between neighbours: unaffected by overall brightness changes
+            label: 'dHash',
+            hash: (data, bits) => {
+                const grid = Hasher._resample(Hasher._gray(data), bits + 1, bits);
+                const out = [];
+                for (let y = 0; y < bits; y++) {
+                    for (let x = 0; x < bits; x++) out.push(grid[y * (bits + 1) + x] < grid[y * (bits + 1) + x + 1]);
+                }
+                return Hasher._packBits(out);
+            }
+        },
+        ahash: {
+            label: 'aHash',
+            hash: (data, bits) => {
+                const grid = Hasher._resample(Hasher._gray(data), bits, bits);
+                const mean = grid.reduce((sum, v) => sum + v, 0) / grid.length;
+                return Hasher._packBits(grid.map(v => v > mean));
+            }
+        },
+        whash: {
+            // Haar low band against its median: smooths out compression blocking
+            label: 'Wavelet',
+            hash: (data, bits) => {
+                const band = Hasher._haarLowBand(Hasher._gray(data), Hasher.PHASH_SIZE, bits);
+                const median = band.slice().sort((a, b) => a - b)[band.length >> 1];
+                return Hasher._packBits(band.map(v => v > median));
+            }
+        }
+    },
+
+    _algorithm: 'blockhash',
+    _bits: 16,
+    _extras: [],
+
+    /**
+     * Choose the pHash algorithm, its length and any extra algorithms
+     * @param {Object} config
+     * @param {string} config.algorithm - Key of ALGORITHMS
+     * @param {number} config.bits - One of BITS_OPTIONS
+     * @param {string[]} [config.extras] - Keys of ALGORITHMS hashed alongside
+     */
+    configure({ algorithm, bits, extras }) {
+        Hasher._algorithm = Hasher.ALGORITHMS[algorithm] ? algorithm : Hasher.DEFAULT_ALGORITHM;
+        Hasher._bits = Hasher.BITS_OPTIONS.includes(bits) ? bits : Hasher.PHASH_BITS;
+        Hasher._extras = (extras || []).filter(name => Hasher.ALGORITHMS[name] && name !== Hasher._algorithm);
+    },
+
+    /**
+     * The configuration in use, as accepted by configure
+     */
+    getConfig() {
+        return { algorithm: Hasher._algorithm, bits: Hasher._bits, extras: Hasher._extras.slice() };
+    },
+
+    algorithmId(name, bits) {
+        return `${name}-${bits}`;
+    },
+
+    /**
+     * ID of the configured pHash algorithm, e.g. 'blockhash-16'
+     */
+    getAlgorithmId() {
+        return Hasher.algorithmId(Hasher._algorithm, Hasher._bits);
+    },
+
+    /**
+     * IDs of the configured extra algorithms
+     */
+    getExtraAlgorithmIds() {
+        return Hasher._extras.map(name => Hasher.algorithmId(name, Hasher._bits));
+    },
+
+    /**
+     * Grayscale values of RGBA pixels (transparent counts as white)
+     */
+    _gray(data) {
+        const gray = new Float32Array(data.length / 4);
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            gray[p] = data[i + 3] < 128 ? 255 : 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+        return gray;
+    },
+
+    /**
+     * Box-average a square PHASH_SIZE grayscale image to width x height
+     */
+    _resample(gray, width, height) {
+        const size = Hasher.PHASH_SIZE;
+        const sums = new Float32Array(width * height);
+        const counts = new Float32Array(width * height);
+        for (let y = 0; y < size; y++) {
+            const ty = Math.floor(y * height / size);
+            for (let x = 0; x < size; x++) {
+                const cell = ty * width + Math.floor(x * width / size);
+                sums[cell] += gray[y * size + x];
+                counts[cell]++;
+            }
+        }
+        return Array.from(sums, (sum, i) => (counts[i] > 0 ? sum / counts[i] : 0));
+    },
+
+    /**
+     * Haar approximation band: halve the image (2x2 averages) until it is bits wide
+     */
+    _haarLowBand(gray, size, bits) {
+        let band = Array.from(gray);
+        while (size > bits) {
+            const half = size / 2;
+            const next = new Array(half * half);
+            for (let y = 0; y < half; y++) {
+                for (let x = 0; x < half; x++) {
+                    const i = 2 * y * size + 2 * x;
+                    next[y * half + x] = (band[i] + band[i + 1] + band[i + size] + band[i + size + 1]) / 4;
+                }
+            }
+            band = next;
+            size = half;
+        }
+        return band;
+    },
+
+    /**
+     * Pack booleans into 32-bit words, first bit highest (as packHash does with hex)
+     */
+    _packBits(bits) {
+        const words = new Uint32Array(Math.ceil(bits.length / 32));
+        bits.forEach((bit, i) => {
+            if (bit) words[i >> 5] |= (1 << (31 - (i & 31)));
+        });
+        return words;
+    },
+
+    // Dihedral variants other than the image itself
+    TRANSFORMS: ['mirror', 'flip', 'rot90', 'rot180', 'rot270', 'transpose', 'transverse'],
+    CROP_MARGIN: 0.1,  // trimmed from each side for cropHash
 
     /**
      * Convert a file path to a file:// URL with cache-busting
      */
     filePathToURL(filePath) {
+        // Grabbed video frames (see Video.sampleFrames) are already URLs
+        if (filePath.startsWith('data:')) return filePath;
         const normalized = filePath.replace(/\\/g, '/');
         const encoded = encodeURI(normalized).replace(/#/g, '%23');
         return `file:///${encoded}?v=${Math.random() * 101 | 0}`;
     },
 
     /**
-     * Load an image and return canvas context + dimensions
+     * Source rectangle of a crop in image pixels (the whole image without a crop)
+     * @param {number} width - Natural image width
+     * @param {number} height - Natural image height
+     * @param {Object} [crop] - { x, y, width, height } in 0-1
+     * @returns {{sx: number, sy: number, sw: number, sh: number}}
+     */
+    cropRect(width, height, crop) {
+        if (!crop) return { sx: 0, sy: 0, sw: width, sh: height };
+        const clamp = (v) => Math.max(0, Math.min(1, v));
+        const x0 = clamp(crop.x), y0 = clamp(crop.y);
+        const x1 = clamp(crop.x + crop.width), y1 = clamp(crop.y + crop.height);
+        const sx = Math.floor(x0 * width), sy = Math.floor(y0 * height);
+        return {
+            sx, sy,
+            sw: Math.max(1, Math.min(width - sx, Math.round((x1 - x0) * width))),
+            sh: Math.max(1, Math.min(height - sy, Math.round((y1 - y0) * height)))
+        };
+    },
+
+    /**
+     * Load an image (or a crop of it) and return its pixels at targetSize x targetSize
      */
-    loadImage(filePath, targetSize) {
+    loadImage(filePath, targetSize, crop) {
         return new Promise((resolve, reject) => {
             const img = new window.Image();
             const timeout = setTimeout(() => {
@@ -40,7 +223,12 @@ const Hasher = {
                     canvas.width = targetSize;
                     canvas.height = targetSize;
                     const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0, targetSize, targetSize);
+                    if (crop) {
+                        const { sx, sy, sw, sh } = Hasher.cropRect(img.naturalWidth, img.naturalHeight, crop);
+                        ctx.drawImage(img, sx, sy, sw, sh, 0, 0, targetSize, targetSize);
+                    } else {
+                        ctx.drawImage(img, 0, 0, targetSize, targetSize);
+                    }
                     const imageData = ctx.getImageData(0, 0, targetSize, targetSize);
                     resolve(imageData);
                 } catch (err) {
@@ -58,61 +246,137 @@ const Hasher = {
     },
 
     /**
-     * Compute perceptual hash using blockhash-js
-     * Returns 64-char hex string (256 bits)
+     * Pack a hex hash string into 32-bit words (8 hex chars per word)
      */
-    async computePHash(filePath) {
-        const imageData = await Hasher.loadImage(filePath, Hasher.PHASH_SIZE);
-        const hash = bmvbhash(
-            { width: Hasher.PHASH_SIZE, height: Hasher.PHASH_SIZE, data: imageData.data },
-            Hasher.PHASH_BITS
-        );
-        return hash;
+    packHash(hex) {
+        const words = new Uint32Array(Math.ceil(hex.length / 8));
+        for (let i = 0; i < words.length; i++) {
+            words[i] = parseInt(hex.substr(i * 8, 8).padEnd(8, '0'), 16) >>> 0;
+        }
+        return words;
     },
 
     /**
-     * Compute color histogram (4x4x4 = 64 bins, normalized)
-     * Returns array of 64 floats
+     * Hash PHASH_SIZE x PHASH_SIZE RGBA pixels
+     * @param {string} [name] - Key of ALGORITHMS (default: the configured one)
      */
-    async computeColorHistogram(filePath) {
-        const imageData = await Hasher.loadImage(filePath, Hasher.HIST_SIZE);
-        const data = imageData.data;
-        const totalBins = Math.pow(Hasher.BINS_PER_CHANNEL, 3); // 64
-        const histogram = new Float32Array(totalBins);
-        let pixelCount = 0;
-
-        for (let i = 0; i < data.length; i += 4) {
-            const alpha = data[i + 3];
-            if (alpha < 128) continue; // skip transparent
+    _hash(data, name) {
+        return Hasher.ALGORITHMS[name || Hasher._algorithm].hash(data, Hasher._bits);
+    },
 
-            const rBin = Math.min(Math.floor(data[i] / 64), 3);
-            const gBin = Math.min(Math.floor(data[i + 1] / 64), 3);
-            const bBin = Math.min(Math.floor(data[i + 2] / 64), 3);
-            const binIndex = rBin * 16 + gBin * 4 + bBin;
-            histogram[binIndex]++;
-            pixelCount++;
-        }
+    /**
+     * Compute perceptual hash with the configured algorithm
+     * Returns packed Uint32Array (bits x bits, e.g. 256 bits = 8 words)
+     */
+    async computePHash(filePath, crop) {
+        const imageData = await Hasher.loadImage(filePath, Hasher.PHASH_SIZE, crop);
+        return Hasher._hash(imageData.data);
+    },
 
-        // Normalize
-        if (pixelCount > 0) {
-            for (let i = 0; i < totalBins; i++) {
-                histogram[i] /= pixelCount;
+    /**
+     * Mirror, flip or rotate square RGBA pixels
+     * @param {Uint8ClampedArray} data - size x size RGBA pixels
+     * @param {string} transform - One of TRANSFORMS (rotations are clockwise)
+     */
+    transformPixels(data, size, transform) {
+        const last = size - 1;
+        const source = {
+            mirror: (x, y) => [last - x, y],
+            flip: (x, y) => [x, last - y],
+            rot90: (x, y) => [y, last - x],
+            rot180: (x, y) => [last - x, last - y],
+            rot270: (x, y) => [last - y, x],
+            transpose: (x, y) => [y, x],
+            transverse: (x, y) => [last - y, last - x]
+        }[transform];
+        const out = new Uint8ClampedArray(data.length);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const [sx, sy] = source(x, y);
+                const from = (sy * size + sx) * 4, to = (y * size + x) * 4;
+                for (let c = 0; c < 4; c++) out[to + c] = data[from + c];
             }
         }
+        return out;
+    },
+
+    /**
+     * The centre of a crop (or of the whole image) without CROP_MARGIN on each side
+     */
+    innerCrop(crop) {
+        const outer = crop || { x: 0, y: 0, width: 1, height: 1 };
+        const m = Hasher.CROP_MARGIN;
+        return {
+            x: outer.x + outer.width * m,
+            y: outer.y + outer.height * m,
+            width: outer.width * (1 - 2 * m),
+            height: outer.height * (1 - 2 * m)
+        };
+    },
+
+    /**
+     * Compute the pHash with its transformed variants, the centre hash and any extra hashes
+     * Returns { pHash, variantHashes, cropHash, hashAlgorithm, extraHashes, extraHashAlgorithms }
+     */
+    async computeStructure(filePath, crop) {
+        const [imageData, inner] = await Promise.all([
+            Hasher.loadImage(filePath, Hasher.PHASH_SIZE, crop),
+            Hasher.loadImage(filePath, Hasher.PHASH_SIZE, Hasher.innerCrop(crop))
+        ]);
+        const pHash = Hasher._hash(imageData.data);
+        const variantHashes = new Uint32Array(pHash.length * Hasher.TRANSFORMS.length);
+        Hasher.TRANSFORMS.forEach((transform, t) => {
+            const pixels = Hasher.transformPixels(imageData.data, Hasher.PHASH_SIZE, transform);
+            variantHashes.set(Hasher._hash(pixels), t * pHash.length);
+        });
+        const extraHashes = new Uint32Array(pHash.length * Hasher._extras.length);
+        Hasher._extras.forEach((name, e) => {
+            extraHashes.set(Hasher._hash(imageData.data, name), e * pHash.length);
+        });
+        return {
+            pHash,
+            variantHashes,
+            cropHash: Hasher._hash(inner.data),
+            hashAlgorithm: Hasher.getAlgorithmId(),
+            extraHashes,
+            extraHashAlgorithms: Hasher.getExtraAlgorithmIds()
+        };
+    },
+
+    /**
+     * Compute color histogram (soft-binned OKLab grid, see ColorSpace)
+     * Returns array of ColorSpace.size() floats summing to 1
+     */
+    async computeColorHistogram(filePath, crop) {
+        const imageData = await Hasher.loadImage(filePath, Hasher.HIST_SIZE, crop);
+        return ColorSpace.histogram(imageData.data);
+    },
 
-        return Array.from(histogram);
+    /**
+     * Compute the colour features (histogram and dominant colours) from one image load
+     * Returns { colorHistogram: number[], colorModel: string, palette: number[] }
+     */
+    async computeColors(filePath, crop) {
+        const imageData = await Hasher.loadImage(filePath, Hasher.HIST_SIZE, crop);
+        return {
+            colorHistogram: ColorSpace.histogram(imageData.data),
+            colorModel: ColorSpace.MODEL,
+            palette: Palette.extract(imageData.data)
+        };
     },
 
     /**
-     * Compute both hashes for a given file
-     * Returns { pHash: string, colorHistogram: number[] }
+     * Compute the hashes and colour features for a given file
+     * @param {string} filePath
+     * @param {Object} [crop] - Region to hash instead of the whole image
+     * Returns computeStructure() and computeColors() fields in one object
      */
-    async computeHashes(filePath) {
-        const [pHash, colorHistogram] = await Promise.all([
-            Hasher.computePHash(filePath),
-            Hasher.computeColorHistogram(filePath)
+    async computeHashes(filePath, crop) {
+        const [structure, colors] = await Promise.all([
+            Hasher.computeStructure(filePath, crop),
+            Hasher.computeColors(filePath, crop)
         ]);
-        return { pHash, colorHistogram };
+        return { ...structure, ...colors };
     }
 };
 
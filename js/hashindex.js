@@ -0,0 +1,183 @@
+/**
+ * hashindex.js - BK-tree over packed pHashes
+ * Answers "all items within Hamming distance N" without scanning the library.
+ *
+ * Kept in sync by Cache.setHash / removeOrphans and rebuilt from the cache on
+ * load (not persisted - building is cheap compared to hashing images).
+ * Removal marks entries dead; the tree is rebuilt once too many are dead.
+ */
+
+const HashIndex = {
+
+    REBUILD_DEAD_RATIO: 0.5,
+    LINEAR_SCAN_RATIO: 0.2,  // radius (share of hash bits) past which findWithinAny scans
+
+    _root: null,
+    _nodes: new Map(),   // id -> node holding it
+    _dead: 0,            // nodes whose ids are all removed
+    _nodeTotal: 0,       // nodes in the tree, live or dead
+    _size: 0,
+
+    /**
+     * Drop every entry
+     */
+    reset() {
+        HashIndex._root = null;
+        HashIndex._nodes = new Map();
+        HashIndex._dead = 0;
+        HashIndex._nodeTotal = 0;
+        HashIndex._size = 0;
+    },
+
+    /**
+     * Rebuild from a cache items map
+     */
+    build(cacheItems) {
+        HashIndex.reset();
+        for (const id of Object.keys(cacheItems)) {
+            const pHash = cacheItems[id].pHash;
+            if (pHash) HashIndex.add(id, pHash);
+        }
+    },
+
+    /**
+     * Add or update one hash
+     * @param {string} id - Item ID
+     * @param {Uint32Array|string} pHash - Packed hash (hex strings are packed first)
+     */
+    add(id, pHash) {
+        const hash = typeof pHash === 'string' ? Hasher.packHash(pHash) : pHash;
+        const existing = HashIndex._nodes.get(id);
+        if (existing) {
+            if (Similarity.hammingDistance(existing.hash, hash) === 0) return;
+            HashIndex.remove(id);
+        }
+
+        if (!HashIndex._root) {
+            HashIndex._root = HashIndex._createNode(id, hash);
+            HashIndex._size++;
+            return;
+        }
+
+        let node = HashIndex._root;
+        while (true) {
+            const dist = Similarity.hammingDistance(node.hash, hash);
+            if (dist === 0) {
+                // Identical hash: share the node (reviving it if it was dead)
+                if (node.ids.size === 0) HashIndex._dead--;
+                node.ids.add(id);
+                HashIndex._nodes.set(id, node);
+                HashIndex._size++;
+                return;
+            }
+            const child = node.children.get(dist);
+            if (!child) {
+                node.children.set(dist, HashIndex._createNode(id, hash));
+                HashIndex._size++;
+                return;
+            }
+            node = child;
+        }
+    },
+
+    _createNode(id, hash) {
+        const node = { hash, ids: new Set([id]), children: new Map() };
+        HashIndex._nodes.set(id, node);
+        HashIndex._nodeTotal++;
+        return node;
+    },
+
+    /**
+     * Remove one hash
+     */
+    remove(id) {
+        const node = HashIndex._nodes.get(id);
+        if (!node) return;
+        node.ids.delete(id);
+        HashIndex._nodes.delete(id);
+        HashIndex._size--;
+        // Empty nodes stay in the tree as routing points
+        if (node.ids.size === 0) HashIndex._dead++;
+
+        if (HashIndex._dead > HashIndex._nodeCount() * HashIndex.REBUILD_DEAD_RATIO) {
+            HashIndex._rebuild();
+        }
+    },
+
+    /**
+     * Nodes in the tree - items with identical hashes share one
+     */
+    _nodeCount() {
+        return HashIndex._nodeTotal;
+    },
+
+    _rebuild() {
+        const entries = Array.from(HashIndex._nodes.entries()).map(([id, node]) => [id, node.hash]);
+        HashIndex.reset();
+        for (const [id, hash] of entries) HashIndex.add(id, hash);
+    },
+
+    /**
+     * All items within a Hamming distance of a hash
+     * @param {Uint32Array|string} pHash - Query hash
+     * @param {number} maxDistance - Inclusive radius in bits
+     * @returns {Array<{id: string, distance: number}>}
+     */
+    findWithin(pHash, maxDistance) {
+        const hash = typeof pHash === 'string' ? Hasher.packHash(pHash) : pHash;
+        const results = [];
+        if (!HashIndex._root || !hash) return results;
+
+        const stack = [HashIndex._root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const dist = Similarity.hammingDistance(node.hash, hash);
+            if (dist <= maxDistance) {
+                for (const id of node.ids) results.push({ id, distance: dist });
+            }
+            // Triangle inequality: only children in [dist - r, dist + r] can match
+            for (const [edge, child] of node.children) {
+                if (edge >= dist - maxDistance && edge <= dist + maxDistance) {
+                    stack.push(child);
+                }
+            }
+        }
+        return results;
+    },
+
+    /**
+     * All items within a Hamming distance of any of several hashes
+     * Past LINEAR_SCAN_RATIO of the hash length a BK-tree lookup visits nearly
+     * every node anyway, once per hash; one pass over the nodes is cheaper then.
+     * @param {Uint32Array[]} hashes - Query hashes of the same length
+     * @param {number} maxDistance - Inclusive radius in bits
+     * @returns {Array<{id: string, distance: number}>} closest distance per item
+     */
+    findWithinAny(hashes, maxDistance) {
+        const best = new Map();
+        const keep = (id, distance) => {
+            const known = best.get(id);
+            if (known === undefined || distance < known) best.set(id, distance);
+        };
+
+        if (hashes.length > 0 && maxDistance > Similarity.hashBits(hashes[0]) * HashIndex.LINEAR_SCAN_RATIO) {
+            for (const node of new Set(HashIndex._nodes.values())) {
+                let dist = Infinity;
+                for (const hash of hashes) dist = Math.min(dist, Similarity.hammingDistance(node.hash, hash));
+                if (dist > maxDistance) continue;
+                for (const id of node.ids) keep(id, dist);
+            }
+        } else {
+            for (const hash of hashes) {
+                for (const r of HashIndex.findWithin(hash, maxDistance)) keep(r.id, r.distance);
+            }
+        }
+        return Array.from(best, ([id, distance]) => ({ id, distance }));
+    },
+
+    size() {
+        return HashIndex._size;
+    }
+};
+
+window.HashIndex = HashIndex;
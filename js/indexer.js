@@ -2,8 +2,16 @@
  * indexer.js - Chunked async library indexing
  * Phase 1: pHash + color histogram (fast)
  * Phase 2: CLIP embeddings (slower, AI-based)
+ * Videos are indexed from sampled frames (see video.js).
+ *
+ * Every fingerprint records the file's mtime, size and a sampled content hash.
+ * Phase 1 re-hashes items whose file was edited or replaced and drops their
+ * embedding, so phase 2 re-embeds them.
  */
 
+// fs already declared in cache.js (shared global scope)
+const nodeCrypto = require('crypto');  // not 'crypto': that is the Web Crypto global
+
 const IMAGE_EXTENSIONS = new Set([
     'jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'svg',
     'tiff', 'tif', 'ico', 'avif'
@@ -15,22 +23,143 @@ const Indexer = {
     CHUNK_DELAY: 30,
     EMBED_CHUNK_SIZE: 3,   // WebGL inference ~100-300ms per image
     EMBED_CHUNK_DELAY: 50,
+    STAT_CHUNK_SIZE: 500,
+    CONTENT_SAMPLE_BYTES: 64 * 1024,
 
     _isRunning: false,
     _shouldStop: false,
     _phase: null,  // 'phash' or 'clip'
+    _refreshedIds: new Set(),  // re-hashed because their file changed, awaiting re-embedding
 
     isImageType(ext) {
         if (!ext) return false;
         return IMAGE_EXTENSIONS.has(ext.toLowerCase());
     },
 
+    /**
+     * Whether an item should be fingerprinted: an image or video not excluded by a rule
+     */
+    isIndexable(item) {
+        return (Indexer.isImageType(item.ext) || Video.isVideoType(item.ext)) && !Exclusions.isExcluded(item);
+    },
+
+    /**
+     * Whether an item is indexed from frames of its video file
+     */
+    _isVideo(item) {
+        return Video.isVideoType(item.ext) && !!item.filePath;
+    },
+
     getHashPath(item) {
         if (item.thumbnailPath) return item.thumbnailPath;
         if (item.filePath) return item.filePath;
         return null;
     },
 
+    /**
+     * Modification time and size of an item's file
+     * @returns {{mtime: number, size: number}|null} null if the file can't be read
+     */
+    getFileSignature(item) {
+        const filePath = item.filePath || Indexer.getHashPath(item);
+        if (!filePath) return null;
+        try {
+            const stat = fs.statSync(filePath);
+            return { mtime: Math.floor(stat.mtimeMs), size: stat.size };
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * SHA-1 of a file's size plus its first, middle and last CONTENT_SAMPLE_BYTES
+     * Tells a re-saved file apart from one whose mtime was merely touched
+     * (compressed image data changes throughout when the picture is edited)
+     */
+    computeContentHash(filePath, size) {
+        const sample = Indexer.CONTENT_SAMPLE_BYTES;
+        const hash = nodeCrypto.createHash('sha1').update(String(size));
+        const offsets = size <= sample * 3
+            ? [0]
+            : [0, Math.floor(size / 2 - sample / 2), size - sample];
+        const length = size <= sample * 3 ? size : sample;
+
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(length);
+            for (const offset of offsets) {
+                const read = fs.readSync(fd, buffer, 0, length, offset);
+                hash.update(buffer.subarray(0, read));
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        return hash.digest('hex');
+    },
+
+    /**
+     * File metadata stored with a fingerprint
+     */
+    _fileInfo(item) {
+        const signature = Indexer.getFileSignature(item);
+        if (!signature) return {};
+        const info = { fileMtime: signature.mtime, fileSize: signature.size };
+        try {
+            info.contentHash = Indexer.computeContentHash(item.filePath || Indexer.getHashPath(item), signature.size);
+        } catch (e) {}
+        return info;
+    },
+
+    /**
+     * Whether a cache entry lacks the current colour features (palette, OKLab histogram)
+     */
+    _needsColors(cached) {
+        return !cached.palette || Similarity.colorModelOf(cached) !== ColorSpace.MODEL;
+    },
+
+    /**
+     * Whether a cache entry lacks the hashes for transformed copies (see Hasher.computeStructure)
+     * or was hashed with other algorithms than the configured ones
+     */
+    _needsStructure(cached) {
+        if (!cached.variantHashes || !cached.cropHash) return true;
+        if (Similarity.hashAlgorithmOf(cached) !== Hasher.getAlgorithmId()) return true;
+        return (cached.extraHashAlgorithms || []).join() !== Hasher.getExtraAlgorithmIds().join();
+    },
+
+    /**
+     * Whether an indexed item's file changed since its fingerprint was made
+     * Records signatures for entries indexed before they were tracked.
+     */
+    _hasChanged(item) {
+        const signature = Indexer.getFileSignature(item);
+        if (!signature) return false;
+
+        switch (Cache.compareSignature(item.id, signature)) {
+            case 'same':
+                return false;
+            case 'unknown':
+                // Trust the existing fingerprint and start tracking from here,
+                // content hash included so a later touch needs no re-index
+                Cache.setFileInfo(item.id, Indexer._fileInfo(item));
+                return false;
+            case 'touched': {
+                const cached = Cache.getHash(item.id);
+                let contentHash = null;
+                try {
+                    contentHash = Indexer.computeContentHash(item.filePath || Indexer.getHashPath(item), signature.size);
+                } catch (e) {}
+                if (contentHash && cached.contentHash === contentHash) {
+                    Cache.setFileInfo(item.id, { fileMtime: signature.mtime });
+                    return false;
+                }
+                return true;
+            }
+            default:
+                return true;
+        }
+    },
+
     /**
      * Full indexing: Phase 1 (pHash) then Phase 2 (CLIP)
      */
@@ -42,6 +171,7 @@ const Indexer = {
 
         Indexer._isRunning = true;
         Indexer._shouldStop = false;
+        Cache.removeOrphans(items.map(item => item.id));
 
         // Phase 1: pHash + color histogram
         Indexer._phase = 'phash';
@@ -59,30 +189,52 @@ const Indexer = {
     },
 
     /**
-     * Phase 1: Index pHash + color histogram
+     * Phase 1: Index pHash (with transformed variants) + colour features (OKLab histogram, palette)
+     * Covers new items, items whose file changed and items cached before the
+     * current variant hashes or colour features (those only get what is missing).
+     * items may be a subset of
+     * the library (e.g. new imports), so orphans are left to the caller.
+     * @returns {Promise<number>} Number of items (re)hashed
      */
     async _indexPhash(items, onProgress) {
-        const toIndex = items.filter(item => {
-            if (!Indexer.isImageType(item.ext)) return false;
-            return !Cache.hasValidHash(item.id);
-        });
+        const images = items.filter(item => Indexer.isIndexable(item));
+        const toIndex = [];
+        const upgradeOnly = new Set();  // hashed before the current variant hashes or colour features
+        let refreshed = 0;
+
+        for (let i = 0; i < images.length; i++) {
+            const item = images[i];
+            if (!Cache.hasValidHash(item.id)) {
+                toIndex.push(item);
+            } else if (Indexer._hasChanged(item)) {
+                toIndex.push(item);
+                Indexer._refreshedIds.add(item.id);
+                refreshed++;
+            } else if (Indexer._needsColors(Cache.getHash(item.id)) ||
+                       Indexer._needsStructure(Cache.getHash(item.id))) {
+                toIndex.push(item);
+                upgradeOnly.add(item.id);
+            }
+            // Stat calls are synchronous - let the UI breathe on big libraries
+            if (i % Indexer.STAT_CHUNK_SIZE === Indexer.STAT_CHUNK_SIZE - 1) {
+                await new Promise(r => setTimeout(r, 0));
+            }
+        }
 
-        const totalImages = items.filter(item => Indexer.isImageType(item.ext)).length;
+        const totalImages = images.length;
 
         if (toIndex.length === 0) {
             console.log('Indexer: Phase 1 (pHash) - all indexed');
-            return;
+            return 0;
         }
 
-        console.log(`Indexer: Phase 1 - ${toIndex.length} items need pHash`);
-
-        const validIds = items.map(item => item.id);
-        Cache.removeOrphans(validIds);
+        console.log(`Indexer: Phase 1 - ${toIndex.length} items need pHash ` +
+                    `(${refreshed} changed on disk, ${upgradeOnly.size} upgrades)`);
 
         let processed = 0;
         const alreadyCached = totalImages - toIndex.length;
 
-        if (onProgress) onProgress(alreadyCached, totalImages, 'phash');
+        if (onProgress) onProgress(alreadyCached, totalImages, 'phash', refreshed);
 
         for (let i = 0; i < toIndex.length; i += Indexer.CHUNK_SIZE) {
             if (Indexer._shouldStop) break;
@@ -92,26 +244,67 @@ const Indexer = {
                 try {
                     const hashPath = Indexer.getHashPath(item);
                     if (!hashPath) return;
+                    if (Indexer._isVideo(item)) {
+                        // Frames are sampled again either way, so upgrades recompute everything but embeddings
+                        const hashes = await Video.computeHashes(item.filePath);
+                        if (Exclusions.isExcluded(item)) return;
+                        const keep = upgradeOnly.has(item.id) ? Cache.getHash(item.id) : null;
+                        if (upgradeOnly.has(item.id) && !keep) return;
+                        Cache.setHash(item.id, {
+                            ...(keep || {}),
+                            ...hashes,
+                            ext: item.ext,
+                            ...Indexer._fileInfo(item)
+                        });
+                        return;
+                    }
+                    if (upgradeOnly.has(item.id)) {
+                        // Add what is missing, keep everything else (embeddings included)
+                        const before = Cache.getHash(item.id);
+                        const update = {};
+                        if (Indexer._needsColors(before)) {
+                            Object.assign(update, await Hasher.computeColors(hashPath));
+                        }
+                        if (Indexer._needsStructure(before)) {
+                            Object.assign(update, await Hasher.computeStructure(hashPath));
+                        }
+                        const existing = Cache.getHash(item.id);
+                        if (!existing || Exclusions.isExcluded(item)) return;
+                        Cache.setHash(item.id, { ...existing, ...update });
+                        return;
+                    }
                     const hashes = await Hasher.computeHashes(hashPath);
+                    // A rule may have excluded it while this run was going
+                    if (Exclusions.isExcluded(item)) return;
+                    // A fresh entry: a changed file's old embedding is dropped here
                     Cache.setHash(item.id, {
                         pHash: hashes.pHash,
+                        variantHashes: hashes.variantHashes,
+                        cropHash: hashes.cropHash,
+                        hashAlgorithm: hashes.hashAlgorithm,
+                        extraHashes: hashes.extraHashes,
+                        extraHashAlgorithms: hashes.extraHashAlgorithms,
                         colorHistogram: hashes.colorHistogram,
-                        ext: item.ext
+                        colorModel: hashes.colorModel,
+                        palette: hashes.palette,
+                        ext: item.ext,
+                        ...Indexer._fileInfo(item)
                     });
                 } catch (err) {}
             }));
 
             processed += chunk.length;
-            if (onProgress) onProgress(alreadyCached + processed, totalImages, 'phash');
+            if (onProgress) onProgress(alreadyCached + processed, totalImages, 'phash', refreshed);
             await new Promise(r => setTimeout(r, Indexer.CHUNK_DELAY));
         }
 
         Cache.flush();
         console.log('Indexer: Phase 1 complete');
+        return processed;
     },
 
     /**
-     * Phase 2: Index CLIP embeddings
+     * Phase 2: Index CLIP embeddings (and tile embeddings when tiling is on)
      */
     async _indexClip(items, onProgress) {
         // Check if neural model is available
@@ -120,25 +313,43 @@ const Indexer = {
             return;
         }
 
+        // Raw vectors of the active model only need the whitening transform, not the image
+        Whitening.applyToCache(Cache.getAllItems(), Embedder.getBaseModelId());
+
+        // Missing embeddings, or embeddings made by a different model than the active one
+        // (this includes logit-based entries from before models were recorded)
+        const modelId = Embedder.getModelId();
+        const needsEmbedding = (cached) => !cached.embedding || Similarity.modelOf(cached) !== modelId ||
+            (Video.isVideoEntry(cached) && cached.frameModel !== modelId);
+        // With tiling on, also items whose tiles are missing or from another model (videos have no tiles)
+        const needsTiles = (cached) => Tiles.isEnabled() && !Video.isVideoEntry(cached) && cached.tileModel !== modelId;
         const toEmbed = items.filter(item => {
-            if (!Indexer.isImageType(item.ext)) return false;
+            if (!Indexer.isIndexable(item)) return false;
             const cached = Cache.getHash(item.id);
-            return cached && !cached.embedding;
+            return cached && (needsEmbedding(cached) || needsTiles(cached));
         });
 
-        const totalImages = items.filter(item => Indexer.isImageType(item.ext)).length;
+        const totalImages = items.filter(item => Indexer.isIndexable(item)).length;
 
         if (toEmbed.length === 0) {
             console.log('Indexer: Phase 2 (neural) - all embedded');
+            await AnnIndex.update(Cache.getAllItems());
             return;
         }
 
-        console.log(`Indexer: Phase 2 - ${toEmbed.length} items need neural embedding`);
+        const stale = toEmbed.filter(item => {
+            const cached = Cache.getHash(item.id);
+            return cached.embedding && needsEmbedding(cached);
+        }).length;
+        const tilesOnly = toEmbed.filter(item => !needsEmbedding(Cache.getHash(item.id))).length;
+        const refreshed = toEmbed.filter(item => Indexer._refreshedIds.has(item.id)).length;
+        console.log(`Indexer: Phase 2 - ${toEmbed.length} items need neural embedding ` +
+                    `(${stale} from another model, ${refreshed} changed on disk, ${tilesOnly} tiles only)`);
 
         let processed = 0;
         const alreadyEmbedded = totalImages - toEmbed.length;
 
-        if (onProgress) onProgress(alreadyEmbedded, totalImages, 'neural');
+        if (onProgress) onProgress(alreadyEmbedded, totalImages, 'neural', refreshed);
 
         for (let i = 0; i < toEmbed.length; i += Indexer.EMBED_CHUNK_SIZE) {
             if (Indexer._shouldStop) break;
@@ -152,22 +363,37 @@ const Indexer = {
                     const hashPath = Indexer.getHashPath(item);
                     if (!hashPath) continue;
 
-                    const embedding = await Embedder.computeEmbedding(hashPath);
-                    const existing = Cache.getHash(item.id) || {};
-                    Cache.setHash(item.id, {
-                        ...existing,
-                        embedding: embedding
-                    });
+                    const update = {};
+                    if (Video.isVideoEntry(Cache.getHash(item.id))) {
+                        Object.assign(update, await Video.computeEmbeddings(item.filePath, Cache.getHash(item.id).frameTimes));
+                        update.embeddingModel = modelId;
+                        update.frameModel = modelId;
+                    } else if (needsEmbedding(Cache.getHash(item.id) || {})) {
+                        update.embedding = await Embedder.computeEmbedding(hashPath);
+                        update.embeddingModel = modelId;
+                    }
+                    if (needsTiles(Cache.getHash(item.id) || {})) {
+                        update.tileEmbeddings = await Tiles.compute(hashPath);
+                        update.tileModel = modelId;
+                    }
+                    // Dropped meanwhile (deleted or excluded by a rule)
+                    const existing = Cache.getHash(item.id);
+                    if (!existing) continue;
+                    Cache.setHash(item.id, { ...existing, ...update });
+                    Indexer._refreshedIds.delete(item.id);
                 } catch (err) {
                     // Skip items that fail
                 }
                 processed++;
             }
 
-            if (onProgress) onProgress(alreadyEmbedded + processed, totalImages, 'neural');
+            if (onProgress) onProgress(alreadyEmbedded + processed, totalImages, 'neural', refreshed);
             await new Promise(r => setTimeout(r, Indexer.EMBED_CHUNK_DELAY));
         }
 
+        // Fold the new vectors into the ANN index (trains it once the library is big enough)
+        await AnnIndex.update(Cache.getAllItems());
+
         Cache.flush();
         console.log('Indexer: Phase 2 complete');
     },
@@ -0,0 +1,622 @@
+/**
+ * jsruntime.js - Minimal ONNX interpreter in plain JavaScript
+ * Last resort for the embedder when neither WebGL nor WASM can run: much
+ * slower than either, but needs nothing but the CPU.
+ *
+ * Covers the operators used by common CNN image models (MobileNet, ResNet,
+ * EfficientNet-style graphs without attention). Loading a model with any
+ * other operator fails, so the embedder falls back to pixel mode.
+ *
+ * Sessions mimic the parts of ort.InferenceSession the embedder uses:
+ * inputNames, outputNames, run(feeds, fetches), release(). Any tensor in
+ * the graph can be fetched, and only the nodes it depends on are run.
+ */
+
+const JsRuntime = {
+
+    YIELD_INTERVAL: 50,  // ms of compute between event loop yields
+
+    /**
+     * Parse a serialized ModelProto into a session
+     * @param {Uint8Array} bytes - ONNX model file contents
+     */
+    create(bytes) {
+        const graph = JsRuntime._parseModel(bytes);
+        for (const node of graph.nodes) {
+            if (!JsRuntime._OPS[node.opType]) {
+                throw new Error(`JsRuntime: Unsupported operator ${node.opType}`);
+            }
+        }
+
+        const initialized = new Set(Object.keys(graph.initializers));
+        const producers = new Map();
+        graph.nodes.forEach((node, index) => {
+            for (const name of node.outputs) producers.set(name, index);
+        });
+
+        return {
+            inputNames: graph.inputs.filter(name => !initialized.has(name)),
+            outputNames: graph.outputs,
+            run: (feeds, fetches) => JsRuntime._run(graph, producers, feeds, fetches || graph.outputs),
+            release: () => {}
+        };
+    },
+
+    /**
+     * Input tensor in the shape sessions expect
+     */
+    tensor(data, dims) {
+        return { data, dims: dims.slice() };
+    },
+
+    async _run(graph, producers, feeds, fetches) {
+        // Only the nodes the fetched tensors depend on, in graph order
+        const needed = new Set();
+        const stack = fetches.slice();
+        while (stack.length > 0) {
+            const name = stack.pop();
+            const index = producers.get(name);
+            if (index === undefined || needed.has(index)) continue;
+            needed.add(index);
+            for (const input of graph.nodes[index].inputs) {
+                if (input) stack.push(input);
+            }
+        }
+        const order = Array.from(needed).sort((a, b) => a - b);
+
+        // Free intermediates after their last use
+        const lastUse = new Map();
+        for (const index of order) {
+            for (const input of graph.nodes[index].inputs) lastUse.set(input, index);
+        }
+        const keep = new Set(fetches);
+
+        const values = new Map();
+        for (const name of Object.keys(feeds)) values.set(name, feeds[name]);
+        const lookup = (name) => {
+            if (!name) return null;
+            if (values.has(name)) return values.get(name);
+            if (graph.initializers[name]) return graph.initializers[name];
+            throw new Error(`JsRuntime: Missing tensor ${name}`);
+        };
+
+        let lastYield = Date.now();
+        for (const index of order) {
+            const node = graph.nodes[index];
+            const inputs = node.inputs.map(lookup);
+            const outputs = JsRuntime._OPS[node.opType](inputs, node.attrs, graph.opset);
+            node.outputs.forEach((name, i) => {
+                if (name && outputs[i]) values.set(name, outputs[i]);
+            });
+            for (const input of node.inputs) {
+                if (lastUse.get(input) === index && !keep.has(input)) values.delete(input);
+            }
+
+            if (Date.now() - lastYield > JsRuntime.YIELD_INTERVAL) {
+                await new Promise(r => setTimeout(r, 0));
+                lastYield = Date.now();
+            }
+        }
+
+        const results = {};
+        for (const name of fetches) results[name] = lookup(name);
+        return results;
+    },
+
+    // ---- Protobuf decoding ----
+
+    /**
+     * Walk the fields of one protobuf message
+     * @param {Function} onField - (field, wireType, value) where value is a
+     *   number (varint), a Uint8Array (length-delimited) or a float (fixed32 / fixed64)
+     */
+    _fields(bytes, onField) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const r = { bytes, pos: 0 };
+        while (r.pos < bytes.length) {
+            const key = JsRuntime._varint(r);
+            const field = Math.floor(key / 8);
+            const wireType = key % 8;
+            if (wireType === 0) {
+                onField(field, 0, JsRuntime._varint(r));
+            } else if (wireType === 2) {
+                const len = JsRuntime._varint(r);
+                onField(field, 2, bytes.subarray(r.pos, r.pos + len));
+                r.pos += len;
+            } else if (wireType === 5) {
+                onField(field, 5, view.getFloat32(r.pos, true));
+                r.pos += 4;
+            } else if (wireType === 1) {
+                onField(field, 1, view.getFloat64(r.pos, true));
+                r.pos += 8;
+            } else {
+                throw new Error('Unsupported protobuf wire type ' + wireType);
+            }
+        }
+    },
+
+    /**
+     * Read a varint; 10-byte varints are negative int64 values
+     */
+    _varint(r) {
+        const start = r.pos;
+        let value = 0, mult = 1, b;
+        do {
+            b = r.bytes[r.pos++];
+            value += (b & 0x7f) * mult;
+            mult *= 128;
+        } while (b & 0x80);
+        if (r.pos - start === 10) {
+            let big = BigInt(0);
+            for (let i = r.pos - 1; i >= start; i--) {
+                big = (big << BigInt(7)) | BigInt(r.bytes[i] & 0x7f);
+            }
+            return Number(BigInt.asIntN(64, big));
+        }
+        return value;
+    },
+
+    _string(bytes) {
+        return new TextDecoder().decode(bytes);
+    },
+
+    /**
+     * Repeated numeric field, packed or not
+     */
+    _pushRepeated(target, wireType, value, packedType) {
+        if (wireType !== 2) {
+            target.push(value);
+            return;
+        }
+        if (packedType === 'float') {
+            const view = new DataView(value.buffer, value.byteOffset, value.byteLength);
+            for (let i = 0; i + 4 <= value.length; i += 4) target.push(view.getFloat32(i, true));
+        } else if (packedType === 'double') {
+            const view = new DataView(value.buffer, value.byteOffset, value.byteLength);
+            for (let i = 0; i + 8 <= value.length; i += 8) target.push(view.getFloat64(i, true));
+        } else {
+            const r = { bytes: value, pos: 0 };
+            while (r.pos < value.length) target.push(JsRuntime._varint(r));
+        }
+    },
+
+    _parseModel(bytes) {
+        let graphBytes = null;
+        let opset = 1;
+        JsRuntime._fields(bytes, (field, wire, value) => {
+            if (field === 7) graphBytes = value;
+            if (field === 8) {
+                // OperatorSetIdProto { domain = 1, version = 2 }, default domain only
+                let domain = '', version = 1;
+                JsRuntime._fields(value, (f, w, v) => {
+                    if (f === 1) domain = JsRuntime._string(v);
+                    if (f === 2) version = v;
+                });
+                if (domain === '' || domain === 'ai.onnx') opset = version;
+            }
+        });
+        if (!graphBytes) throw new Error('Model has no graph');
+
+        const graph = { nodes: [], initializers: {}, inputs: [], outputs: [], opset };
+        JsRuntime._fields(graphBytes, (field, wire, value) => {
+            if (field === 1) graph.nodes.push(JsRuntime._parseNode(value));
+            if (field === 5) {
+                const tensor = JsRuntime._parseTensor(value);
+                graph.initializers[tensor.name] = tensor;
+            }
+            if (field === 11 || field === 12) {
+                let name = '';
+                JsRuntime._fields(value, (f, w, v) => { if (f === 1) name = JsRuntime._string(v); });
+                (field === 11 ? graph.inputs : graph.outputs).push(name);
+            }
+        });
+        return graph;
+    },
+
+    _parseNode(bytes) {
+        const node = { inputs: [], outputs: [], opType: '', domain: '', attrs: {} };
+        JsRuntime._fields(bytes, (field, wire, value) => {
+            if (field === 1) node.inputs.push(JsRuntime._string(value));
+            if (field === 2) node.outputs.push(JsRuntime._string(value));
+            if (field === 4) node.opType = JsRuntime._string(value);
+            if (field === 7) node.domain = JsRuntime._string(value);
+            if (field === 5) {
+                const attr = JsRuntime._parseAttribute(value);
+                node.attrs[attr.name] = attr.value;
+            }
+        });
+        // Operators from other domains (e.g. com.microsoft) are never supported
+        if (node.domain && node.domain !== 'ai.onnx') node.opType = `${node.domain}.${node.opType}`;
+        return node;
+    },
+
+    _parseAttribute(bytes) {
+        let name = '', type = 0;
+        const a = { f: undefined, i: undefined, s: undefined, t: undefined, floats: [], ints: [] };
+        JsRuntime._fields(bytes, (field, wire, value) => {
+            if (field === 1) name = JsRuntime._string(value);
+            if (field === 2) a.f = value;
+            if (field === 3) a.i = value;
+            if (field === 4) a.s = JsRuntime._string(value);
+            if (field === 5) a.t = JsRuntime._parseTensor(value);
+            if (field === 7) JsRuntime._pushRepeated(a.floats, wire, value, 'float');
+            if (field === 8) JsRuntime._pushRepeated(a.ints, wire, value, 'varint');
+            if (field === 20) type = value;
+        });
+
+        // AttributeType: 1 FLOAT, 2 INT, 3 STRING, 4 TENSOR, 6 FLOATS, 7 INTS
+        const byType = { 1: a.f, 2: a.i, 3: a.s, 4: a.t, 6: a.floats, 7: a.ints };
+        let value = byType[type];
+        if (value === undefined) {
+            value = a.ints.length ? a.ints : a.floats.length ? a.floats
+                : a.i !== undefined ? a.i : a.f !== undefined ? a.f
+                : a.s !== undefined ? a.s : a.t;
+        }
+        return { name, value };
+    },
+
+    /**
+     * TensorProto -> { name, dims, data } with float data as Float32Array
+     * and integer data as a plain number array
+     */
+    _parseTensor(bytes) {
+        const t = { name: '', dims: [], dataType: 1, raw: null, values: [] };
+        JsRuntime._fields(bytes, (field, wire, value) => {
+            if (field === 1) JsRuntime._pushRepeated(t.dims, wire, value, 'varint');
+            if (field === 2) t.dataType = value;
+            if (field === 4) JsRuntime._pushRepeated(t.values, wire, value, 'float');
+            if (field === 5 || field === 7) JsRuntime._pushRepeated(t.values, wire, value, 'varint');
+            if (field === 8) t.name = JsRuntime._string(value);
+            if (field === 9) t.raw = value;
+            if (field === 10) JsRuntime._pushRepeated(t.values, wire, value, 'double');
+            if (field === 14) throw new Error('JsRuntime: External tensor data is not supported');
+        });
+
+        const isFloat = t.dataType === 1 || t.dataType === 11;
+        let data;
+        if (t.raw) {
+            const view = new DataView(t.raw.buffer, t.raw.byteOffset, t.raw.byteLength);
+            if (t.dataType === 1) {
+                data = new Float32Array(t.raw.length / 4);
+                for (let i = 0; i < data.length; i++) data[i] = view.getFloat32(i * 4, true);
+            } else if (t.dataType === 11) {
+                data = new Float32Array(t.raw.length / 8);
+                for (let i = 0; i < data.length; i++) data[i] = view.getFloat64(i * 8, true);
+            } else if (t.dataType === 7) {
+                data = [];
+                for (let i = 0; i + 8 <= t.raw.length; i += 8) data.push(Number(view.getBigInt64(i, true)));
+            } else if (t.dataType === 6) {
+                data = [];
+                for (let i = 0; i + 4 <= t.raw.length; i += 4) data.push(view.getInt32(i, true));
+            } else {
+                throw new Error(`JsRuntime: Unsupported tensor data type ${t.dataType}`);
+            }
+        } else {
+            data = isFloat ? Float32Array.from(t.values) : t.values;
+        }
+        return { name: t.name, dims: t.dims, data };
+    },
+
+    // ---- Operators ----
+
+    _size(dims) {
+        return dims.reduce((a, b) => a * b, 1);
+    },
+
+    _unary(fn) {
+        return ([x]) => {
+            const out = new Float32Array(x.data.length);
+            for (let i = 0; i < out.length; i++) out[i] = fn(x.data[i]);
+            return [{ dims: x.dims.slice(), data: out }];
+        };
+    },
+
+    /**
+     * Elementwise binary op with numpy broadcasting
+     */
+    _binary(fn) {
+        return ([a, b]) => {
+            const rank = Math.max(a.dims.length, b.dims.length);
+            const pad = (dims) => new Array(rank - dims.length).fill(1).concat(dims);
+            const da = pad(a.dims), db = pad(b.dims);
+            const dims = da.map((d, i) => {
+                if (d !== db[i] && d !== 1 && db[i] !== 1) throw new Error('JsRuntime: Incompatible broadcast');
+                return Math.max(d, db[i]);
+            });
+            const size = JsRuntime._size(dims);
+            const out = new Float32Array(size);
+
+            if (a.data.length === size && b.data.length === size) {
+                for (let i = 0; i < size; i++) out[i] = fn(a.data[i], b.data[i]);
+                return [{ dims, data: out }];
+            }
+
+            const strides = (d) => {
+                const s = new Array(rank);
+                let acc = 1;
+                for (let i = rank - 1; i >= 0; i--) {
+                    s[i] = d[i] === 1 ? 0 : acc;
+                    acc *= d[i];
+                }
+                return s;
+            };
+            const sa = strides(da), sb = strides(db);
+            const index = new Array(rank).fill(0);
+            for (let i = 0; i < size; i++) {
+                let ia = 0, ib = 0;
+                for (let k = 0; k < rank; k++) {
+                    ia += index[k] * sa[k];
+                    ib += index[k] * sb[k];
+                }
+                out[i] = fn(a.data[ia], b.data[ib]);
+                for (let k = rank - 1; k >= 0; k--) {
+                    if (++index[k] < dims[k]) break;
+                    index[k] = 0;
+                }
+            }
+            return [{ dims, data: out }];
+        };
+    },
+
+    /**
+     * Output size and leading pad of one spatial axis
+     */
+    _spatial(inSize, kernel, stride, dilation, padBegin, padEnd, autoPad) {
+        const effective = (kernel - 1) * dilation + 1;
+        if (autoPad === 'SAME_UPPER' || autoPad === 'SAME_LOWER') {
+            const out = Math.ceil(inSize / stride);
+            const total = Math.max(0, (out - 1) * stride + effective - inSize);
+            const begin = autoPad === 'SAME_UPPER' ? Math.floor(total / 2) : Math.ceil(total / 2);
+            return { out, pad: begin };
+        }
+        if (autoPad === 'VALID') {
+            return { out: Math.floor((inSize - effective) / stride) + 1, pad: 0 };
+        }
+        return { out: Math.floor((inSize + padBegin + padEnd - effective) / stride) + 1, pad: padBegin };
+    },
+
+    _conv([x, w, bias], attrs) {
+        const [n, c, h, wd] = x.dims;
+        const [m, cPerGroup, kh, kw] = w.dims;
+        const group = attrs.group || 1;
+        const strides = attrs.strides || [1, 1];
+        const dilations = attrs.dilations || [1, 1];
+        const pads = attrs.pads || [0, 0, 0, 0];
+        const autoPad = attrs.auto_pad || 'NOTSET';
+        const ay = JsRuntime._spatial(h, kh, strides[0], dilations[0], pads[0], pads[2], autoPad);
+        const ax = JsRuntime._spatial(wd, kw, strides[1], dilations[1], pads[1], pads[3], autoPad);
+        const oh = ay.out, ow = ax.out;
+        const mPerGroup = m / group;
+        const out = new Float32Array(n * m * oh * ow);
+        const inPlane = h * wd, outPlane = oh * ow;
+        const sy = strides[0], sx = strides[1];
+
+        for (let b = 0; b < n; b++) {
+            for (let oc = 0; oc < m; oc++) {
+                const g = Math.floor(oc / mPerGroup);
+                const outBase = (b * m + oc) * outPlane;
+                if (bias) out.fill(bias.data[oc], outBase, outBase + outPlane);
+
+                for (let ic = 0; ic < cPerGroup; ic++) {
+                    const inBase = (b * c + g * cPerGroup + ic) * inPlane;
+                    for (let ky = 0; ky < kh; ky++) {
+                        const offY = ky * dilations[0] - ay.pad;
+                        // Output rows whose input row is inside the image
+                        const oyStart = Math.max(0, Math.ceil(-offY / sy));
+                        const oyEnd = Math.min(oh, Math.floor((h - 1 - offY) / sy) + 1);
+                        for (let kx = 0; kx < kw; kx++) {
+                            const weight = w.data[((oc * cPerGroup + ic) * kh + ky) * kw + kx];
+                            if (weight === 0) continue;
+                            const offX = kx * dilations[1] - ax.pad;
+                            const oxStart = Math.max(0, Math.ceil(-offX / sx));
+                            const oxEnd = Math.min(ow, Math.floor((wd - 1 - offX) / sx) + 1);
+                            for (let oy = oyStart; oy < oyEnd; oy++) {
+                                const rowIn = inBase + (oy * sy + offY) * wd + offX;
+                                const rowOut = outBase + oy * ow;
+                                for (let ox = oxStart; ox < oxEnd; ox++) {
+                                    out[rowOut + ox] += weight * x.data[rowIn + ox * sx];
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        return [{ dims: [n, m, oh, ow], data: out }];
+    },
+
+    _pool(isMax) {
+        return ([x], attrs) => {
+            const [n, c, h, wd] = x.dims;
+            const [kh, kw] = attrs.kernel_shape;
+            const strides = attrs.strides || [1, 1];
+            const pads = attrs.pads || [0, 0, 0, 0];
+            const autoPad = attrs.auto_pad || 'NOTSET';
+            const includePad = !!attrs.count_include_pad;
+            const ay = JsRuntime._spatial(h, kh, strides[0], 1, pads[0], pads[2], autoPad);
+            const ax = JsRuntime._spatial(wd, kw, strides[1], 1, pads[1], pads[3], autoPad);
+            const oh = ay.out, ow = ax.out;
+            const out = new Float32Array(n * c * oh * ow);
+
+            for (let p = 0; p < n * c; p++) {
+                const inBase = p * h * wd;
+                for (let oy = 0; oy < oh; oy++) {
+                    for (let ox = 0; ox < ow; ox++) {
+                        let acc = isMax ? -Infinity : 0, count = 0;
+                        for (let ky = 0; ky < kh; ky++) {
+                            const iy = oy * strides[0] - ay.pad + ky;
+                            if (iy < 0 || iy >= h) continue;
+                            for (let kx = 0; kx < kw; kx++) {
+                                const ix = ox * strides[1] - ax.pad + kx;
+                                if (ix < 0 || ix >= wd) continue;
+                                const v = x.data[inBase + iy * wd + ix];
+                                if (isMax) { if (v > acc) acc = v; } else acc += v;
+                                count++;
+                            }
+                        }
+                        out[(p * oh + oy) * ow + ox] = isMax ? acc : acc / (includePad ? kh * kw : (count || 1));
+                    }
+                }
+            }
+            return [{ dims: [n, c, oh, ow], data: out }];
+        };
+    },
+
+    _globalAveragePool([x]) {
+        const [n, c] = x.dims;
+        const spatial = JsRuntime._size(x.dims.slice(2));
+        const out = new Float32Array(n * c);
+        for (let p = 0; p < n * c; p++) {
+            let sum = 0;
+            for (let s = 0; s < spatial; s++) sum += x.data[p * spatial + s];
+            out[p] = sum / spatial;
+        }
+        return [{ dims: [n, c].concat(x.dims.slice(2).map(() => 1)), data: out }];
+    },
+
+    _batchNorm([x, scale, bias, mean, variance], attrs) {
+        const eps = attrs.epsilon !== undefined ? attrs.epsilon : 1e-5;
+        const [n, c] = x.dims;
+        const spatial = JsRuntime._size(x.dims.slice(2));
+        const out = new Float32Array(x.data.length);
+        for (let b = 0; b < n; b++) {
+            for (let ch = 0; ch < c; ch++) {
+                const k = scale.data[ch] / Math.sqrt(variance.data[ch] + eps);
+                const shift = bias.data[ch] - mean.data[ch] * k;
+                const base = (b * c + ch) * spatial;
+                for (let s = 0; s < spatial; s++) out[base + s] = x.data[base + s] * k + shift;
+            }
+        }
+        return [{ dims: x.dims.slice(), data: out }];
+    },
+
+    _clip([x, min, max], attrs) {
+        // Opset < 11 takes bounds as attributes, later opsets as inputs
+        const lo = min ? min.data[0] : (attrs.min !== undefined ? attrs.min : -Infinity);
+        const hi = max ? max.data[0] : (attrs.max !== undefined ? attrs.max : Infinity);
+        return JsRuntime._unary(v => v < lo ? lo : (v > hi ? hi : v))([x]);
+    },
+
+    _reshape([x, shapeTensor], attrs) {
+        const shape = shapeTensor ? Array.from(shapeTensor.data) : attrs.shape;
+        const dims = shape.map((d, i) => (d === 0 ? x.dims[i] : d));
+        const known = dims.reduce((acc, d) => (d === -1 ? acc : acc * d), 1);
+        const inferred = dims.map(d => (d === -1 ? x.data.length / known : d));
+        return [{ dims: inferred, data: x.data }];
+    },
+
+    _flatten([x], attrs) {
+        const axis = attrs.axis !== undefined ? attrs.axis : 1;
+        const a = axis < 0 ? axis + x.dims.length : axis;
+        const outer = JsRuntime._size(x.dims.slice(0, a));
+        return [{ dims: [outer, x.data.length / outer], data: x.data }];
+    },
+
+    /**
+     * Y = alpha * A' * B' + beta * C
+     */
+    _gemm([a, b, c], attrs) {
+        const transA = !!attrs.transA, transB = !!attrs.transB;
+        const alpha = attrs.alpha !== undefined ? attrs.alpha : 1;
+        const beta = attrs.beta !== undefined ? attrs.beta : 1;
+        const m = transA ? a.dims[1] : a.dims[0];
+        const k = transA ? a.dims[0] : a.dims[1];
+        const n = transB ? b.dims[0] : b.dims[1];
+        const out = new Float32Array(m * n);
+
+        for (let i = 0; i < m; i++) {
+            for (let j = 0; j < n; j++) {
+                let sum = 0;
+                for (let p = 0; p < k; p++) {
+                    const av = transA ? a.data[p * m + i] : a.data[i * k + p];
+                    const bv = transB ? b.data[j * k + p] : b.data[p * n + j];
+                    sum += av * bv;
+                }
+                out[i * n + j] = alpha * sum;
+            }
+        }
+        if (c && beta !== 0) {
+            return JsRuntime._binary((x, y) => x + beta * y)([{ dims: [m, n], data: out }, c]);
+        }
+        return [{ dims: [m, n], data: out }];
+    },
+
+    _matMul([a, b]) {
+        if (a.dims.length !== 2 || b.dims.length !== 2) {
+            throw new Error('JsRuntime: MatMul supports 2-D inputs only');
+        }
+        return JsRuntime._gemm([a, b], {});
+    },
+
+    _concat(inputs, attrs) {
+        const rank = inputs[0].dims.length;
+        const axis = attrs.axis < 0 ? attrs.axis + rank : attrs.axis;
+        const outer = JsRuntime._size(inputs[0].dims.slice(0, axis));
+        const dims = inputs[0].dims.slice();
+        dims[axis] = inputs.reduce((sum, t) => sum + t.dims[axis], 0);
+        const out = new Float32Array(JsRuntime._size(dims));
+
+        let offset = 0;
+        const rowOut = out.length / outer;
+        for (const t of inputs) {
+            const row = t.data.length / outer;
+            for (let o = 0; o < outer; o++) {
+                out.set(t.data.subarray(o * row, (o + 1) * row), o * rowOut + offset);
+            }
+            offset += row;
+        }
+        return [{ dims, data: out }];
+    },
+
+    _softmax([x], attrs, opset) {
+        const rank = x.dims.length;
+        let axis = attrs.axis !== undefined ? attrs.axis : (opset >= 13 ? -1 : 1);
+        if (axis < 0) axis += rank;
+        // Opset < 13 coerces to 2-D at axis; from 13 on it is per axis. Same for a last axis.
+        const inner = JsRuntime._size(x.dims.slice(axis));
+        if (opset >= 13 && axis !== rank - 1) {
+            throw new Error('JsRuntime: Softmax supports the last axis only');
+        }
+        const out = new Float32Array(x.data.length);
+        for (let base = 0; base < out.length; base += inner) {
+            let max = -Infinity, sum = 0;
+            for (let i = 0; i < inner; i++) max = Math.max(max, x.data[base + i]);
+            for (let i = 0; i < inner; i++) {
+                out[base + i] = Math.exp(x.data[base + i] - max);
+                sum += out[base + i];
+            }
+            for (let i = 0; i < inner; i++) out[base + i] /= sum;
+        }
+        return [{ dims: x.dims.slice(), data: out }];
+    }
+};
+
+JsRuntime._OPS = {
+    Conv: JsRuntime._conv,
+    BatchNormalization: JsRuntime._batchNorm,
+    Relu: JsRuntime._unary(v => (v > 0 ? v : 0)),
+    LeakyRelu: ([x], attrs) => {
+        const alpha = attrs.alpha !== undefined ? attrs.alpha : 0.01;
+        return JsRuntime._unary(v => (v > 0 ? v : v * alpha))([x]);
+    },
+    Sigmoid: JsRuntime._unary(v => 1 / (1 + Math.exp(-v))),
+    Clip: JsRuntime._clip,
+    Add: JsRuntime._binary((a, b) => a + b),
+    Sub: JsRuntime._binary((a, b) => a - b),
+    Mul: JsRuntime._binary((a, b) => a * b),
+    Div: JsRuntime._binary((a, b) => a / b),
+    Sum: (inputs) => [inputs.slice(1).reduce((acc, t) => JsRuntime._OPS.Add([acc, t])[0], inputs[0])],
+    GlobalAveragePool: JsRuntime._globalAveragePool,
+    AveragePool: JsRuntime._pool(false),
+    MaxPool: JsRuntime._pool(true),
+    Flatten: JsRuntime._flatten,
+    Reshape: JsRuntime._reshape,
+    Gemm: JsRuntime._gemm,
+    MatMul: JsRuntime._matMul,
+    Concat: JsRuntime._concat,
+    Softmax: JsRuntime._softmax,
+    Identity: ([x]) => [x],
+    Dropout: ([x]) => [x]
+};
+
+window.JsRuntime = JsRuntime;
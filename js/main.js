@@ -2,7 +2,7 @@
  * main.js - Entry point and orchestrator
  * Eagle API integration, selection polling, search coordination, drag & drop
  *
- * Search mode is automatic:
+ * Search mode is automatic unless picked per library (see getSearchMode):
  * - CLIP not ready → pHash mode (pixel-level)
  * - CLIP ready → hybrid mode (AI + pixel)
  */
@@ -18,26 +18,76 @@ const App = {
     autoSearchEnabled: true,
     resultCount: 20,
     threshold: 70,
-    lastSelectedId: null,
-    lastSearchedId: null,
+    lastSelectedIds: [],
+    lastSearchedKey: null,
+    multiCombine: 'centroid',
+    embeddingModel: null,  // null = Embedder.DEFAULT_MODEL_ID
+    whitening: false,
+    backend: 'auto',       // 'auto' = WebGL -> WASM -> JS fallback chain
+    filter: null,          // result filter criteria (see Filters), null = none
+    filterPresets: {},     // name -> criteria
+    exclusionRules: {},    // library path -> exclusion rules (see Exclusions)
+    tiledLibraries: {},    // library path -> true where tile embeddings are on (see Tiles)
+    palette: [],           // palette search colours: { hex, share } (see Palette)
+    hashing: { algorithm: 'blockhash', bits: 16, extras: [] },  // see Hasher.configure
+    searchSettings: {},    // library path -> { mode, preset, weights } (see _setSearchSettings)
     allItems: [],
     isSearching: false,
     indexingDone: false,
     clipReady: false,
+    duplicateMode: false,
+    taggingMode: false,
+    dupStrictness: 90,
     _lastResults: null,
+    _duplicateGroups: [],
+    _tagSuggestions: null,  // { id, suggestions } for the selected item
+    _tagProposals: [],      // batch tagging: { id, suggestions, accepted: Set }
+    _indexingQueued: false,
+    _filterBarOpen: false,
+    _exclusionsBarOpen: false,
+    _paletteBarOpen: false,
+    _weightsBarOpen: false,
+    _folderNames: new Map(),  // folder ID -> name, for describing exclusion rules
 
     POLL_INTERVAL: 500,
+    MAX_QUERY_ITEMS: 10,
 
     /**
-     * Get current search mode automatically
+     * Library items for the last selection (items no longer in the library are dropped)
+     */
+    _getSelectedItems() {
+        return App.lastSelectedIds
+            .map(id => App.allItems.find(i => i.id === id))
+            .filter(Boolean);
+    },
+
+    /**
+     * Search mode for the current library
+     * 'auto' picks hybrid once the model is ready; neural modes fall back to pixel until then.
      */
     getSearchMode() {
+        const { mode } = App._librarySearchSettings();
+        if (mode === Similarity.MODE_CLIP || mode === Similarity.MODE_HYBRID) {
+            return App.clipReady ? mode : Similarity.MODE_PHASH;
+        }
+        if (mode && mode !== 'auto') return mode;
         return App.clipReady ? 'hybrid' : 'phash';
     },
 
+    /**
+     * Mode and weights picked for the current library
+     * weights are the raw slider values (0-100 each), null = Similarity's defaults
+     */
+    _librarySearchSettings() {
+        return App.searchSettings[App.libraryPath] || { mode: 'auto', preset: null, weights: null };
+    },
+
     async init(plugin) {
         App.pluginPath = plugin.path;
         App._loadSettings();
+        Whitening.setEnabled(App.whitening);
+        Embedder.setBackendPreference(App.backend);
+        Hasher.configure(App.hashing);
 
         // Theme
         try {
@@ -49,6 +99,13 @@ const App = {
         // UI
         UI.initPreviewOverlay();
         App._initControls();
+        App._initFilters();
+        App._initExclusions();
+        App._initPalette();
+        App._initDuplicates();
+        App._initTagging();
+        App._initBulkActions();
+        App._initCropSearch();
         App._initDropZone();
 
         // Library + cache
@@ -60,8 +117,14 @@ const App = {
         } catch (e) {
             Cache.init(App.pluginPath, '', 'default');
         }
+        App._applyExclusionRules();
+        Tiles.setEnabled(!!App.tiledLibraries[App.libraryPath]);
+        UI.setTilesState(Tiles.isEnabled());
+        Similarity.setWeights(App._librarySearchSettings().weights);
+        UI.setSearchState(App._librarySearchSettings(), Similarity.getWeights());
 
         console.log(`App: Cache has ${Cache.getCachedCount()} items from disk`);
+        AnnIndex.setModel(App.embeddingModel || Embedder.DEFAULT_MODEL_ID, Cache.getAllItems());
 
         // Get all library items
         try {
@@ -70,11 +133,19 @@ const App = {
             try { App.allItems = await eagle.item.getAll(); } catch (e2) { App.allItems = []; }
         }
 
-        if (App.allItems && App.allItems.length > 0) {
+        if (!Array.isArray(App.allItems)) App.allItems = [];
+        // Folder exclusions need the folder tree before anything is indexed
+        await App._loadFilterOptions();
+        if (App.allItems.length > 0) {
             UI.setItemsMap(App.allItems);
             App._startIndexing();
+        } else {
+            App.indexingDone = true;
         }
 
+        // Pick up imports, deletions and edits made while the plugin is open
+        LibrarySync.start(App.allItems, (changes) => App._onLibraryChanged(changes));
+
         // Start CLIP model loading in background (non-blocking, won't break anything)
         App._initClip();
 
@@ -97,11 +168,18 @@ const App = {
             document.getElementById('clip-status-text').textContent = 'Loading neural search model...';
 
             const modelCacheDir = nodePath.join(App.pluginPath, 'models');
-            const ok = await Embedder.init(modelCacheDir);
+            UI.setModelOptions(Embedder.listModels(modelCacheDir), App.embeddingModel || Embedder.DEFAULT_MODEL_ID);
+            UI.setBackendState(App.backend, null);
+            const ok = await Embedder.init(modelCacheDir, App.embeddingModel);
 
             if (ok) {
                 App.clipReady = true;
-                document.getElementById('clip-status-text').textContent = 'Neural search ready ✓';
+                // The requested model may have been unavailable - index what was actually loaded
+                AnnIndex.setModel(Embedder.getModelId(), Cache.getAllItems());
+                const model = Embedder.getModel();
+                const backendLabel = Embedder.BACKEND_LABELS[Embedder.getBackend()];
+                UI.setBackendState(App.backend, backendLabel);
+                document.getElementById('clip-status-text').textContent = `Neural search ready ✓ (${model.name}, ${backendLabel})`;
                 statusEl.classList.add('ready');
                 if (aiBadge) aiBadge.classList.remove('hidden');
                 setTimeout(() => statusEl.classList.add('hidden'), 3000);
@@ -112,17 +190,13 @@ const App = {
                 }
 
                 // Re-search with AI if we already have results
-                if (App.lastSelectedId && App._lastResults) {
-                    const item = App.allItems.find(i => i.id === App.lastSelectedId);
-                    if (item) {
-                        App.lastSearchedId = null;
-                        App.performSearch(item);
-                    }
-                }
+                App._rerunSearch();
             } else {
                 const errMsg = Embedder.getError() || 'unknown error';
                 console.warn('App: CLIP not available:', errMsg);
-                document.getElementById('clip-status-text').textContent = 'Neural model not available (pixel mode)';
+                document.getElementById('clip-status-text').textContent = App.backend === 'auto'
+                    ? 'Neural model not available (pixel mode)'
+                    : `Neural model not available on ${Embedder.BACKEND_LABELS[App.backend]} (pixel mode)`;
                 setTimeout(() => statusEl.classList.add('hidden'), 5000);
             }
         } catch (e) {
@@ -131,6 +205,177 @@ const App = {
         }
     },
 
+    /**
+     * Switch the embedding model: stop phase 2, load the new model, re-embed what it hasn't seen
+     */
+    async _switchModel(modelId) {
+        if (modelId === (App.embeddingModel || Embedder.DEFAULT_MODEL_ID) && App.clipReady) return;
+        App.embeddingModel = modelId;
+        App._saveSettings();
+
+        await App._stopClipIndexing();
+
+        App.clipReady = false;
+        document.getElementById('ai-badge').classList.add('hidden');
+        document.getElementById('clip-status').classList.remove('ready');
+        await Embedder.release();
+        AnnIndex.setModel(modelId, Cache.getAllItems());
+
+        await App._initClip();
+    },
+
+    /**
+     * Force a backend (or 'auto'): reload the current model on it
+     * Embeddings stay valid - the backend does not change what the model computes
+     */
+    async _switchBackend(preference) {
+        App.backend = preference;
+        App._saveSettings();
+        Embedder.setBackendPreference(preference);
+
+        await App._stopClipIndexing();
+
+        App.clipReady = false;
+        document.getElementById('ai-badge').classList.add('hidden');
+        document.getElementById('clip-status').classList.remove('ready');
+        await Embedder.release();
+
+        await App._initClip();
+    },
+
+    /**
+     * Turn PCA whitening on or off
+     * The first time it is turned on for a model, it is fitted on the library's raw vectors.
+     */
+    async _setWhitening(enabled) {
+        App.whitening = enabled;
+        App._saveSettings();
+        UI.setWhiteningState(enabled);
+
+        if (!App.clipReady) {
+            // Applied when the model finishes loading
+            Whitening.setEnabled(enabled);
+            return;
+        }
+
+        await App._stopClipIndexing();
+        const base = Embedder.getBaseModelId();
+
+        if (enabled && !Whitening.hasParamsFor(base)) {
+            const items = Cache.getAllItems();
+            const vectors = Object.keys(items)
+                .map(id => items[id])
+                .filter(cached => cached.embedding && Similarity.modelOf(cached) === base)
+                .map(cached => cached.embedding);
+
+            if (vectors.length < Whitening.MIN_SAMPLES) {
+                UI.showStatus(`Whitening needs ${Whitening.MIN_SAMPLES} embedded items (have ${vectors.length})`);
+                App.whitening = false;
+                App._saveSettings();
+                UI.setWhiteningState(false);
+                if (App.indexingDone) App._startClipIndexing();
+                return;
+            }
+
+            UI.showStatus('Computing PCA whitening...', true);
+            await Whitening.fit(vectors, base);
+        }
+
+        Whitening.setEnabled(enabled);
+        AnnIndex.setModel(Embedder.getModelId(), Cache.getAllItems());
+        Cache.save();
+        UI.showStatus(enabled ? 'Whitening on' : 'Whitening off (re-embedding)');
+
+        // Phase 2 whitens raw vectors in place, or re-embeds whitened ones when turned off
+        if (App.indexingDone) await App._startClipIndexing();
+        App._rerunSearch();
+    },
+
+    /**
+     * Turn tile embeddings on or off for the current library
+     * Turning them on embeds every item's tiles in phase 2; turning them off drops the tiles from the cache.
+     */
+    async _setTiles(enabled) {
+        if (enabled) {
+            App.tiledLibraries[App.libraryPath] = true;
+        } else {
+            delete App.tiledLibraries[App.libraryPath];
+        }
+        App._saveSettings();
+        UI.setTilesState(enabled);
+
+        await App._stopClipIndexing();
+        Tiles.setEnabled(enabled);
+        if (!enabled) Tiles.dropFromCache(Cache.getAllItems());
+        UI.showStatus(enabled ? 'Tiles on (embedding tiles)' : 'Tiles off');
+
+        // Phase 2 embeds the missing tiles (or carries on where it was stopped)
+        if (App.indexingDone) await App._startClipIndexing();
+        App._rerunSearch();
+    },
+
+    /**
+     * Change the current library's search mode or weights and re-score the last results
+     * @param {Object} changes - Any of { mode, preset, weights }
+     * @param {boolean} [save=true] - Write settings now (sliders save on 'change' instead)
+     */
+    _setSearchSettings(changes, save = true) {
+        const settings = { ...App._librarySearchSettings(), ...changes };
+        App.searchSettings[App.libraryPath] = settings;
+        if (save) App._saveSettings();
+        Similarity.setWeights(settings.weights);
+        UI.setSearchState(settings, Similarity.getWeights());
+
+        // Palette searches keep their mode
+        const last = App._lastResults;
+        if (last && last.searchMode !== Similarity.MODE_PALETTE) last.searchMode = App.getSearchMode();
+        App._refilterResults();
+    },
+
+    /**
+     * Change the hash algorithm, length or extra hashes
+     * Phase 1 rehashes every item hashed differently; embeddings are kept.
+     */
+    async _setHashing(config) {
+        Hasher.configure(config);
+        // Store what Hasher accepted (unknown names dropped, the main algorithm never an extra)
+        App.hashing = Hasher.getConfig();
+        App._saveSettings();
+        UI.setHashState(App.hashing);
+        UI.showStatus(`Hashing with ${Hasher.getAlgorithmId()} (rehashing)`);
+
+        // Whichever phase is running restarts from phase 1
+        while (Indexer.isRunning()) {
+            Indexer.stop();
+            await new Promise(r => setTimeout(r, 200));
+        }
+        if (App.allItems.length > 0) await App._startIndexing();
+    },
+
+    /**
+     * Stop phase 2 if it is running and wait for it to wind down
+     */
+    async _stopClipIndexing() {
+        if (Indexer.isRunning() && Indexer.getPhase() === 'clip') {
+            Indexer.stop();
+            while (Indexer.isRunning()) {
+                await new Promise(r => setTimeout(r, 200));
+            }
+        }
+    },
+
+    /**
+     * Search again for the current selection (query vectors may have changed)
+     */
+    _rerunSearch() {
+        if (App.lastSelectedIds.length === 0 || !App._lastResults) return;
+        const items = App._getSelectedItems();
+        if (items.length > 0) {
+            App.lastSearchedKey = null;
+            App.performSearch(items);
+        }
+    },
+
     /**
      * Start CLIP embedding indexing (phase 2)
      */
@@ -141,8 +386,8 @@ const App = {
         Indexer._shouldStop = false;
         Indexer._phase = 'clip';
 
-        await Indexer._indexClip(App.allItems, (processed, total, phase) => {
-            UI.showIndexingProgress(processed, total, phase);
+        await Indexer._indexClip(App.allItems, (processed, total, phase, refreshed) => {
+            UI.showIndexingProgress(processed, total, phase, refreshed);
         });
 
         Indexer._isRunning = false;
@@ -152,67 +397,158 @@ const App = {
 
     /**
      * Start phase 1 indexing (pHash + color histogram)
+     * Always runs: besides new items, it picks up files edited or replaced since the last session
      */
     async _startIndexing() {
-        const totalImages = App.allItems.filter(item => Indexer.isImageType(item.ext)).length;
-        const cachedCount = Cache.getCachedCount();
+        Cache.removeOrphans(App._keptIds());
 
-        if (cachedCount >= totalImages) {
-            App.indexingDone = true;
-            console.log('App: pHash fully indexed');
-            if (App.autoSearchEnabled && App.lastSelectedId && !App.lastSearchedId) {
-                const item = App.allItems.find(i => i.id === App.lastSelectedId);
-                if (item) App.performSearch(item);
+        Indexer._isRunning = true;
+        Indexer._shouldStop = false;
+        Indexer._phase = 'phash';
+
+        const indexed = await Indexer._indexPhash(App.allItems, (processed, total, phase, refreshed) => {
+            UI.showIndexingProgress(processed, total, phase, refreshed);
+        });
+
+        Indexer._isRunning = false;
+        Indexer._phase = null;
+        App.indexingDone = true;
+        UI.hideIndexingProgress();
+
+        if (App.autoSearchEnabled && App.lastSelectedIds.length > 0 && (indexed > 0 || !App.lastSearchedKey)) {
+            const items = App._getSelectedItems();
+            if (items.length > 0) App.performSearch(items);
+        }
+
+        // Items that arrived during the initial run go next; that also starts phase 2
+        if (LibrarySync.hasQueued()) {
+            App._indexQueued();
+        } else if (App.clipReady) {
+            App._startClipIndexing();
+        }
+    },
+
+    /**
+     * Apply a library diff from LibrarySync
+     */
+    _onLibraryChanged({ items, removed, modified }) {
+        App.allItems = items;
+        UI.setItemsMap(App.allItems);
+        App._loadFilterOptions();
+
+        // An edit can also bring an item under an exclusion rule (e.g. a new tag)
+        const excluded = modified
+            .filter(item => Exclusions.isExcluded(item) && Cache.getHash(item.id))
+            .map(item => item.id);
+        const gone = new Set(removed.concat(excluded));
+
+        if (gone.size > 0) {
+            Cache.removeOrphans(App._keptIds());
+            App._refilterResults();
+            if (App._duplicateGroups.length > 0) {
+                App._duplicateGroups = App._duplicateGroups
+                    .map(group => group.filter(id => !gone.has(id)))
+                    .filter(group => group.length > 1);
+                if (App.duplicateMode) App._renderDuplicates();
             }
-            if (App.clipReady) App._startClipIndexing();
-            return;
         }
 
-        UI.showIndexingProgress(cachedCount, totalImages, 'phash');
+        App._indexQueued();
+    },
+
+    /**
+     * Index items queued by LibrarySync: phase 1 right away (pausing phase 2 if
+     * needed), then phase 2 resumes over the whole library, new items included
+     */
+    async _indexQueued() {
+        // The initial phase 1 run hands over when it finishes
+        if (!App.indexingDone || App._indexingQueued) return;
+        if (!LibrarySync.hasQueued()) return;
+        App._indexingQueued = true;
+
+        await App._stopClipIndexing();
 
         Indexer._isRunning = true;
         Indexer._shouldStop = false;
         Indexer._phase = 'phash';
 
-        await Indexer._indexPhash(App.allItems, (processed, total, phase) => {
-            UI.showIndexingProgress(processed, total, phase);
+        const indexed = await Indexer._indexPhash(LibrarySync.takeQueued(), (processed, total, phase, refreshed) => {
+            UI.showIndexingProgress(processed, total, phase, refreshed);
         });
 
         Indexer._isRunning = false;
         Indexer._phase = null;
-        App.indexingDone = true;
         UI.hideIndexingProgress();
+        App._indexingQueued = false;
 
-        if (App.autoSearchEnabled && App.lastSelectedId) {
-            const item = App.allItems.find(i => i.id === App.lastSelectedId);
-            if (item) App.performSearch(item);
-        }
+        // New items may now rank among the current results
+        if (indexed > 0) App._refilterResults();
 
-        if (App.clipReady) App._startClipIndexing();
+        if (LibrarySync.hasQueued()) {
+            App._indexQueued();
+        } else if (App.clipReady) {
+            App._startClipIndexing();
+        }
     },
 
     async _pollSelection() {
         try {
             const selected = await eagle.item.getSelected();
-            if (selected && selected.length === 1) {
-                const item = selected[0];
-                if (item.id !== App.lastSelectedId) {
-                    App.lastSelectedId = item.id;
-                    if (App.autoSearchEnabled) App.performSearch(item);
+            if (selected && selected.length > 0) {
+                const items = selected.slice(0, App.MAX_QUERY_ITEMS);
+                const ids = items.map(i => i.id);
+                if (ids.join(',') !== App.lastSelectedIds.join(',')) {
+                    App.lastSelectedIds = ids;
+                    if (App.autoSearchEnabled && !App._panelOpen()) App.performSearch(items);
                 }
             }
         } catch (e) {}
         setTimeout(() => App._pollSelection(), App.POLL_INTERVAL);
     },
 
-    async performSearch(item) {
-        if (App.isSearching) return;
+    /**
+     * Compute the query fingerprint for one image file
+     * @param {string} filePath
+     * @param {Object} [crop] - Only this part of the image (see Hasher.cropRect)
+     */
+    async _computeQueryData(filePath, crop) {
+        const queryData = {};
+
+        // Always compute pHash (fast, needed for phash and hybrid)
+        const hashes = await Hasher.computeHashes(filePath, crop);
+        queryData.pHash = hashes.pHash;
+        queryData.variantHashes = hashes.variantHashes;
+        queryData.cropHash = hashes.cropHash;
+        queryData.hashAlgorithm = hashes.hashAlgorithm;
+        queryData.extraHashes = hashes.extraHashes;
+        queryData.extraHashAlgorithms = hashes.extraHashAlgorithms;
+        queryData.colorHistogram = hashes.colorHistogram;
+        queryData.colorModel = hashes.colorModel;
+
+        // Compute CLIP embedding if available (for hybrid mode)
+        if (App.clipReady) {
+            try {
+                queryData.embedding = await Embedder.computeEmbedding(filePath, crop);
+                queryData.embeddingModel = Embedder.getModelId();
+            } catch (e) {
+                console.warn('App: CLIP embedding failed for query:', e.message);
+            }
+        }
+        return queryData;
+    },
+
+    /**
+     * Search for items similar to one or more selected items
+     * @param {Object[]} items - Selected Eagle items (1..MAX_QUERY_ITEMS)
+     */
+    async performSearch(items) {
+        if (App.isSearching || App._panelOpen()) return;
         App.isSearching = true;
-        UI.showLoading('Searching...');
+        UI.showLoading(items.length > 1 ? `Searching by ${items.length} items...` : 'Searching...');
 
         try {
-            const hashPath = Indexer.getHashPath(item);
-            if (!hashPath) {
+            const queryItems = items.filter(item => Indexer.getHashPath(item));
+            if (queryItems.length === 0) {
                 UI.showEmptyState('Cannot access image file');
                 App.isSearching = false;
                 UI.hideLoading();
@@ -220,31 +556,30 @@ const App = {
             }
 
             const searchMode = App.getSearchMode();
-            const queryData = {};
-
-            // Always compute pHash (fast, needed for phash and hybrid)
-            const hashes = await Hasher.computeHashes(hashPath);
-            queryData.pHash = hashes.pHash;
-            queryData.colorHistogram = hashes.colorHistogram;
-
-            // Compute CLIP embedding if available (for hybrid mode)
-            if (App.clipReady) {
-                try {
-                    queryData.embedding = await Embedder.computeEmbedding(hashPath);
-                } catch (e) {
-                    console.warn('App: CLIP embedding failed for query:', e.message);
-                }
+            const queries = [];
+            for (const item of queryItems) {
+                queries.push(await App._computeQueryData(Indexer.getHashPath(item)));
             }
 
+            const queryData = queries.length === 1
+                ? queries[0]
+                : Similarity.combineQueries(queries, App.multiCombine);
+            const excludeId = queryItems.map(item => item.id);
+
             const cacheItems = Cache.getAllItems();
             const results = Similarity.findSimilar(
-                queryData, cacheItems, App.threshold, App.resultCount, item.id, searchMode
+                queryData, cacheItems, App.threshold, App.resultCount, excludeId, searchMode, App._resultOptions()
             );
 
-            App._lastResults = { queryData, excludeId: item.id, searchMode };
-            App.lastSearchedId = item.id;
+            App._lastResults = App._createLastResults(queryData, excludeId, searchMode, queryItems);
+            App.lastSearchedKey = excludeId.join(',');
+            UI.setResultSelection([]);
+            UI.showMultiQueryControls(queryItems.length > 1);
+            UI.showFeedbackControls(0, 0);
+            UI.setFeedback(App._lastResults.feedback);
             UI.hideLoading();
-            UI.renderResults(results);
+            UI.renderResults(results, queryItems);
+            App._suggestTags(queryData, queryItems, searchMode);
 
         } catch (e) {
             console.warn('App: Search failed:', e.message);
@@ -255,15 +590,84 @@ const App = {
         App.isSearching = false;
     },
 
+    /**
+     * State kept for refiltering: the query as computed (baseQueryData), the
+     * query after relevance feedback (queryData), and the feedback marks
+     */
+    _createLastResults(queryData, excludeId, searchMode, queryItems) {
+        return {
+            queryData,
+            baseQueryData: queryData,
+            excludeId,
+            baseExcludeId: excludeId,
+            searchMode,
+            queryItems,
+            feedback: { positive: new Set(), negative: new Set() }
+        };
+    },
+
     _refilterResults() {
-        if (!App._lastResults) return;
+        if (!App._lastResults || App._panelOpen()) return;
+        const { queryItems, feedback } = App._lastResults;
+        UI.setFeedback(feedback);
+        UI.renderResults(App._currentResults(), queryItems);
+    },
+
+    /**
+     * Results for the last query under the current threshold, count, filter and feedback
+     */
+    _currentResults() {
         const { queryData, excludeId, searchMode } = App._lastResults;
         const mode = searchMode || App.getSearchMode();
-        const cacheItems = Cache.getAllItems();
-        const results = Similarity.findSimilar(
-            queryData, cacheItems, App.threshold, App.resultCount, excludeId, mode
+        return Similarity.findSimilar(
+            queryData, Cache.getAllItems(), App.threshold, App.resultCount, excludeId, mode, App._resultOptions()
         );
-        UI.renderResults(results);
+    },
+
+    /**
+     * Mark a result as "more like this" / "not like this" and re-rank
+     * Marking the same result twice with the same kind clears the mark
+     * @param {string} id - Result item ID
+     * @param {string} kind - 'positive' | 'negative'
+     */
+    _markResult(id, kind) {
+        const last = App._lastResults;
+        if (!last) return;
+        const { positive, negative } = last.feedback;
+        const target = kind === 'positive' ? positive : negative;
+        const other = kind === 'positive' ? negative : positive;
+
+        if (target.has(id)) {
+            target.delete(id);
+        } else {
+            target.add(id);
+            other.delete(id);
+        }
+        App._applyFeedback();
+    },
+
+    _resetFeedback() {
+        const last = App._lastResults;
+        if (!last) return;
+        last.feedback.positive.clear();
+        last.feedback.negative.clear();
+        App._applyFeedback();
+    },
+
+    /**
+     * Rebuild the refined query from the base query and the feedback marks
+     * Uses cached vectors of the marked items - the query image is not recomputed
+     */
+    _applyFeedback() {
+        const last = App._lastResults;
+        const { positive, negative } = last.feedback;
+        const lookup = (ids) => Array.from(ids).map(id => Cache.getHash(id)).filter(Boolean);
+
+        last.queryData = Similarity.refineQuery(last.baseQueryData, lookup(positive), lookup(negative));
+        // Rejected items stay out of the results
+        last.excludeId = [].concat(last.baseExcludeId || [], Array.from(negative));
+        UI.showFeedbackControls(positive.size, negative.size);
+        App._refilterResults();
     },
 
     _initControls() {
@@ -274,9 +678,9 @@ const App = {
             toggleBtn.textContent = App.autoSearchEnabled ? 'ON' : 'OFF';
             toggleBtn.classList.toggle('active', App.autoSearchEnabled);
             App._saveSettings();
-            if (App.autoSearchEnabled && App.lastSelectedId) {
-                const item = App.allItems.find(i => i.id === App.lastSelectedId);
-                if (item) App.performSearch(item);
+            if (App.autoSearchEnabled && App.lastSelectedIds.length > 0) {
+                const items = App._getSelectedItems();
+                if (items.length > 0) App.performSearch(items);
             }
         });
         toggleBtn.textContent = App.autoSearchEnabled ? 'ON' : 'OFF';
@@ -308,6 +712,771 @@ const App = {
         });
         thresholdSlider.addEventListener('change', () => App._saveSettings());
 
+        // Search mode and weights (per library)
+        document.getElementById('search-mode').addEventListener('change', (e) => {
+            App._setSearchSettings({ mode: e.target.value });
+        });
+        document.getElementById('weights-toggle').addEventListener('click', () => {
+            App._weightsBarOpen = !App._weightsBarOpen;
+            UI.showWeightsBar(App._weightsBarOpen);
+        });
+        UI.setWeightPresets(Similarity.WEIGHT_PRESETS);
+        document.getElementById('weight-preset').addEventListener('change', (e) => {
+            const key = e.target.value;
+            const preset = Similarity.WEIGHT_PRESETS[key];
+            if (key === 'default') {
+                App._setSearchSettings({ preset: null, weights: null });
+            } else if (preset) {
+                App._setSearchSettings({
+                    preset: key,
+                    weights: { phash: preset.phash * 100, color: preset.color * 100, clip: preset.clip * 100 }
+                });
+            }
+        });
+        for (const part of ['phash', 'color', 'clip']) {
+            const slider = document.getElementById(`weight-${part}`);
+            slider.addEventListener('input', () => {
+                const weights = {};
+                for (const p of ['phash', 'color', 'clip']) {
+                    weights[p] = parseInt(document.getElementById(`weight-${p}`).value);
+                }
+                App._setSearchSettings({ preset: null, weights }, false);
+            });
+            slider.addEventListener('change', () => App._saveSettings());
+        }
+
+        // Embedding model
+        document.getElementById('model-select').addEventListener('change', (e) => {
+            App._switchModel(e.target.value);
+        });
+
+        // Inference backend
+        const backendSelect = document.getElementById('backend-select');
+        backendSelect.value = App.backend;
+        backendSelect.addEventListener('change', () => App._switchBackend(backendSelect.value));
+
+        // PCA whitening
+        const whitenBtn = document.getElementById('whiten-toggle');
+        UI.setWhiteningState(App.whitening);
+        whitenBtn.addEventListener('click', () => {
+            if (Whitening.isFitting()) return;
+            App._setWhitening(!App.whitening);
+        });
+
+        // Tile embeddings (per library)
+        document.getElementById('tiles-toggle').addEventListener('click', () => {
+            App._setTiles(!Tiles.isEnabled());
+        });
+
+        // Relevance feedback
+        UI.initFeedback(
+            (id, kind) => App._markResult(id, kind),
+            () => App._resetFeedback()
+        );
+
+        // Multi-item combination - recombine the stored per-item queries, no recompute
+        const combineSelect = document.getElementById('multi-combine');
+        combineSelect.value = App.multiCombine;
+        combineSelect.addEventListener('change', () => {
+            App.multiCombine = combineSelect.value;
+            App._saveSettings();
+            const last = App._lastResults;
+            if (last && last.baseQueryData.queries) {
+                last.baseQueryData = Similarity.combineQueries(last.baseQueryData.queries, App.multiCombine);
+                App._applyFeedback();
+            }
+        });
+    },
+
+    /**
+     * findSimilar options for the active result filter and exclusion rules
+     */
+    _searchOptions() {
+        const allowed = Filters.allowedIds(App.allItems, App.filter);
+        const excluded = Exclusions.hasRules() ? Exclusions.excludedIds(App.allItems) : null;
+        if (!allowed && !excluded) return undefined;
+        const options = {};
+        if (allowed) options.allowed = allowed;
+        if (excluded) options.excluded = excluded;
+        return options;
+    },
+
+    /**
+     * findSimilar options for the results grid: also explain each score (see Similarity.scoreBreakdown)
+     */
+    _resultOptions() {
+        return { ...App._searchOptions(), explain: true };
+    },
+
+    _initFilters() {
+        document.getElementById('filter-toggle').addEventListener('click', () => {
+            App._filterBarOpen = !App._filterBarOpen;
+            UI.showFilterBar(App._filterBarOpen);
+        });
+
+        UI.setFilterCriteria(App.filter);
+        UI.setFilterActive(Filters.isActive(App.filter));
+        UI.setFilterPresets(Object.keys(App.filterPresets));
+
+        const fields = ['filter-folder', 'filter-ext', 'filter-rating', 'filter-tags',
+                        'filter-min-width', 'filter-min-height', 'filter-imported-after'];
+        for (const id of fields) {
+            document.getElementById(id).addEventListener('change', () => App._setFilter(UI.getFilterCriteria()));
+        }
+
+        document.getElementById('filter-clear').addEventListener('click', () => {
+            UI.setFilterCriteria(null);
+            App._setFilter(null);
+        });
+
+        // Presets
+        const presetSelect = document.getElementById('filter-preset');
+        const presetName = document.getElementById('filter-preset-name');
+        presetSelect.addEventListener('change', () => {
+            const criteria = App.filterPresets[presetSelect.value];
+            if (!criteria) return;
+            presetName.value = presetSelect.value;
+            UI.setFilterCriteria(criteria);
+            App._setFilter(criteria);
+        });
+        document.getElementById('filter-preset-save').addEventListener('click', () => {
+            const name = presetName.value.trim();
+            if (!name) {
+                presetName.focus();
+                return;
+            }
+            App.filterPresets[name] = UI.getFilterCriteria();
+            App._saveSettings();
+            UI.setFilterPresets(Object.keys(App.filterPresets));
+            presetSelect.value = name;
+        });
+        document.getElementById('filter-preset-delete').addEventListener('click', () => {
+            const name = presetSelect.value;
+            if (!name) return;
+            delete App.filterPresets[name];
+            App._saveSettings();
+            UI.setFilterPresets(Object.keys(App.filterPresets));
+            presetName.value = '';
+        });
+    },
+
+    /**
+     * Apply new filter criteria to the current results
+     */
+    _setFilter(criteria) {
+        App.filter = Filters.isActive(criteria) ? Filters.normalize(criteria) : null;
+        UI.setFilterActive(!!App.filter);
+        App._saveSettings();
+        App._refilterResults();
+    },
+
+    /**
+     * Folder and type choices for the filter bar and the exclusion editor
+     */
+    async _loadFilterOptions() {
+        let folders = [];
+        try {
+            folders = Filters.setFolders(await eagle.folder.getAll());
+        } catch (e) {}
+        UI.setFilterOptions(folders, Filters.extensions(App.allItems));
+        // Options now exist for the saved values
+        UI.setFilterCriteria(App.filter);
+
+        App._folderNames = new Map(folders.map(f => [f.id, f.name]));
+        UI.setExclusionFolders(folders);
+        UI.setBulkFolders(folders);
+        App._renderExclusions();
+    },
+
+    _initExclusions() {
+        document.getElementById('exclude-toggle').addEventListener('click', () => {
+            App._exclusionsBarOpen = !App._exclusionsBarOpen;
+            UI.showExclusionsBar(App._exclusionsBarOpen);
+        });
+
+        document.getElementById('exclude-type').addEventListener('change', () => UI.updateExclusionInput());
+        UI.updateExclusionInput();
+
+        const add = () => {
+            const rule = Exclusions.normalizeRule(UI.getExclusionDraft());
+            if (!rule) {
+                document.getElementById('exclude-value').focus();
+                return;
+            }
+            UI.clearExclusionDraft();
+            App._setExclusionRules(Exclusions.getRules().concat([rule]));
+        };
+        document.getElementById('exclude-add').addEventListener('click', add);
+        document.getElementById('exclude-value').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') add();
+        });
+    },
+
+    _initPalette() {
+        document.getElementById('palette-toggle').addEventListener('click', () => {
+            App._paletteBarOpen = !App._paletteBarOpen;
+            UI.showPaletteBar(App._paletteBarOpen);
+        });
+        App._renderPalette();
+
+        const hexInput = document.getElementById('palette-hex');
+        hexInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            const colours = Palette.parse(hexInput.value);
+            if (colours.length === 0) return;
+            hexInput.value = '';
+            App._setPalette(colours);
+            App._searchPalette();
+        });
+        document.getElementById('palette-add').addEventListener('click', () => {
+            if (App.palette.length >= Palette.MAX_COLORS) return;
+            App._setPalette(App.palette.concat([{ hex: '#808080', share: null }]));
+        });
+        document.getElementById('palette-search').addEventListener('click', () => App._searchPalette());
+    },
+
+    _setPalette(colours) {
+        App.palette = colours.slice(0, Palette.MAX_COLORS);
+        App._saveSettings();
+        App._renderPalette();
+    },
+
+    _renderPalette() {
+        UI.renderPaletteSwatches(App.palette,
+            (index, colour) => {
+                const colours = App.palette.slice();
+                colours[index] = colour;
+                App._setPalette(colours);
+            },
+            (index) => App._setPalette(App.palette.filter((c, i) => i !== index))
+        );
+    },
+
+    /**
+     * Search the library by the picked colours
+     */
+    _searchPalette() {
+        if (App.isSearching || App._panelOpen()) return;
+        const query = Palette.toQuery(App.palette);
+        if (query.length === 0) return;
+
+        const queryData = { palette: query };
+        const searchMode = Similarity.MODE_PALETTE;
+        const results = Similarity.findSimilar(
+            queryData, Cache.getAllItems(), App.threshold, App.resultCount, null, searchMode, App._resultOptions()
+        );
+        App._lastResults = App._createLastResults(queryData, null, searchMode, null);
+        App._lastResults.queryLabel = `Palette ${Palette.describe(query)}`;
+        UI.setResultSelection([]);
+        UI.showMultiQueryControls(false);
+        UI.showFeedbackControls(0, 0);
+        UI.setFeedback(App._lastResults.feedback);
+        UI.renderResults(results);
+        App._suggestTags(queryData, [], searchMode);
+        UI.showStatus(`Searching by ${App._lastResults.queryLabel}`);
+    },
+
+    /**
+     * Load the current library's exclusion rules
+     */
+    _applyExclusionRules() {
+        Exclusions.setRules(App.exclusionRules[App.libraryPath] || []);
+        App._renderExclusions();
+    },
+
+    _renderExclusions() {
+        UI.renderExclusionRules(Exclusions.getRules(), App._folderNames, (index) => {
+            const rules = Exclusions.getRules();
+            rules.splice(index, 1);
+            App._setExclusionRules(rules);
+        });
+    },
+
+    /**
+     * IDs of the library items that may stay in the cache (present and not excluded)
+     */
+    _keptIds() {
+        const excluded = Exclusions.excludedIds(App.allItems);
+        return App.allItems.filter(item => !excluded.has(item.id)).map(item => item.id);
+    },
+
+    /**
+     * Change the exclusion rules and update the cache incrementally:
+     * newly excluded items are dropped, items no longer excluded are indexed
+     * like new imports. Nothing else is re-hashed.
+     */
+    _setExclusionRules(rules) {
+        const before = Exclusions.excludedIds(App.allItems);
+        Exclusions.setRules(rules);
+        const after = Exclusions.excludedIds(App.allItems);
+
+        App.exclusionRules[App.libraryPath] = Exclusions.getRules();
+        App._saveSettings();
+        App._renderExclusions();
+
+        if (Array.from(after).some(id => !before.has(id))) {
+            Cache.removeOrphans(App._keptIds());
+        }
+
+        const lifted = App.allItems.filter(item =>
+            before.has(item.id) && !after.has(item.id) && Indexer.isIndexable(item));
+        if (lifted.length > 0) {
+            LibrarySync.enqueue(lifted);
+            App._indexQueued();
+        }
+
+        App._refilterResults();
+    },
+
+    /**
+     * Whether a full-height panel (duplicates, batch tagging) replaces the results
+     */
+    _panelOpen() {
+        return App.duplicateMode || App.taggingMode;
+    },
+
+    /**
+     * Switch between the results grid and a panel
+     * @param {string|null} panel - 'duplicates' | 'tagging', null for the results
+     */
+    _setPanel(panel) {
+        App.duplicateMode = panel === 'duplicates';
+        App.taggingMode = panel === 'tagging';
+        // Close before opening: each panel toggles the results grid
+        if (!App.duplicateMode) UI.showDuplicatesPanel(false);
+        if (!App.taggingMode) UI.showTaggingPanel(false);
+        if (App.duplicateMode) UI.showDuplicatesPanel(true);
+        if (App.taggingMode) UI.showTaggingPanel(true);
+
+        if (!panel) {
+            if (App._lastResults) {
+                App._refilterResults();
+                App._renderTagSuggestions();
+            } else {
+                UI.showEmptyState('Select an image to find similar items');
+            }
+        }
+    },
+
+    _initDuplicates() {
+        const toggleBtn = document.getElementById('dupes-toggle');
+        toggleBtn.addEventListener('click', () => App._setPanel(App.duplicateMode ? null : 'duplicates'));
+
+        const slider = document.getElementById('dup-strictness');
+        const label = document.getElementById('dup-strictness-label');
+        slider.value = App.dupStrictness;
+        label.textContent = App.dupStrictness;
+        slider.addEventListener('input', () => {
+            App.dupStrictness = parseInt(slider.value);
+            label.textContent = App.dupStrictness;
+        });
+        slider.addEventListener('change', () => App._saveSettings());
+
+        UI.setHashOptions((name) => {
+            const extras = App.hashing.extras.includes(name)
+                ? App.hashing.extras.filter(e => e !== name)
+                : [...App.hashing.extras, name];
+            App._setHashing({ ...App.hashing, extras });
+        });
+        UI.setHashState(App.hashing);
+        document.getElementById('hash-algorithm').addEventListener('change', (e) => {
+            App._setHashing({ ...App.hashing, algorithm: e.target.value });
+        });
+        document.getElementById('hash-bits').addEventListener('change', (e) => {
+            App._setHashing({ ...App.hashing, bits: parseInt(e.target.value) });
+        });
+
+        document.getElementById('dup-scan').addEventListener('click', () => App.runDuplicateScan());
+        document.getElementById('dup-export').addEventListener('click', () => App._exportDuplicates());
+
+        for (const btn of document.querySelectorAll('[data-dup-action]')) {
+            btn.addEventListener('click', () => {
+                const groups = App._duplicateGroups.map((_, i) => i);
+                if (groups.length === 0) return;
+                const action = btn.dataset.dupAction;
+                if (action !== 'tag' && !confirm(`Move duplicates of ${groups.length} groups to trash?`)) return;
+                App._resolveDuplicates(groups, action);
+            });
+        }
+    },
+
+    /**
+     * Cluster the whole cached library into duplicate groups
+     */
+    async runDuplicateScan() {
+        if (Duplicates.isScanning()) return;
+        UI.setDuplicateStatus('Scanning...');
+
+        const groups = await Duplicates.findGroups(Cache.getAllItems(), App.dupStrictness, (done, total) => {
+            UI.setDuplicateStatus(`Scanning: ${done}/${total}`);
+        });
+
+        // Only show items still in the library
+        const known = new Set(App.allItems.map(item => item.id));
+        App._duplicateGroups = groups
+            .map(group => group.filter(id => known.has(id)))
+            .filter(group => group.length > 1);
+
+        App._renderDuplicates();
+    },
+
+    _renderDuplicates() {
+        const groups = App._duplicateGroups;
+        const count = groups.reduce((sum, g) => sum + g.length, 0);
+        UI.setDuplicateStatus(groups.length > 0
+            ? `${groups.length} groups, ${count} items`
+            : 'No duplicates found');
+        UI.renderDuplicateGroups(groups, (index, action) => {
+            if (action !== 'tag' && !confirm(`Move duplicates in this group of ${groups[index].length} to trash?`)) return;
+            App._resolveDuplicates([index], action);
+        });
+    },
+
+    /**
+     * Apply a resolution action to duplicate groups
+     * @param {number[]} indices - Indices into App._duplicateGroups
+     * @param {string} action - 'largest' | 'newest' keep one and trash the rest, 'tag' tags all
+     */
+    async _resolveDuplicates(indices, action) {
+        const groups = indices.map(i => App._duplicateGroups[i]).filter(Boolean);
+        UI.setDuplicateStatus('Applying...');
+
+        try {
+            if (action === 'tag') {
+                const ids = [].concat(...groups);
+                const updated = await Actions.addTags(ids, ['duplicate']);
+                UI.setDuplicateStatus(`Tagged ${updated.length} items 'duplicate'`);
+                return;
+            }
+
+            const toTrash = [];
+            for (const group of groups) {
+                const items = group.map(id => UI.getItemsMap().get(id)).filter(Boolean);
+                if (items.length < 2) continue;
+                const keeper = Duplicates.pickKeeper(items, action);
+                const kept = Cache.getHash(keeper.id);
+                for (const item of items) {
+                    if (item.id === keeper.id) continue;
+                    // Members only chained in through another member stay
+                    if (Duplicates.isDuplicate(kept, Cache.getHash(item.id), App.dupStrictness)) {
+                        toTrash.push(item.id);
+                    }
+                }
+            }
+
+            const trashed = new Set(await Actions.moveToTrash(toTrash));
+            App._dropItems(trashed);
+
+            App._duplicateGroups = App._duplicateGroups
+                .map(group => group.filter(id => !trashed.has(id)))
+                .filter(group => group.length > 1);
+            App._renderDuplicates();
+            UI.setDuplicateStatus(`Moved ${trashed.size} items to trash`);
+        } catch (e) {
+            console.warn('App: Duplicate resolution failed:', e.message);
+            UI.setDuplicateStatus('Action failed: ' + e.message);
+        } finally {
+            UI.setUndoState(Actions.getUndo());
+        }
+    },
+
+    /**
+     * Suggest tags for a single selected item from its neighbours' tags
+     * @param {Object} queryData - The item's query fingerprint
+     * @param {Object[]} queryItems - Selected items; anything but one item hides the strip
+     * @param {string} searchMode - Mode the results were found with
+     */
+    _suggestTags(queryData, queryItems, searchMode) {
+        App._tagSuggestions = null;
+        if (queryItems.length === 1) {
+            const item = queryItems[0];
+            const neighbours = TagSuggest.neighbours(queryData, Cache.getAllItems(), item.id, searchMode, App._searchOptions());
+            App._tagSuggestions = {
+                id: item.id,
+                suggestions: TagSuggest.suggest(neighbours, UI.getItemsMap(), item.tags)
+            };
+        }
+        App._renderTagSuggestions();
+    },
+
+    _renderTagSuggestions() {
+        const current = App._tagSuggestions;
+        UI.showTagSuggestions(current ? current.suggestions : [], (tags) => App._applySuggestedTags(current.id, tags));
+    },
+
+    /**
+     * Add suggested tags to the selected item
+     */
+    async _applySuggestedTags(id, tags) {
+        try {
+            const updated = await Actions.addTags([id], tags);
+            App._noteTags(updated, tags);
+            const current = App._tagSuggestions;
+            if (current && current.id === id) {
+                current.suggestions = current.suggestions.filter(s => !tags.includes(s.tag));
+                App._renderTagSuggestions();
+            }
+            if (updated.length > 0) UI.showStatus(`Tagged: ${tags.join(', ')}`);
+        } catch (e) {
+            console.warn('App: Tagging failed:', e.message);
+            UI.showStatus('Tagging failed: ' + e.message);
+        }
+        UI.setUndoState(Actions.getUndo());
+    },
+
+    /**
+     * Mirror tags written through the Eagle API in the local item list,
+     * so later suggestions see them before the next library sync
+     */
+    _noteTags(ids, tags) {
+        const updated = new Set(ids);
+        for (const item of App.allItems) {
+            if (!updated.has(item.id)) continue;
+            const current = item.tags || [];
+            item.tags = current.concat(tags.filter(tag => !current.includes(tag)));
+        }
+    },
+
+    _initTagging() {
+        document.getElementById('tagging-toggle').addEventListener('click', () => App._setPanel(App.taggingMode ? null : 'tagging'));
+        document.getElementById('tagging-scan').addEventListener('click', () => App.runTagProposals());
+        document.getElementById('tagging-apply').addEventListener('click', () => App._applyTagProposals());
+    },
+
+    /**
+     * Propose tags for the next batch of untagged items; nothing is written until
+     * the review is applied. Clicking again while it runs stops it.
+     */
+    async runTagProposals() {
+        if (TagSuggest.isRunning()) {
+            TagSuggest.cancel();
+            return;
+        }
+        UI.setTaggingStatus('Looking for tags...');
+        UI.setTaggingRunning(true);
+
+        const proposals = await TagSuggest.proposeForUntagged(
+            App.allItems, Cache.getAllItems(), App.getSearchMode(), App._searchOptions(), (done, total) => {
+                UI.setTaggingStatus(`Looking for tags: ${done}/${total}`);
+            }
+        );
+        UI.setTaggingRunning(false);
+
+        App._tagProposals = proposals.map(p => ({ ...p, accepted: new Set(p.suggestions.map(s => s.tag)) }));
+        UI.setTaggingStatus(proposals.length > 0
+            ? `Suggestions for ${proposals.length} untagged items`
+            : 'No suggestions - tag a few items similar to the untagged ones first');
+        App._renderTagProposals();
+    },
+
+    _renderTagProposals() {
+        App._updateTaggingSummary();
+        UI.renderTagProposals(App._tagProposals, (index, tag) => {
+            const accepted = App._tagProposals[index].accepted;
+            if (accepted.has(tag)) {
+                accepted.delete(tag);
+            } else {
+                accepted.add(tag);
+            }
+            App._updateTaggingSummary();
+        });
+    },
+
+    _updateTaggingSummary() {
+        const chosen = App._tagProposals.filter(p => p.accepted.size > 0);
+        const tags = chosen.reduce((sum, p) => sum + p.accepted.size, 0);
+        UI.setTaggingSummary(App._tagProposals.length > 0
+            ? `${tags} tags on ${chosen.length} items (click a tag to leave it out)`
+            : '');
+    },
+
+    /**
+     * Write the reviewed proposals to Eagle
+     */
+    async _applyTagProposals() {
+        const chosen = App._tagProposals.filter(p => p.accepted.size > 0);
+        if (chosen.length === 0) return;
+        if (!confirm(`Add the checked tags to ${chosen.length} items?`)) return;
+
+        const tagsById = new Map(chosen.map(p => [p.id, Array.from(p.accepted)]));
+        UI.setTaggingStatus(`Tagging ${chosen.length} items...`);
+        try {
+            const updated = await Actions.addTagsByItem(tagsById);
+            for (const id of updated) App._noteTags([id], tagsById.get(id));
+            UI.setTaggingStatus(`Tagged ${updated.length} items`);
+        } catch (e) {
+            console.warn('App: Batch tagging failed:', e.message);
+            UI.setTaggingStatus('Tagging failed: ' + e.message);
+        }
+        UI.setUndoState(Actions.getUndo());
+
+        App._tagProposals = App._tagProposals.filter(p => !tagsById.has(p.id));
+        App._renderTagProposals();
+    },
+
+    _initBulkActions() {
+        UI.initBulkBar();
+        UI.setUndoState(Actions.getUndo());
+        document.getElementById('bulk-select-all').addEventListener('click', () => App._selectAllAboveThreshold());
+        document.getElementById('bulk-select-none').addEventListener('click', () => UI.setResultSelection([]));
+        document.getElementById('bulk-apply').addEventListener('click', () => App._runBulkAction());
+        document.getElementById('bulk-undo').addEventListener('click', () => App._undoLastAction());
+        document.getElementById('export-results').addEventListener('click', () => App._exportResults());
+    },
+
+    /**
+     * Select every item above the threshold for the current query, beyond the shown results
+     */
+    _selectAllAboveThreshold() {
+        const last = App._lastResults;
+        if (!last) return;
+        const cacheItems = Cache.getAllItems();
+        const results = Similarity.findSimilar(
+            last.queryData, cacheItems, App.threshold, Object.keys(cacheItems).length, last.excludeId,
+            last.searchMode || App.getSearchMode(), { ...App._searchOptions(), bruteForce: true }
+        );
+        UI.setResultSelection(results.map(r => r.id));
+    },
+
+    /**
+     * Apply the bulk bar's action to the selected results
+     */
+    async _runBulkAction() {
+        const ids = UI.getResultSelection();
+        if (ids.length === 0) return;
+        const request = UI.getBulkAction();
+        let updated = [];
+
+        try {
+            switch (request.action) {
+                case 'addTags':
+                case 'removeTags':
+                    if (request.tags.length === 0) return;
+                    updated = request.action === 'addTags'
+                        ? await Actions.addTags(ids, request.tags)
+                        : await Actions.removeTags(ids, request.tags);
+                    break;
+                case 'addToFolder':
+                    if (!request.folderId) return;
+                    updated = await Actions.addToFolder(ids, request.folderId, request.folderName);
+                    break;
+                case 'newFolder':
+                    if (!request.name) return;
+                    updated = (await Actions.createFolderWith(ids, request.name)).updated;
+                    App._loadFilterOptions();
+                    break;
+                case 'rating':
+                    updated = await Actions.setRating(ids, request.star);
+                    break;
+                case 'trash':
+                    if (!confirm(`Move ${ids.length} items to trash?`)) return;
+                    updated = await Actions.moveToTrash(ids);
+                    App._dropItems(new Set(updated));
+                    UI.setResultSelection(ids.filter(id => !updated.includes(id)));
+                    break;
+            }
+            UI.clearBulkValue();
+            UI.showStatus(updated.length > 0 ? `${Actions.getUndo().label}: ${updated.length} items` : 'Nothing to change');
+        } catch (e) {
+            console.warn('App: Bulk action failed:', e.message);
+            UI.showStatus('Action failed: ' + e.message);
+        }
+
+        UI.setUndoState(Actions.getUndo());
+        if (request.action !== 'trash') await App._refreshItems(updated);
+        App._refilterResults();
+    },
+
+    /**
+     * Revert the last write (tags, folders or rating)
+     */
+    async _undoLastAction() {
+        const undo = Actions.getUndo();
+        if (!undo || !undo.undoable) return;
+        try {
+            const restored = await Actions.undo();
+            await App._refreshItems(restored);
+            UI.showStatus(`Undone: ${undo.label}`);
+        } catch (e) {
+            console.warn('App: Undo failed:', e.message);
+            UI.showStatus('Undo failed: ' + e.message);
+        }
+        UI.setUndoState(Actions.getUndo());
+        App._refilterResults();
+    },
+
+    /**
+     * Re-read items after a write so filters and suggestions see their new metadata
+     */
+    async _refreshItems(ids) {
+        if (ids.length === 0) return;
+        const fresh = new Map((await Actions.getItems(ids)).map(item => [item.id, item]));
+        App.allItems = App.allItems.map(item => fresh.get(item.id) || item);
+        UI.setItemsMap(App.allItems);
+    },
+
+    /**
+     * Forget items that were trashed from the plugin
+     * @param {Set<string>} ids
+     */
+    _dropItems(ids) {
+        App.allItems = App.allItems.filter(item => !ids.has(item.id));
+        UI.setItemsMap(App.allItems);
+        Cache.removeOrphans(App._keptIds());
+    },
+
+    /**
+     * Export the current results (what the grid shows)
+     */
+    async _exportResults() {
+        const last = App._lastResults;
+        if (!last) return;
+        const report = Exporter.searchReport({
+            queryData: last.queryData,
+            queryItems: last.queryItems,
+            queryLabel: last.queryLabel || last.dropPath,
+            results: App._currentResults(),
+            mode: last.searchMode || App.getSearchMode(),
+            threshold: App.threshold,
+            crop: last.crop,
+            cacheItems: Cache.getAllItems(),
+            itemsMap: UI.getItemsMap()
+        });
+        await App._writeReport(report, (text) => UI.showStatus(text));
+    },
+
+    /**
+     * Export the groups of the last duplicate scan
+     */
+    async _exportDuplicates() {
+        if (App._duplicateGroups.length === 0) {
+            UI.setDuplicateStatus('Scan first - there are no groups to export');
+            return;
+        }
+        const report = Exporter.duplicatesReport({
+            groups: App._duplicateGroups,
+            mode: App.getSearchMode(),
+            strictness: App.dupStrictness,
+            cacheItems: Cache.getAllItems(),
+            itemsMap: UI.getItemsMap()
+        });
+        await App._writeReport(report, (text) => UI.setDuplicateStatus(text));
+    },
+
+    /**
+     * Ask for a folder and write the report there
+     * @param {Function} onStatus - (text) where to report the outcome
+     */
+    async _writeReport(report, onStatus) {
+        try {
+            const dir = await Exporter.chooseFolder();
+            if (!dir) return;
+            const files = Exporter.write(dir, report);
+            onStatus(`Exported ${report.rows.length} rows to ${nodePath.basename(files[0], '.csv')}.csv/.json/.html`);
+        } catch (e) {
+            console.warn('App: Export failed:', e.message);
+            onStatus('Export failed: ' + e.message);
+        }
     },
 
     _initDropZone() {
@@ -337,26 +1506,82 @@ const App = {
         });
     },
 
-    async _searchByExternalFile(filePath) {
-        if (App.isSearching || !filePath) return;
+    _initCropSearch() {
+        UI.initCropSearch((itemId, crop) => App.searchCrop(itemId, crop));
+        document.getElementById('crop-toggle').addEventListener('click', () => {
+            const item = App._getSelectedItems()[0];
+            if (!item) {
+                UI.showStatus('Select an item to search part of it');
+                return;
+            }
+            UI.showCropPreview(item);
+        });
+    },
+
+    /**
+     * Search by part of an item
+     * Crops the original when the browser can decode it - thumbnails are too
+     * small for tight boxes. The crop query then refilters and takes feedback
+     * like any other.
+     * @param {string} itemId
+     * @param {Object} crop - { x, y, width, height } in 0-1
+     */
+    async searchCrop(itemId, crop) {
+        const item = App.allItems.find(i => i.id === itemId);
+        if (App.isSearching || !item) return;
+        if (App._panelOpen()) App._setPanel(null);
         App.isSearching = true;
-        UI.showLoading('Searching by dropped image...');
+        UI.showLoading('Searching by area...');
         try {
+            const filePath = (item.filePath && Indexer.isImageType(item.ext))
+                ? item.filePath
+                : Indexer.getHashPath(item);
             const searchMode = App.getSearchMode();
-            const queryData = {};
+            const queryData = await App._computeQueryData(filePath, crop);
+            const excludeId = [item.id];
 
-            const h = await Hasher.computeHashes(filePath);
-            queryData.pHash = h.pHash;
-            queryData.colorHistogram = h.colorHistogram;
+            const results = Similarity.findSimilar(
+                queryData, Cache.getAllItems(), App.threshold, App.resultCount, excludeId, searchMode, App._resultOptions()
+            );
+            App._lastResults = App._createLastResults(queryData, excludeId, searchMode, [item]);
+            App._lastResults.crop = crop;
+            UI.setResultSelection([]);
+            UI.showMultiQueryControls(false);
+            UI.showFeedbackControls(0, 0);
+            UI.setFeedback(App._lastResults.feedback);
+            UI.hideLoading();
+            UI.renderResults(results, [item]);
+            // Suggestions are for whole items
+            App._suggestTags(queryData, [], searchMode);
+            UI.showStatus(`Searching an area of ${item.name || 'the item'}`);
+        } catch (e) {
+            console.warn('App: Area search failed:', e.message);
+            UI.hideLoading();
+            UI.showEmptyState('Area search failed: ' + e.message);
+        }
+        App.isSearching = false;
+    },
 
-            if (App.clipReady) {
-                try { queryData.embedding = await Embedder.computeEmbedding(filePath); } catch (e) {}
-            }
+    async _searchByExternalFile(filePath) {
+        if (App.isSearching || App._panelOpen() || !filePath) return;
+        App.isSearching = true;
+        UI.showLoading('Searching by dropped image...');
+        try {
+            const searchMode = App.getSearchMode();
+            const queryData = await App._computeQueryData(filePath);
 
-            const results = Similarity.findSimilar(queryData, Cache.getAllItems(), App.threshold, App.resultCount, null, searchMode);
-            App._lastResults = { queryData, excludeId: null, searchMode };
+            const results = Similarity.findSimilar(
+                queryData, Cache.getAllItems(), App.threshold, App.resultCount, null, searchMode, App._resultOptions()
+            );
+            App._lastResults = App._createLastResults(queryData, null, searchMode, null);
+            App._lastResults.dropPath = filePath;
+            UI.setResultSelection([]);
+            UI.showMultiQueryControls(false);
+            UI.showFeedbackControls(0, 0);
+            UI.setFeedback(App._lastResults.feedback);
             UI.hideLoading();
             UI.renderResults(results);
+            App._suggestTags(queryData, [], searchMode);
         } catch (e) {
             UI.hideLoading();
             UI.showEmptyState('Failed to process dropped image');
@@ -369,7 +1594,19 @@ const App = {
             localStorage.setItem('fbm_settings', JSON.stringify({
                 autoSearchEnabled: App.autoSearchEnabled,
                 resultCount: App.resultCount,
-                threshold: App.threshold
+                threshold: App.threshold,
+                dupStrictness: App.dupStrictness,
+                multiCombine: App.multiCombine,
+                embeddingModel: App.embeddingModel,
+                whitening: App.whitening,
+                backend: App.backend,
+                filter: App.filter,
+                filterPresets: App.filterPresets,
+                exclusionRules: App.exclusionRules,
+                tiledLibraries: App.tiledLibraries,
+                palette: App.palette,
+                hashing: App.hashing,
+                searchSettings: App.searchSettings
             }));
         } catch (e) {}
     },
@@ -380,6 +1617,18 @@ const App = {
             if (typeof s.autoSearchEnabled === 'boolean') App.autoSearchEnabled = s.autoSearchEnabled;
             if (typeof s.resultCount === 'number') App.resultCount = s.resultCount;
             if (typeof s.threshold === 'number') App.threshold = s.threshold;
+            if (typeof s.dupStrictness === 'number') App.dupStrictness = s.dupStrictness;
+            if (typeof s.multiCombine === 'string') App.multiCombine = s.multiCombine;
+            if (typeof s.embeddingModel === 'string') App.embeddingModel = s.embeddingModel;
+            if (typeof s.whitening === 'boolean') App.whitening = s.whitening;
+            if (typeof s.backend === 'string') App.backend = s.backend;
+            if (s.filter && typeof s.filter === 'object') App.filter = Filters.normalize(s.filter);
+            if (s.filterPresets && typeof s.filterPresets === 'object') App.filterPresets = s.filterPresets;
+            if (s.exclusionRules && typeof s.exclusionRules === 'object') App.exclusionRules = s.exclusionRules;
+            if (s.tiledLibraries && typeof s.tiledLibraries === 'object') App.tiledLibraries = s.tiledLibraries;
+            if (s.searchSettings && typeof s.searchSettings === 'object') App.searchSettings = s.searchSettings;
+            if (s.hashing && typeof s.hashing === 'object') App.hashing = { ...App.hashing, ...s.hashing };
+            if (Array.isArray(s.palette)) App.palette = s.palette.filter(c => c && Palette.normalizeHex(c.hex));
         } catch (e) {}
     }
 };
@@ -387,5 +1636,6 @@ const App = {
 // Lifecycle
 eagle.onPluginCreate(async (plugin) => { console.log('Find by Media: init'); await App.init(plugin); });
 eagle.onPluginRun(() => {});
-eagle.onPluginShow(() => {});
+eagle.onPluginShow(() => LibrarySync.syncNow());
+window.addEventListener('focus', () => LibrarySync.syncNow());
 eagle.onPluginHide(() => Cache.flush());
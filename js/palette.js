@@ -0,0 +1,187 @@
+/**
+ * palette.js - Dominant colours and palette search
+ * Phase 1 stores each item's dominant colours (k-means on the same 64x64
+ * pixels the colour histogram is built from) as `palette`: a flat
+ * [r, g, b, share, r, g, b, share, ...] vector, largest share first.
+ *
+ * A palette query has the same layout. An item scores by how much of each
+ * query colour it covers: every item colour within COLOR_RADIUS (OKLab) counts
+ * towards a query colour in proportion to its share and closeness, capped at
+ * that colour's share of the query. A half red, half blue query is matched
+ * fully only by images that are about half red and half blue.
+ */
+
+const Palette = {
+
+    MAX_COLORS: 5,          // per item and per query
+    KMEANS_ITERATIONS: 6,
+    MIN_SHARE: 0.03,        // smaller clusters are dropped from an item's palette
+    COLOR_RADIUS: 0.2,      // OKLab distance at which a colour stops counting as a match
+
+    /**
+     * Dominant colours of RGBA pixel data
+     * Clusters are seeded from the most populated cells of a 4x4x4 RGB grid,
+     * so the result is deterministic.
+     * @param {Uint8ClampedArray} data - RGBA pixels
+     * @returns {number[]} Flat palette, shares sum to 1
+     */
+    extract(data) {
+        // Transparent pixels are skipped, unless that leaves nothing
+        let pixels = [];
+        for (let pass = 0; pass < 2 && pixels.length === 0; pass++) {
+            for (let i = 0; i < data.length; i += 4) {
+                if (pass === 0 && data[i + 3] < 128) continue;
+                pixels.push([data[i], data[i + 1], data[i + 2]]);
+            }
+        }
+        if (pixels.length === 0) return [];
+
+        const cells = new Map();
+        for (const p of pixels) {
+            const key = (p[0] >> 6) * 16 + (p[1] >> 6) * 4 + (p[2] >> 6);
+            const cell = cells.get(key) || { count: 0, sum: [0, 0, 0] };
+            cell.count++;
+            for (let c = 0; c < 3; c++) cell.sum[c] += p[c];
+            cells.set(key, cell);
+        }
+        let centroids = Array.from(cells.values())
+            .sort((a, b) => b.count - a.count)
+            .slice(0, Palette.MAX_COLORS)
+            .map(cell => cell.sum.map(s => s / cell.count));
+
+        let counts = [];
+        for (let iter = 0; iter < Palette.KMEANS_ITERATIONS; iter++) {
+            const sums = centroids.map(() => [0, 0, 0]);
+            counts = centroids.map(() => 0);
+            for (const p of pixels) {
+                let best = 0, bestDist = Infinity;
+                for (let k = 0; k < centroids.length; k++) {
+                    const d = Palette._distanceSq(p, centroids[k]);
+                    if (d < bestDist) { bestDist = d; best = k; }
+                }
+                counts[best]++;
+                for (let c = 0; c < 3; c++) sums[best][c] += p[c];
+            }
+            centroids = centroids.map((centroid, k) =>
+                counts[k] > 0 ? sums[k].map(s => s / counts[k]) : centroid);
+        }
+
+        const clusters = centroids
+            .map((rgb, k) => ({ rgb, share: counts[k] / pixels.length }))
+            .filter(cluster => cluster.share >= Palette.MIN_SHARE)
+            .sort((a, b) => b.share - a.share);
+        const total = clusters.reduce((sum, cluster) => sum + cluster.share, 0);
+
+        const palette = [];
+        for (const cluster of clusters) {
+            palette.push(...cluster.rgb.map(Math.round), Math.round(cluster.share / total * 1000) / 1000);
+        }
+        return palette;
+    },
+
+    _distanceSq(a, b) {
+        const dr = a[0] - b[0], dg = a[1] - b[1], db = a[2] - b[2];
+        return dr * dr + dg * dg + db * db;
+    },
+
+    /**
+     * How well an item's palette covers a query palette (0 to 1)
+     * @param {number[]} query - Flat query palette (shares sum to 1)
+     * @param {number[]} palette - Flat item palette
+     */
+    score(query, palette) {
+        if (!query || !palette || query.length === 0 || palette.length === 0) return 0;
+        const labs = [];
+        for (let p = 0; p < palette.length; p += 4) {
+            labs.push(ColorSpace.toOklab(palette[p], palette[p + 1], palette[p + 2]));
+        }
+        let covered = 0, total = 0;
+        for (let q = 0; q < query.length; q += 4) {
+            const share = query[q + 3];
+            const lab = ColorSpace.toOklab(query[q], query[q + 1], query[q + 2]);
+            let coverage = 0;
+            for (let p = 0; p < labs.length; p++) {
+                const dist = ColorSpace.distance(lab, labs[p]);
+                if (dist < Palette.COLOR_RADIUS) coverage += palette[p * 4 + 3] * (1 - dist / Palette.COLOR_RADIUS);
+            }
+            covered += Math.min(share, coverage);
+            total += share;
+        }
+        return total > 0 ? covered / total : 0;
+    },
+
+    /**
+     * Normalize a hex colour ('#abc', 'aabbcc', ...) to '#aabbcc', or null
+     */
+    normalizeHex(text) {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(text).trim());
+        if (!match) return null;
+        let hex = match[1].toLowerCase();
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        return `#${hex}`;
+    },
+
+    /**
+     * Parse pasted colours: hex codes separated by commas, spaces or new lines,
+     * each optionally followed by a share in percent ("#e63946 40%")
+     * Only whole tokens count. Short codes need the '#', and bare six-digit
+     * codes need a digit, so words and numbers ("bad", "facade", "100") are skipped.
+     * @returns {Array<{hex: string, share: number|null}>} At most MAX_COLORS
+     */
+    parse(text) {
+        const colours = [];
+        const pattern = /(?<![^\s,;])(#[0-9a-f]{6}|#[0-9a-f]{3}|(?=[a-f]*\d)[0-9a-f]{6})(?![^\s,;:=])(?:\s*[:=]?\s*(\d+(?:\.\d+)?)\s*%)?/gi;
+        let match;
+        while ((match = pattern.exec(String(text))) && colours.length < Palette.MAX_COLORS) {
+            colours.push({
+                hex: Palette.normalizeHex(match[1]),
+                share: match[2] !== undefined ? parseFloat(match[2]) : null
+            });
+        }
+        return colours;
+    },
+
+    /**
+     * Build a query palette from picked colours
+     * Colours without a share split whatever the others leave (equally if none has one).
+     * @param {Array<{hex: string, share: number|null}>} colours
+     * @returns {number[]} Flat palette, shares sum to 1
+     */
+    toQuery(colours) {
+        const valid = colours.filter(c => Palette.normalizeHex(c.hex)).slice(0, Palette.MAX_COLORS);
+        if (valid.length === 0) return [];
+        const given = valid.filter(c => c.share > 0);
+        const givenTotal = given.reduce((sum, c) => sum + c.share, 0);
+        const rest = valid.length - given.length;
+        const restShare = rest > 0 ? Math.max(0, 100 - givenTotal) / rest : 0;
+        const shares = valid.map(c => (c.share > 0 ? c.share : (restShare || 1)));
+        const total = shares.reduce((sum, share) => sum + share, 0);
+
+        const query = [];
+        valid.forEach((c, i) => {
+            const hex = Palette.normalizeHex(c.hex);
+            query.push(
+                parseInt(hex.slice(1, 3), 16),
+                parseInt(hex.slice(3, 5), 16),
+                parseInt(hex.slice(5, 7), 16),
+                shares[i] / total
+            );
+        });
+        return query;
+    },
+
+    /**
+     * Short label for a query palette, e.g. "#e63946 50%, #1d3557 50%"
+     */
+    describe(query) {
+        const parts = [];
+        for (let i = 0; i < query.length; i += 4) {
+            const hex = '#' + [query[i], query[i + 1], query[i + 2]]
+                .map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+            parts.push(`${hex} ${Math.round(query[i + 3] * 100)}%`);
+        }
+        return parts.join(', ');
+    }
+};
+
+window.Palette = Palette;
@@ -1,6 +1,7 @@
 /**
  * similarity.js - Combined similarity scoring
  * Supports: pHash, Color Histogram, CLIP Embedding, and hybrid modes
+ * The hybrid and pixel weights can be changed at runtime (see setWeights).
  */
 
 const Similarity = {
@@ -9,44 +10,193 @@ const Similarity = {
     MODE_PHASH: 'phash',           // pHash + color histogram (fast, pixel-level)
     MODE_CLIP: 'clip',             // CLIP embedding only (semantic, AI-based)
     MODE_HYBRID: 'hybrid',         // All three combined (best quality)
+    MODE_PALETTE: 'palette',       // Dominant colours against a picked palette (see Palette)
+    MODE_COLOR: 'color',           // Color histogram only
+    MODE_STRUCTURE: 'structure',   // pHash only (transformed copies included)
+
+    // Multi-item query combination
+    COMBINE_CENTROID: 'centroid',  // average the queries into one
+    COMBINE_MAX: 'max',            // best score against any query
+    COMBINE_MIN: 'min',            // worst score against any query (must resemble all)
 
     // Weights for hybrid mode
     PHASH_WEIGHT: 0.25,
     COLOR_WEIGHT: 0.15,
     CLIP_WEIGHT: 0.60,
+    ANN_MIN_CLIP_WEIGHT: 0.5,  // the embedding shortlist alone is trusted only above this clip weight
+
+    // Weights for pixel mode
+    PIXEL_PHASH_WEIGHT: 0.6,
+    PIXEL_COLOR_WEIGHT: 0.4,
+
+    // Named hybrid weights; pixel mode uses the ratio of phash to color
+    WEIGHT_PRESETS: {
+        duplicates: { label: 'Duplicates', phash: 0.6, color: 0.25, clip: 0.15 },
+        subject: { label: 'Same subject', phash: 0.1, color: 0.05, clip: 0.85 },
+        mood: { label: 'Same mood', phash: 0.05, color: 0.45, clip: 0.5 }
+    },
+
+    _weights: null,  // { phash, color, clip } summing to 1, null = the constants above
+
+    // Relevance feedback (Rocchio): query * ALPHA + mean(positives) * BETA - mean(negatives) * GAMMA
+    FEEDBACK_ALPHA: 1.0,
+    FEEDBACK_BETA: 0.75,
+    FEEDBACK_GAMMA: 0.25,
 
     MAX_HAMMING_BITS: 256,
+    TRANSFORM_MATCH_RATIO: 1 / 8, // share of hash bits a transformed match is reported within (result.transform)
+    CLASS_TOP_K: 10,            // classes per embedding considered by sharedClasses
+
+    _selfForms: new WeakMap(),  // candidate histogram -> h'A h (see quadraticFormSimilarity)
+    _projections: new WeakMap(),// query histogram -> { A h, h'A h }
+
+    // Set bits per 16-bit value
+    _POPCOUNT: (() => {
+        const table = new Uint8Array(65536);
+        for (let i = 1; i < 65536; i++) table[i] = (i & 1) + table[i >> 1];
+        return table;
+    })(),
 
     /**
-     * Compute Hamming distance between two hex hash strings
+     * Compute Hamming distance between two packed hashes (Uint32Array)
+     * Hex strings are accepted and packed on the fly
      */
     hammingDistance(hash1, hash2) {
+        if (typeof hash1 === 'string') hash1 = Hasher.packHash(hash1);
+        if (typeof hash2 === 'string') hash2 = Hasher.packHash(hash2);
         if (!hash1 || !hash2 || hash1.length !== hash2.length) {
             return Similarity.MAX_HAMMING_BITS;
         }
+        const table = Similarity._POPCOUNT;
         let distance = 0;
         for (let i = 0; i < hash1.length; i++) {
-            const n1 = parseInt(hash1[i], 16);
-            const n2 = parseInt(hash2[i], 16);
-            let xor = n1 ^ n2;
-            while (xor) {
-                distance += xor & 1;
-                xor >>= 1;
-            }
+            const xor = hash1[i] ^ hash2[i];
+            distance += table[xor & 0xffff] + table[xor >>> 16];
         }
         return distance;
     },
 
+    /**
+     * Bits in a hash (packed words or hex string)
+     */
+    hashBits(hash) {
+        if (!hash) return Similarity.MAX_HAMMING_BITS;
+        return typeof hash === 'string' ? hash.length * 4 : hash.length * 32;
+    },
+
     /**
      * pHash similarity score (0 to 1)
      */
     pHashScore(hash1, hash2) {
         const dist = Similarity.hammingDistance(hash1, hash2);
-        return 1 - (dist / Similarity.MAX_HAMMING_BITS);
+        return Math.max(0, 1 - (dist / Similarity.hashBits(hash1)));
+    },
+
+    /**
+     * Algorithm that produced an entry's pHash (see Hasher.ALGORITHMS)
+     */
+    hashAlgorithmOf(data) {
+        return (data && data.hashAlgorithm) || Hasher.LEGACY_ALGORITHM_ID;
+    },
+
+    /**
+     * Whether two entries have pHashes from the same algorithm and length
+     */
+    hashesComparable(a, b) {
+        if (!a || !b || !a.pHash || !b.pHash) return false;
+        return Similarity.hashAlgorithmOf(a) === Similarity.hashAlgorithmOf(b);
+    },
+
+    /**
+     * Agreement of every hash two entries share: the pHash and any common extra hashes
+     * Several algorithms agreeing is a stronger duplicate signal than one.
+     * @returns {{score: number, count: number}} mean pHash score (0 to 1) over `count` algorithms
+     */
+    hashAgreement(a, b) {
+        let total = 0, count = 0;
+        if (Similarity.hashesComparable(a, b)) {
+            total += Similarity.pHashScore(a.pHash, b.pHash);
+            count++;
+        }
+        const extrasA = a.extraHashAlgorithms || [], extrasB = b.extraHashAlgorithms || [];
+        if (a.extraHashes && b.extraHashes && extrasA.length > 0 && extrasB.length > 0) {
+            const wordsA = a.extraHashes.length / extrasA.length;
+            const wordsB = b.extraHashes.length / extrasB.length;
+            extrasA.forEach((id, i) => {
+                const j = extrasB.indexOf(id);
+                if (j < 0 || wordsA !== wordsB) return;
+                total += Similarity.pHashScore(
+                    a.extraHashes.subarray(i * wordsA, (i + 1) * wordsA),
+                    b.extraHashes.subarray(j * wordsB, (j + 1) * wordsB)
+                );
+                count++;
+            });
+        }
+        return { score: count > 0 ? total / count : 0, count };
+    },
+
+    /**
+     * Hashes to look up for an entry: its pHash, its transformed variants and its centre
+     * @returns {Uint32Array[]} pHash first
+     */
+    entryHashes(data) {
+        const hashes = [];
+        if (!data || !data.pHash) return hashes;
+        const pHash = typeof data.pHash === 'string' ? Hasher.packHash(data.pHash) : data.pHash;
+        hashes.push(pHash);
+        const words = pHash.length;
+        if (data.variantHashes && data.variantHashes.length === words * Hasher.TRANSFORMS.length) {
+            for (let t = 0; t < Hasher.TRANSFORMS.length; t++) {
+                hashes.push(data.variantHashes.subarray(t * words, (t + 1) * words));
+            }
+        }
+        if (data.cropHash) hashes.push(data.cropHash);
+        return hashes;
+    },
+
+    /**
+     * Closest structural match of a candidate to a query, over transformed copies
+     * Tries the query's variants against the candidate (the candidate is the query
+     * mirrored, flipped or rotated) and centre hashes both ways: 'cropped' (the
+     * candidate is a crop of the query), 'extended' (the query is a crop of the
+     * candidate) and 'trimmed' (both lost a little at the edges).
+     * @returns {{distance: number, transform: string|null}} transform is a
+     *   Hasher.TRANSFORMS entry or a crop kind, null for a straight match
+     */
+    structuralMatch(queryData, candidateData) {
+        let best = {
+            distance: Similarity.hammingDistance(queryData.pHash, candidateData.pHash),
+            transform: null
+        };
+        const consider = (a, b, transform) => {
+            if (!a || !b) return;
+            const distance = Similarity.hammingDistance(a, b);
+            if (distance < best.distance) best = { distance, transform };
+        };
+
+        const variants = Similarity.entryHashes({ pHash: queryData.pHash, variantHashes: queryData.variantHashes });
+        for (let t = 1; t < variants.length; t++) {
+            consider(variants[t], candidateData.pHash, Hasher.TRANSFORMS[t - 1]);
+        }
+        consider(queryData.cropHash, candidateData.pHash, 'cropped');
+        consider(queryData.pHash, candidateData.cropHash, 'extended');
+        consider(queryData.cropHash, candidateData.cropHash, 'trimmed');
+        return best;
+    },
+
+    /**
+     * Structure score (0 to 1): pHash score of the closest transformed match
+     * 0 when the pHashes come from different algorithms
+     */
+    structureScore(queryData, candidateData) {
+        if (!Similarity.hashesComparable(queryData, candidateData)) return 0;
+        const { distance } = Similarity.structuralMatch(queryData, candidateData);
+        return Math.max(0, 1 - (distance / Similarity.hashBits(queryData.pHash)));
     },
 
     /**
      * Cosine similarity between two histogram vectors (0 to 1)
+     * Used for legacy sRGB histograms; OKLab ones use quadraticFormSimilarity.
      */
     histogramSimilarity(hist1, hist2) {
         if (!hist1 || !hist2 || hist1.length !== hist2.length) return 0;
@@ -62,6 +212,79 @@ const Similarity = {
         return dot / (mag1 * mag2);
     },
 
+    /**
+     * Quadratic-form similarity between two OKLab histograms (0 to 1)
+     * h1'A h2 / sqrt(h1'A h1 * h2'A h2) with A = ColorSpace.affinity(), so mass
+     * on nearby grid nodes still counts as a match.
+     * hist1 is the query: A h1 is worked out once per query histogram, so each
+     * candidate costs one dot product plus its own (cached) self term.
+     */
+    quadraticFormSimilarity(hist1, hist2) {
+        if (!hist1 || !hist2 || hist1.length !== hist2.length) return 0;
+        const query = Similarity._projection(hist1);
+        let self2 = Similarity._selfForms.get(hist2);
+        if (self2 === undefined) {
+            self2 = Similarity._projection(hist2, false).self;
+            Similarity._selfForms.set(hist2, self2);
+        }
+        const norm = Math.sqrt(query.self * self2);
+        if (norm === 0) return 0;
+        const projected = query.values;
+        let cross = 0;
+        for (let j = 0; j < hist2.length; j++) {
+            if (hist2[j] !== 0) cross += hist2[j] * projected[j];
+        }
+        return Math.min(1, cross / norm);
+    },
+
+    /**
+     * A h and h'A h for a histogram (A is symmetric, so A h sums A's rows scaled by h)
+     * @param {boolean} [remember=true] - Keep the result for later calls with the same array
+     * @returns {{values: Float64Array, self: number}}
+     */
+    _projection(hist, remember = true) {
+        let result = Similarity._projections.get(hist);
+        if (result) return result;
+        const affinity = ColorSpace.affinity();
+        const values = new Float64Array(hist.length);
+        for (let i = 0; i < hist.length; i++) {
+            const h = hist[i];
+            if (h === 0) continue;
+            for (const [j, w] of affinity[i]) values[j] += w * h;
+        }
+        let self = 0;
+        for (let i = 0; i < hist.length; i++) self += hist[i] * values[i];
+        result = { values, self };
+        if (remember) Similarity._projections.set(hist, result);
+        return result;
+    },
+
+    /**
+     * Kind of colour histogram an entry holds (see ColorSpace)
+     */
+    colorModelOf(data) {
+        return (data && data.colorModel) || ColorSpace.LEGACY_MODEL;
+    },
+
+    /**
+     * Whether two entries have colour histograms of the same kind
+     */
+    colorsComparable(a, b) {
+        if (!a || !b || !a.colorHistogram || !b.colorHistogram) return false;
+        if (a.colorHistogram.length !== b.colorHistogram.length) return false;
+        return Similarity.colorModelOf(a) === Similarity.colorModelOf(b);
+    },
+
+    /**
+     * Colour score of two entries (0 to 1), 0 if their histograms can't be compared
+     */
+    colorScore(a, b) {
+        if (!Similarity.colorsComparable(a, b)) return 0;
+        return Similarity.colorModelOf(a) === ColorSpace.MODEL
+            ? Similarity.quadraticFormSimilarity(a.colorHistogram, b.colorHistogram)
+            : Similarity.histogramSimilarity(a.colorHistogram, b.colorHistogram);
+    },
+
     /**
      * CLIP embedding similarity (cosine, already normalized = dot product)
      * Returns 0 to 1 (remapped from [-1,1] range)
@@ -76,69 +299,582 @@ const Similarity = {
         return (Math.max(-1, Math.min(1, dot)) + 1) / 2;
     },
 
+    /**
+     * Model that produced an entry's embedding
+     * Entries from before the model registry hold MobileNet V2 logits (LEGACY_MODEL_ID)
+     */
+    modelOf(data) {
+        return (data && data.embeddingModel) || Embedder.LEGACY_MODEL_ID;
+    },
+
+    /**
+     * Whether two entries have embeddings from the same model (never compare across models)
+     */
+    embeddingsComparable(a, b) {
+        if (!a || !b || !a.embedding || !b.embedding) return false;
+        if (a.embedding.length !== b.embedding.length) return false;
+        return Similarity.modelOf(a) === Similarity.modelOf(b);
+    },
+
+    /**
+     * Neural score of a comparable candidate: the whole image, or its best tile if that is closer
+     * @returns {{score: number, tile: number|null}} tile is the Tiles.REGIONS index, null for the whole image
+     */
+    neuralScore(queryData, candidateData) {
+        const whole = Similarity.clipSimilarity(queryData.embedding, candidateData.embedding);
+        const best = Tiles.bestTile(queryData, candidateData);
+        return (best && best.score > whole)
+            ? { score: best.score, tile: best.index }
+            : { score: whole, tile: null };
+    },
+
+    /**
+     * Set the weights combinedScore uses, scaled to sum to 1 (null restores the defaults)
+     * @param {{phash: number, color: number, clip: number}|null} weights
+     */
+    setWeights(weights) {
+        const w = weights ? {
+            phash: Math.max(0, Number(weights.phash) || 0),
+            color: Math.max(0, Number(weights.color) || 0),
+            clip: Math.max(0, Number(weights.clip) || 0)
+        } : null;
+        const total = w ? w.phash + w.color + w.clip : 0;
+        Similarity._weights = total > 0
+            ? { phash: w.phash / total, color: w.color / total, clip: w.clip / total }
+            : null;
+    },
+
+    /**
+     * Hybrid weights in use
+     */
+    getWeights() {
+        return Similarity._weights || {
+            phash: Similarity.PHASH_WEIGHT,
+            color: Similarity.COLOR_WEIGHT,
+            clip: Similarity.CLIP_WEIGHT
+        };
+    },
+
+    /**
+     * Pixel weights in use: the hybrid phash/color ratio, or the pixel defaults
+     */
+    pixelWeights() {
+        const w = Similarity._weights;
+        if (!w || w.phash + w.color === 0) {
+            return { phash: Similarity.PIXEL_PHASH_WEIGHT, color: Similarity.PIXEL_COLOR_WEIGHT };
+        }
+        return { phash: w.phash / (w.phash + w.color), color: w.color / (w.phash + w.color) };
+    },
+
     /**
      * Combined score based on search mode
+     * @param {number} [colorScore] - The candidate's colour score if already known
+     *   (every frame of a video shares its poster's colours, see Video.bestFrame)
      */
-    combinedScore(queryData, candidateData, mode) {
+    combinedScore(queryData, candidateData, mode, colorScore) {
+        const color = () => (colorScore !== undefined
+            ? colorScore : Similarity.colorScore(queryData, candidateData));
+
+        if (mode === Similarity.MODE_PALETTE) {
+            return Palette.score(queryData.palette, candidateData.palette);
+        }
+
+        if (mode === Similarity.MODE_COLOR) {
+            return color();
+        }
+
+        if (mode === Similarity.MODE_STRUCTURE) {
+            return Similarity.structureScore(queryData, candidateData);
+        }
+
         if (mode === Similarity.MODE_CLIP) {
             // CLIP only
-            if (!queryData.embedding || !candidateData.embedding) return 0;
-            return Similarity.clipSimilarity(queryData.embedding, candidateData.embedding);
+            if (!Similarity.embeddingsComparable(queryData, candidateData)) return 0;
+            return Similarity.neuralScore(queryData, candidateData).score;
         }
 
+        const pixel = Similarity.pixelWeights();
         if (mode === Similarity.MODE_PHASH) {
             // pHash + color only
-            const pScore = Similarity.pHashScore(queryData.pHash, candidateData.pHash);
-            const cScore = Similarity.histogramSimilarity(queryData.colorHistogram, candidateData.colorHistogram);
-            return 0.6 * pScore + 0.4 * cScore;
+            const pScore = Similarity.structureScore(queryData, candidateData);
+            return pixel.phash * pScore + pixel.color * color();
         }
 
         // Hybrid mode: all three
         const pScore = (queryData.pHash && candidateData.pHash)
-            ? Similarity.pHashScore(queryData.pHash, candidateData.pHash) : 0;
-        const cScore = (queryData.colorHistogram && candidateData.colorHistogram)
-            ? Similarity.histogramSimilarity(queryData.colorHistogram, candidateData.colorHistogram) : 0;
-        const eScore = (queryData.embedding && candidateData.embedding)
-            ? Similarity.clipSimilarity(queryData.embedding, candidateData.embedding) : 0;
+            ? Similarity.structureScore(queryData, candidateData) : 0;
+        const cScore = color();
+        const comparable = Similarity.embeddingsComparable(queryData, candidateData);
+        const eScore = comparable
+            ? Similarity.neuralScore(queryData, candidateData).score : 0;
+
+        // If CLIP embedding is not available (or from another model), fall back to pHash mode
+        if (!comparable) {
+            return pixel.phash * pScore + pixel.color * cScore;
+        }
+
+        const weights = Similarity.getWeights();
+        return weights.phash * pScore +
+               weights.color * cScore +
+               weights.clip * eScore;
+    },
+
+    /**
+     * The scores combinedScore weighs, each 0 to 1 (null when that part can't be compared)
+     * @param {number} [matchedQuery] - For max/min multi-item queries, the query the result matched
+     * @returns {{phash: number|null, color: number|null, neural: number|null}}
+     */
+    componentScores(queryData, candidateData, matchedQuery) {
+        const perQuery = queryData.queries && queryData.combine !== Similarity.COMBINE_CENTROID;
+        const q = perQuery ? queryData.queries[matchedQuery || 0] : queryData;
+        return {
+            phash: (q.pHash && candidateData.pHash)
+                && Similarity.hashesComparable(q, candidateData)
+                ? Similarity.structureScore(q, candidateData) : null,
+            color: Similarity.colorsComparable(q, candidateData)
+                ? Similarity.colorScore(q, candidateData) : null,
+            neural: Similarity.embeddingsComparable(q, candidateData)
+                ? Similarity.neuralScore(q, candidateData).score : null
+        };
+    },
+
+    /**
+     * Weights combinedScore gives each part in a mode (0 for parts it ignores)
+     * @param {boolean} neural - Whether the candidate's embedding is comparable (hybrid falls back to pixel)
+     */
+    modeWeights(mode, neural) {
+        const pixel = Similarity.pixelWeights();
+        switch (mode) {
+            case Similarity.MODE_PALETTE: return { phash: 0, color: 0, clip: 0 };
+            case Similarity.MODE_CLIP: return { phash: 0, color: 0, clip: 1 };
+            case Similarity.MODE_COLOR: return { phash: 0, color: 1, clip: 0 };
+            case Similarity.MODE_STRUCTURE: return { phash: 1, color: 0, clip: 0 };
+            case Similarity.MODE_PHASH: return { ...pixel, clip: 0 };
+            default: return neural ? Similarity.getWeights() : { ...pixel, clip: 0 };
+        }
+    },
+
+    /**
+     * Top classes both embeddings rank highly, when the embeddings are the class
+     * scores of a model with labels (e.g. MobileNet V2 with ImageNet classes)
+     * @returns {string[]|null} Up to `count` labels, best first; null if they aren't class scores
+     */
+    sharedClasses(queryData, candidateData, count = 3) {
+        const labels = Embedder.getClassLabels();
+        if (!labels || !Similarity.embeddingsComparable(queryData, candidateData)) return null;
+        // Whitened vectors are no longer class scores
+        if (Similarity.modelOf(queryData) !== Embedder.getBaseModelId()) return null;
+        if (queryData.embedding.length !== labels.length) return null;
+
+        const top = (vec) => Array.from(vec, (_, i) => i)
+            .sort((a, b) => vec[b] - vec[a])
+            .slice(0, Similarity.CLASS_TOP_K);
+        const candidateRank = new Map(top(candidateData.embedding).map((index, rank) => [index, rank]));
+        return top(queryData.embedding)
+            .map((index, rank) => ({ index, rank: rank + candidateRank.get(index) }))
+            .filter(c => !Number.isNaN(c.rank))
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, count)
+            .map(c => labels[c.index]);
+    },
+
+    /**
+     * What a result's score is made of
+     * @param {number} [matchedQuery] - For multi-item queries, the query the result matched
+     * @returns {{phash, color, neural, palette, weights, hamming, bits, classes}} part scores
+     *   (0 to 1, null when not compared), the weights the mode gives them, the Hamming
+     *   distance of the closest (possibly transformed) pHash match out of `bits`, and
+     *   shared classes (see sharedClasses)
+     */
+    scoreBreakdown(queryData, candidateData, mode, matchedQuery) {
+        const perQuery = queryData.queries && queryData.combine !== Similarity.COMBINE_CENTROID;
+        const q = perQuery ? queryData.queries[matchedQuery || 0] : queryData;
+        const components = Similarity.componentScores(queryData, candidateData, matchedQuery);
+        const breakdown = {
+            ...components,
+            palette: null,
+            weights: Similarity.modeWeights(mode, components.neural !== null),
+            hamming: null,
+            bits: null,
+            classes: null
+        };
+        if (mode === Similarity.MODE_PALETTE) {
+            breakdown.palette = Palette.score(q.palette, candidateData.palette);
+            return breakdown;
+        }
+        if (Similarity.hashesComparable(q, candidateData)) {
+            breakdown.hamming = Similarity.structuralMatch(q, candidateData).distance;
+            breakdown.bits = Similarity.hashBits(q.pHash);
+        }
+        if (components.neural !== null) {
+            breakdown.classes = Similarity.sharedClasses(q, candidateData);
+        }
+        return breakdown;
+    },
+
+    /**
+     * Candidate IDs to score for a query
+     * Uses the ANN shortlist when the query has an embedding and the index is ready,
+     * plus every item that has no embedding from the query's model yet (the ANN can't see those),
+     * plus BK-tree candidates when hybrid weights lean on structure and colour.
+     * Returns all IDs when brute force is requested or the index can't help
+     * (including tiled searches: the index only holds whole-image vectors).
+     * With an allowed set (result filters) only those IDs are returned; a small
+     * set is scanned directly instead of going through the ANN.
+     */
+    _candidateIds(queryData, cacheItems, threshold, maxResults, mode, bruteForce, allowed) {
+        if (!bruteForce && queryData.pHash) {
+            if (mode === Similarity.MODE_STRUCTURE) {
+                return Similarity._hashCandidateIds(queryData, threshold, { phash: 1, color: 0 });
+            }
+            const pixel = Similarity.pixelWeights();
+            if (mode === Similarity.MODE_PHASH && pixel.phash > 0) {
+                return Similarity._hashCandidateIds(queryData, threshold, pixel);
+            }
+        }
+
+        const allIds = Object.keys(cacheItems);
+        const ids = allowed ? allIds.filter(id => allowed.has(id)) : allIds;
+        if (bruteForce || mode !== Similarity.MODE_CLIP && mode !== Similarity.MODE_HYBRID) return ids;
+        if (!queryData.embedding) return ids;
+        if (Tiles.isEnabled()) return ids;
+        if (ids.length < AnnIndex.MIN_ITEMS) return ids;
+
+        // Widen the shortlist so enough of it survives the filter
+        const widen = allowed ? Math.ceil(allIds.length / ids.length) : 1;
+        const shortlist = AnnIndex.search(queryData.embedding, maxResults * 4 * widen, Similarity.modelOf(queryData));
+        if (!shortlist) return ids;
+
+        const candidates = allowed
+            ? Array.from(shortlist).filter(id => allowed.has(id))
+            : Array.from(shortlist);
+        if (mode !== Similarity.MODE_CLIP) {
+            for (const id of ids) {
+                if (!Similarity.embeddingsComparable(queryData, cacheItems[id])) candidates.push(id);
+            }
+        }
+
+        // When structure and colour carry most of the score, items far away in
+        // embedding space can still pass: add every item whose pHash could reach
+        // the threshold even with perfect colour and neural scores
+        const weights = Similarity.getWeights();
+        if (mode === Similarity.MODE_HYBRID && weights.clip <= Similarity.ANN_MIN_CLIP_WEIGHT) {
+            if (!queryData.pHash || weights.phash === 0) return ids;
+            if (threshold / 100 <= weights.color + weights.clip) return ids;
+            const seen = new Set(candidates);
+            for (const id of Similarity._hashCandidateIds(queryData, threshold,
+                { phash: weights.phash, color: weights.color + weights.clip })) {
+                if (seen.has(id) || (allowed && !allowed.has(id))) continue;
+                seen.add(id);
+                candidates.push(id);
+            }
+        }
+        return candidates;
+    },
+
+    /**
+     * Pixel-mode candidates from the BK-tree
+     * Even a perfect colour match only contributes the colour weight, so any item
+     * reaching the threshold must be within a bounded Hamming radius of one of the
+     * query's hashes. The tree only holds straight pHashes, so 'extended' matches
+     * (the query is a crop of the item) are found only when close enough anyway.
+     * @param {{phash: number, color: number}} weights - phash must be above 0
+     */
+    _hashCandidateIds(queryData, threshold, weights) {
+        const minPScore = (threshold / 100 - weights.color) / weights.phash;
+        const radius = Math.floor(Similarity.hashBits(queryData.pHash) * (1 - Math.max(0, minPScore)));
+        return HashIndex.findWithinAny(Similarity.entryHashes(queryData), radius).map(r => r.id);
+    },
+
+    /**
+     * Items whose pHash is within a Hamming distance of the query (near-duplicates)
+     * @returns {Array<{id: string, distance: number}>} sorted by distance
+     */
+    findNearDuplicates(pHash, maxDistance, excludeId) {
+        return HashIndex.findWithin(pHash, maxDistance)
+            .filter(r => r.id !== excludeId)
+            .sort((a, b) => a.distance - b.distance);
+    },
+
+    /**
+     * Combine several query fingerprints into one multi-item query
+     * Centroid: mean embedding (re-normalized), mean histogram, majority-vote pHash bits.
+     * Max/min: the queries are kept separate and scored one by one in findSimilar.
+     * @param {Object[]} queries - Per-item { pHash, colorHistogram, embedding }
+     * @param {string} combine - COMBINE_CENTROID | COMBINE_MAX | COMBINE_MIN
+     * @returns {Object} queryData with `queries` and `combine` attached
+     */
+    combineQueries(queries, combine) {
+        const queryData = { queries, combine: combine || Similarity.COMBINE_CENTROID };
+        if (queryData.combine !== Similarity.COMBINE_CENTROID) return queryData;
 
-        // If CLIP embedding is not available, fall back to pHash mode
-        if (!queryData.embedding || !candidateData.embedding) {
-            return 0.6 * pScore + 0.4 * cScore;
+        const withEmbedding = queries.filter(q => q.embedding);
+        if (withEmbedding.length > 0) {
+            const first = withEmbedding[0];
+            const embeddings = withEmbedding
+                .filter(q => Similarity.embeddingsComparable(first, q))
+                .map(q => q.embedding);
+            queryData.embedding = Embedder.l2Normalize(Similarity._meanVector(embeddings));
+            queryData.embeddingModel = Similarity.modelOf(first);
         }
 
-        return Similarity.PHASH_WEIGHT * pScore +
-               Similarity.COLOR_WEIGHT * cScore +
-               Similarity.CLIP_WEIGHT * eScore;
+        const withHistogram = queries.filter(q => q.colorHistogram);
+        if (withHistogram.length > 0) {
+            const first = withHistogram[0];
+            queryData.colorHistogram = Similarity._meanVector(withHistogram
+                .filter(q => Similarity.colorsComparable(first, q))
+                .map(q => q.colorHistogram));
+            queryData.colorModel = Similarity.colorModelOf(first);
+        }
+
+        const withHash = queries.filter(q => q.pHash);
+        const hashes = withHash
+            .filter(q => Similarity.hashesComparable(withHash[0], q))
+            .map(q => q.pHash);
+        if (hashes.length > 0) {
+            queryData.hashAlgorithm = Similarity.hashAlgorithmOf(withHash[0]);
+            const words = hashes[0].length;
+            const voted = new Uint32Array(words);
+            for (let w = 0; w < words; w++) {
+                for (let bit = 0; bit < 32; bit++) {
+                    let ones = 0;
+                    for (const h of hashes) ones += (h[w] >>> bit) & 1;
+                    if (ones * 2 > hashes.length) voted[w] |= (1 << bit);
+                }
+            }
+            queryData.pHash = voted;
+        }
+
+        return queryData;
+    },
+
+    /**
+     * Move a query toward positive examples and away from negative ones
+     * Embeddings and histograms are refined; pHash is left as is.
+     * @param {Object} queryData - Query (single or combined, see combineQueries)
+     * @param {Object[]} positives - Cached entries marked "more like this"
+     * @param {Object[]} negatives - Cached entries marked "not like this"
+     * @returns {Object} refined copy of queryData
+     */
+    refineQuery(queryData, positives, negatives) {
+        if (positives.length === 0 && negatives.length === 0) return queryData;
+
+        const refined = Object.assign({}, queryData);
+        refined.feedback = { positive: positives.length, negative: negatives.length };
+        if (queryData.queries) {
+            refined.queries = queryData.queries.map(q => Similarity.refineQuery(q, positives, negatives));
+        }
+        if (queryData.embedding) {
+            const sameModel = (entry) => Similarity.embeddingsComparable(queryData, entry) ? entry.embedding : null;
+            const vec = Similarity._rocchio(queryData.embedding,
+                positives.map(sameModel), negatives.map(sameModel));
+            refined.embedding = Embedder.l2Normalize(vec);
+        }
+        if (queryData.colorHistogram) {
+            const sameKind = (entry) => Similarity.colorsComparable(queryData, entry) ? entry.colorHistogram : null;
+            const hist = Similarity._rocchio(queryData.colorHistogram,
+                positives.map(sameKind), negatives.map(sameKind));
+            refined.colorHistogram = hist.map(v => Math.max(0, v));
+        }
+        return refined;
+    },
+
+    _rocchio(vec, positives, negatives) {
+        const result = Array.from(vec, v => v * Similarity.FEEDBACK_ALPHA);
+        const apply = (vectors, weight) => {
+            const usable = vectors.filter(v => v && v.length === vec.length);
+            if (usable.length === 0) return;
+            const mean = Similarity._meanVector(usable);
+            for (let i = 0; i < result.length; i++) result[i] += weight * mean[i];
+        };
+        apply(positives, Similarity.FEEDBACK_BETA);
+        apply(negatives, -Similarity.FEEDBACK_GAMMA);
+        return result;
+    },
+
+    _meanVector(vectors) {
+        const dim = vectors[0].length;
+        const mean = new Array(dim).fill(0);
+        let count = 0;
+        for (const vec of vectors) {
+            if (vec.length !== dim) continue;
+            for (let i = 0; i < dim; i++) mean[i] += vec[i];
+            count++;
+        }
+        for (let i = 0; i < dim; i++) mean[i] /= count;
+        return mean;
+    },
+
+    /**
+     * Index of the query a candidate scores highest against, and that score
+     */
+    _bestQuery(queries, candidate, mode) {
+        let best = 0, bestScore = -1;
+        for (let q = 0; q < queries.length; q++) {
+            const score = Similarity.combinedScore(queries[q], candidate, mode);
+            if (score > bestScore) { bestScore = score; best = q; }
+        }
+        return { index: best, score: bestScore };
+    },
+
+    /**
+     * Record the best frame of a video result
+     */
+    _setFrame(result, entry, index) {
+        result.frame = index;
+        result.frameTime = entry.frameTimes[index];
     },
 
     /**
      * Find similar items from cache
+     * For multi-item queries (see combineQueries) each result also carries
+     * `matchedQuery`, the index of the query it resembles most. With tiling on,
+     * results whose best tile beat the whole image carry `tile` (Tiles.REGIONS index).
+     * Results that are a close transformed copy of the query (see structuralMatch)
+     * carry `transform`. Videos score by their best frame (see Video.bestFrame) and
+     * carry `frame` (index) and `frameTime` (seconds). With options.explain, every result carries `breakdown`
+     * (see scoreBreakdown) whose `applied` says which filters and feedback shaped the results.
+     * @param {string|string[]} excludeId - Item ID(s) to leave out, e.g. the query items
+     * @param {Object} [options]
+     * @param {boolean} [options.bruteForce] - Score every item instead of the ANN shortlist
+     * @param {Set<string>} [options.allowed] - Only consider these IDs (result filters)
+     * @param {Set<string>} [options.excluded] - Never return these IDs (exclusion rules)
+     * @param {boolean} [options.explain] - Attach a score breakdown to each result
      */
-    findSimilar(queryData, cacheItems, threshold, maxResults, excludeId, mode) {
+    findSimilar(queryData, cacheItems, threshold, maxResults, excludeId, mode, options) {
         const results = [];
         const thresholdNorm = threshold / 100;
         const searchMode = mode || Similarity.MODE_PHASH;
+        const bruteForce = !!(options && options.bruteForce);
+        const allowed = (options && options.allowed) || null;
+        const exclude = new Set([].concat(excludeId || []));
+        if (options && options.excluded) {
+            for (const id of options.excluded) exclude.add(id);
+        }
+
+        const queries = queryData.queries || null;
+        const perQuery = queries && queryData.combine !== Similarity.COMBINE_CENTROID;
+
+        let ids;
+        if (perQuery) {
+            const union = new Set();
+            for (const q of queries) {
+                for (const id of Similarity._candidateIds(q, cacheItems, threshold, maxResults, searchMode, bruteForce, allowed)) {
+                    union.add(id);
+                }
+            }
+            ids = Array.from(union);
+        } else {
+            ids = Similarity._candidateIds(queryData, cacheItems, threshold, maxResults, searchMode, bruteForce, allowed);
+        }
+
+        // The indexes only hold a video's middle frame, so videos are always scored
+        // (colour and palette modes see only that frame and already score everything)
+        const frameModes = searchMode !== Similarity.MODE_COLOR && searchMode !== Similarity.MODE_PALETTE;
+        if (!bruteForce && frameModes) {
+            const union = new Set(ids);
+            for (const id of Object.keys(cacheItems)) {
+                if (Video.isVideoEntry(cacheItems[id])) union.add(id);
+            }
+            ids = Array.from(union);
+        }
 
-        const ids = Object.keys(cacheItems);
         for (let i = 0; i < ids.length; i++) {
             const id = ids[i];
-            if (id === excludeId) continue;
+            if (exclude.has(id)) continue;
+            if (allowed && !allowed.has(id)) continue;
 
             const candidate = cacheItems[id];
             if (!candidate) continue;
 
             // Skip items without required data for the mode
             if (searchMode === Similarity.MODE_CLIP && !candidate.embedding) continue;
-            if (searchMode === Similarity.MODE_PHASH && !candidate.pHash) continue;
+            if (searchMode === Similarity.MODE_CLIP && !queries &&
+                !Similarity.embeddingsComparable(queryData, candidate)) continue;
+            if ((searchMode === Similarity.MODE_PHASH || searchMode === Similarity.MODE_STRUCTURE) &&
+                !candidate.pHash) continue;
+            if (searchMode === Similarity.MODE_COLOR && !candidate.colorHistogram) continue;
+            if (searchMode === Similarity.MODE_PALETTE && !candidate.palette) continue;
+
+            const video = Video.isVideoEntry(candidate);
+            const scoreOf = (q) => (video
+                ? Video.bestFrame(q, candidate, searchMode)
+                : { index: null, score: Similarity.combinedScore(q, candidate, searchMode) });
+
+            if (perQuery) {
+                let best = 0, bestScore = -1, worstScore = Infinity, bestFrame = null;
+                for (let q = 0; q < queries.length; q++) {
+                    const s = scoreOf(queries[q]);
+                    if (s.score > bestScore) { bestScore = s.score; best = q; bestFrame = s.index; }
+                    if (s.score < worstScore) worstScore = s.score;
+                }
+                const score = queryData.combine === Similarity.COMBINE_MIN ? worstScore : bestScore;
+                if (score >= thresholdNorm) {
+                    const result = { id, score, matchedQuery: best };
+                    if (video) Similarity._setFrame(result, candidate, bestFrame);
+                    results.push(result);
+                }
+                continue;
+            }
 
-            const score = Similarity.combinedScore(queryData, candidate, searchMode);
+            const { score, index } = scoreOf(queryData);
             if (score >= thresholdNorm) {
-                results.push({ id, score });
+                const result = { id, score };
+                if (video) Similarity._setFrame(result, candidate, index);
+                results.push(result);
             }
         }
 
         results.sort((a, b) => b.score - a.score);
-        return results.slice(0, maxResults);
+        const top = results.slice(0, maxResults);
+        // A video as seen from its best frame
+        const entryOf = (r) => (typeof r.frame === 'number'
+            ? Video.frameView(cacheItems[r.id], r.frame)
+            : cacheItems[r.id]);
+
+        // Centroid queries: attribute each shown result to its closest query
+        if (queries && !perQuery) {
+            for (const r of top) {
+                r.matchedQuery = Similarity._bestQuery(queries, entryOf(r), searchMode).index;
+            }
+        }
+
+        const neural = searchMode === Similarity.MODE_CLIP || searchMode === Similarity.MODE_HYBRID;
+        if (Tiles.isEnabled() && neural) {
+            for (const r of top) {
+                const q = perQuery ? queries[r.matchedQuery] : queryData;
+                if (!Similarity.embeddingsComparable(q, entryOf(r))) continue;
+                const best = Similarity.neuralScore(q, entryOf(r));
+                if (best.tile !== null) r.tile = best.tile;
+            }
+        }
+
+        const structural = searchMode === Similarity.MODE_PHASH || searchMode === Similarity.MODE_HYBRID ||
+            searchMode === Similarity.MODE_STRUCTURE;
+        if (structural) {
+            for (const r of top) {
+                const q = perQuery ? queries[r.matchedQuery] : queryData;
+                if (!Similarity.hashesComparable(q, entryOf(r))) continue;
+                const match = Similarity.structuralMatch(q, entryOf(r));
+                const maxDistance = Similarity.hashBits(q.pHash) * Similarity.TRANSFORM_MATCH_RATIO;
+                if (match.transform && match.distance <= maxDistance) {
+                    r.transform = match.transform;
+                }
+            }
+        }
+
+        if (options && options.explain) {
+            const applied = {
+                filter: !!allowed,
+                exclusions: !!(options.excluded && options.excluded.size > 0),
+                feedback: queryData.feedback || null
+            };
+            for (const r of top) {
+                r.breakdown = Similarity.scoreBreakdown(queryData, entryOf(r), searchMode, r.matchedQuery);
+                r.breakdown.applied = applied;
+            }
+        }
+        return top;
     }
 };
 
@@ -0,0 +1,315 @@
+/**
+ * store.js - Binary on-disk cache format
+ * Packs vector fields (embeddings, histograms, hashes) into per-field matrices
+ * next to a small JSON manifest that maps item IDs to rows.
+ *
+ * Layout of cache/<library>/:
+ *   manifest.json            { version, libraryPath, blocks, items }
+ *   <field>-<dim>.<gen>.bin  one block per field and row width
+ *   ann.*, whitening.*       written by ann.js and whitening.js, never touched here
+ *
+ * Codecs:
+ *   int8    - [rows x float32 scale][rows x dim int8], symmetric per-row quantization
+ *   float32 - [rows x dim float32]
+ *   uint32  - [rows x dim uint32], packed hash words (hex strings are packed on write)
+ *   hex     - [rows x dim uint8], legacy packed hex strings, read-only
+ *
+ * Every write starts a new generation: blocks go to fresh files, the manifest
+ * is swapped in last and only then are the old blocks deleted. A crash
+ * mid-write leaves the previous manifest pointing at its own, intact blocks.
+ */
+
+// fs, nodePath already declared in cache.js (shared global scope)
+
+const Store = {
+
+    MANIFEST_FILE: 'manifest.json',
+
+    _generation: 0,     // last generation written (ms timestamp)
+
+    // Fields stored outside the manifest, and how each one is packed
+    VECTOR_FIELDS: {
+        embedding: 'int8',
+        tileEmbeddings: 'int8',  // all tiles of an item in one row (see tiles.js)
+        colorHistogram: 'float32',
+        palette: 'float32',
+        pHash: 'uint32',
+        variantHashes: 'uint32',
+        cropHash: 'uint32',
+        extraHashes: 'uint32',   // back to back, in extraHashAlgorithms order
+        frameHashes: 'uint32',   // video frames back to back (see video.js)
+        frameEmbeddings: 'int8'
+    },
+
+    /**
+     * Check whether a binary cache exists in a directory
+     */
+    exists(dir) {
+        return fs.existsSync(nodePath.join(dir, Store.MANIFEST_FILE));
+    },
+
+    /**
+     * Read a binary cache directory back into { version, libraryPath, items }
+     * Returns null if the manifest is missing or unreadable
+     */
+    read(dir) {
+        const manifestPath = nodePath.join(dir, Store.MANIFEST_FILE);
+        if (!fs.existsSync(manifestPath)) return null;
+
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+        const decoded = {};
+
+        for (const key of Object.keys(manifest.blocks || {})) {
+            const block = manifest.blocks[key];
+            try {
+                decoded[key] = Store._decodeBlock(dir, block);
+            } catch (e) {
+                console.warn(`Store: Failed to read block ${key}:`, e.message);
+            }
+        }
+
+        const items = {};
+        for (const id of Object.keys(manifest.items || {})) {
+            const record = manifest.items[id];
+            const item = {};
+            for (const prop of Object.keys(record)) {
+                if (prop !== 'rows') item[prop] = record[prop];
+            }
+            const rows = record.rows || {};
+            for (const key of Object.keys(rows)) {
+                const rowData = decoded[key];
+                if (!rowData) continue;
+                item[manifest.blocks[key].field] = rowData(rows[key]);
+            }
+            items[id] = item;
+        }
+
+        return {
+            version: manifest.version,
+            libraryPath: manifest.libraryPath,
+            items: items
+        };
+    },
+
+    /**
+     * Write { version, libraryPath, items } to a binary cache directory
+     * Blocks go to new generation files, then the manifest is swapped in
+     */
+    write(dir, data) {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        // Group vector values by field + width so every block is a dense matrix
+        const groups = {};
+        const records = {};
+
+        for (const id of Object.keys(data.items)) {
+            const item = data.items[id];
+            const record = {};
+            const rows = {};
+
+            for (const prop of Object.keys(item)) {
+                const value = item[prop];
+                const codec = Store.VECTOR_FIELDS[prop];
+                if (!codec) {
+                    record[prop] = value;
+                    continue;
+                }
+                if (!value || value.length === 0) continue;
+
+                const packed = (codec === 'uint32' && typeof value === 'string')
+                    ? Hasher.packHash(value) : value;
+                const dim = packed.length;
+                const key = `${prop}-${dim}`;
+                if (!groups[key]) groups[key] = { field: prop, codec, dim, values: [] };
+                rows[key] = groups[key].values.length;
+                groups[key].values.push(packed);
+            }
+
+            if (Object.keys(rows).length > 0) record.rows = rows;
+            records[id] = record;
+        }
+
+        // Blocks of the manifest being replaced, deleted once the new one is in
+        const previous = Store._blockFiles(dir);
+
+        const generation = Store._nextGeneration();
+        const blocks = {};
+        const written = new Set();
+        for (const key of Object.keys(groups)) {
+            const group = groups[key];
+            const file = `${key}.${generation}.bin`;
+            fs.writeFileSync(nodePath.join(dir, file), Store._encodeBlock(group));
+            written.add(file);
+            blocks[key] = {
+                field: group.field,
+                codec: group.codec,
+                dim: group.dim,
+                rows: group.values.length,
+                file: file
+            };
+        }
+
+        const manifest = {
+            version: data.version,
+            libraryPath: data.libraryPath,
+            blocks: blocks,
+            items: records
+        };
+        Store._writeAtomic(nodePath.join(dir, Store.MANIFEST_FILE), JSON.stringify(manifest));
+
+        // Drop the previous generation, and blocks of writes that never got
+        // their manifest in. Other files in the directory (ann.js, whitening.js)
+        // are left alone.
+        try {
+            for (const name of fs.readdirSync(dir)) {
+                if (Store._isBlockFile(name, true)) previous.add(name);
+            }
+        } catch (e) {}
+        for (const name of previous) {
+            if (written.has(name)) continue;
+            try {
+                fs.unlinkSync(nodePath.join(dir, name));
+            } catch (e) {}
+        }
+    },
+
+    /**
+     * Block files referenced by the manifest currently in a directory
+     * @returns {Set<string>} File names; empty if there is no readable manifest
+     */
+    _blockFiles(dir) {
+        const files = new Set();
+        try {
+            const manifest = JSON.parse(fs.readFileSync(nodePath.join(dir, Store.MANIFEST_FILE), 'utf-8'));
+            for (const key of Object.keys(manifest.blocks || {})) {
+                const file = manifest.blocks[key].file;
+                if (Store._isBlockFile(file)) files.add(file);
+            }
+        } catch (e) {}
+        return files;
+    },
+
+    /**
+     * Whether a file name looks like one of Store's blocks (<field>-<dim>[.<gen>].bin)
+     * @param {boolean} [generational] - Only match names with a generation
+     */
+    _isBlockFile(name, generational) {
+        const match = /^([A-Za-z]+)-\d+(\.[0-9a-z]+)?\.bin$/.exec(name || '');
+        if (!match || !Store.VECTOR_FIELDS[match[1]]) return false;
+        return !generational || !!match[2];
+    },
+
+    /**
+     * Generation tag for block file names, distinct from any earlier one
+     */
+    _nextGeneration() {
+        const now = Date.now();
+        Store._generation = Math.max(now, Store._generation + 1);
+        return Store._generation.toString(36);
+    },
+
+    /**
+     * Encode one group of same-width values into a Buffer
+     */
+    _encodeBlock(group) {
+        const rows = group.values.length;
+        const dim = group.dim;
+
+        if (group.codec === 'int8') {
+            const scales = new Float32Array(rows);
+            const packed = new Int8Array(rows * dim);
+            for (let r = 0; r < rows; r++) {
+                const vec = group.values[r];
+                let maxAbs = 0;
+                for (let i = 0; i < dim; i++) {
+                    const a = Math.abs(vec[i]);
+                    if (a > maxAbs) maxAbs = a;
+                }
+                const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+                scales[r] = scale;
+                const base = r * dim;
+                for (let i = 0; i < dim; i++) {
+                    packed[base + i] = Math.round(vec[i] / scale);
+                }
+            }
+            return Buffer.concat([
+                Buffer.from(scales.buffer),
+                Buffer.from(packed.buffer)
+            ]);
+        }
+
+        if (group.codec === 'uint32') {
+            const packed = new Uint32Array(rows * dim);
+            for (let r = 0; r < rows; r++) {
+                packed.set(group.values[r], r * dim);
+            }
+            return Buffer.from(packed.buffer);
+        }
+
+        // float32
+        const packed = new Float32Array(rows * dim);
+        for (let r = 0; r < rows; r++) {
+            packed.set(group.values[r], r * dim);
+        }
+        return Buffer.from(packed.buffer);
+    },
+
+    /**
+     * Load one block from disk and return a row accessor
+     * Vector rows are views into a single shared Float32Array
+     */
+    _decodeBlock(dir, block) {
+        const raw = fs.readFileSync(nodePath.join(dir, block.file));
+        // Copy into an aligned ArrayBuffer so typed views are always valid
+        const buf = raw.buffer.slice(raw.byteOffset, raw.byteOffset + raw.byteLength);
+        const rows = block.rows;
+        const dim = block.dim;
+
+        if (block.codec === 'int8') {
+            const scales = new Float32Array(buf, 0, rows);
+            const packed = new Int8Array(buf, rows * 4, rows * dim);
+            const matrix = new Float32Array(rows * dim);
+            for (let r = 0; r < rows; r++) {
+                const scale = scales[r];
+                const base = r * dim;
+                for (let i = 0; i < dim; i++) {
+                    matrix[base + i] = packed[base + i] * scale;
+                }
+            }
+            return (row) => matrix.subarray(row * dim, (row + 1) * dim);
+        }
+
+        if (block.codec === 'uint32') {
+            const packed = new Uint32Array(buf, 0, rows * dim);
+            return (row) => packed.subarray(row * dim, (row + 1) * dim);
+        }
+
+        if (block.codec === 'hex') {
+            const packed = new Uint8Array(buf, 0, rows * dim);
+            return (row) => {
+                let hex = '';
+                const base = row * dim;
+                for (let i = 0; i < dim; i++) {
+                    hex += (packed[base + i] < 16 ? '0' : '') + packed[base + i].toString(16);
+                }
+                return Hasher.packHash(hex);
+            };
+        }
+
+        const matrix = new Float32Array(buf, 0, rows * dim);
+        return (row) => matrix.subarray(row * dim, (row + 1) * dim);
+    },
+
+    /**
+     * Write via temp file + rename so a crash never leaves a torn file
+     */
+    _writeAtomic(filePath, contents) {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, contents);
+        fs.renameSync(tmpPath, filePath);
+    }
+};
+
+window.Store = Store;
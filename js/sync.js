@@ -0,0 +1,183 @@
+/**
+ * sync.js - Live library sync
+ * Diffs the Eagle library against the last known item list by ID and
+ * modification time, so imports, deletions and edits made while the plugin
+ * is open are picked up without reloading it.
+ *
+ * A cheap item count check runs every few seconds; a full list + diff runs
+ * when the count moves, periodically (edits don't change the count) and on
+ * request (plugin shown or focused). Nothing is polled while the plugin is
+ * hidden. New and modified items are queued for indexing until the app takes
+ * them (takeQueued).
+ */
+
+const LibrarySync = {
+
+    INTERVAL: 5000,         // count check
+    FULL_INTERVAL: 30000,   // full diff even if the count didn't change
+    LIST_LIMIT: 999999,
+
+    _timer: null,
+    _syncing: false,
+    _known: new Map(),      // id -> modification time of the last synced list
+    _lastCount: -1,
+    _lastFull: 0,
+    _queue: new Map(),      // id -> item, waiting for indexing
+    _onChange: null,
+
+    /**
+     * Start watching the library
+     * @param {Object[]} items - Item list the app started with
+     * @param {Function} onChange - ({ items, added, removed, modified }) after a diff found changes
+     */
+    start(items, onChange) {
+        LibrarySync.stop();
+        LibrarySync._onChange = onChange;
+        LibrarySync._remember(items);
+        LibrarySync._lastCount = items.length;
+        LibrarySync._lastFull = Date.now();
+        LibrarySync._schedule();
+    },
+
+    stop() {
+        clearTimeout(LibrarySync._timer);
+        LibrarySync._timer = null;
+    },
+
+    _schedule() {
+        LibrarySync._timer = setTimeout(async () => {
+            await LibrarySync._tick();
+            LibrarySync._schedule();
+        }, LibrarySync.INTERVAL);
+    },
+
+    async _tick() {
+        // Nobody is looking; showing or focusing the plugin syncs right away
+        if (document.hidden) return;
+        const count = await LibrarySync._countItems();
+        const due = Date.now() - LibrarySync._lastFull >= LibrarySync.FULL_INTERVAL;
+        // Without a count API only the periodic full diff is left - listing
+        // the whole library every few seconds is too much
+        if (due || (count !== null && count !== LibrarySync._lastCount)) {
+            await LibrarySync.syncNow();
+        }
+    },
+
+    /**
+     * Number of items in the library, null if Eagle can't tell cheaply
+     */
+    async _countItems() {
+        if (typeof eagle.item.countAll !== 'function') return null;
+        try {
+            return await eagle.item.countAll();
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * List the library and diff it against the last known list
+     * @returns {Promise<Object|null>} The changes, or null if nothing changed or listing failed
+     */
+    async syncNow() {
+        // Not started yet: there is no baseline to diff against
+        if (LibrarySync._syncing || !LibrarySync._onChange) return null;
+        LibrarySync._syncing = true;
+
+        try {
+            let items;
+            try {
+                items = await eagle.item.list({ limit: LibrarySync.LIST_LIMIT });
+            } catch (e) {
+                items = await eagle.item.getAll();
+            }
+            if (!Array.isArray(items)) return null;
+
+            LibrarySync._lastFull = Date.now();
+            LibrarySync._lastCount = items.length;
+
+            const changes = LibrarySync.diff(LibrarySync._known, items);
+            if (changes.added.length === 0 && changes.removed.length === 0 && changes.modified.length === 0) {
+                return null;
+            }
+
+            LibrarySync._remember(items);
+            for (const item of changes.added.concat(changes.modified)) {
+                if (Indexer.isIndexable(item)) LibrarySync._queue.set(item.id, item);
+            }
+            for (const id of changes.removed) LibrarySync._queue.delete(id);
+
+            console.log(`LibrarySync: ${changes.added.length} added, ${changes.removed.length} removed, ` +
+                        `${changes.modified.length} modified`);
+            const result = { items, ...changes };
+            if (LibrarySync._onChange) LibrarySync._onChange(result);
+            return result;
+        } catch (e) {
+            console.warn('LibrarySync: Sync failed:', e.message);
+            return null;
+        } finally {
+            LibrarySync._syncing = false;
+        }
+    },
+
+    /**
+     * Compare a library listing with known modification times
+     * @param {Map<string, number>} known - id -> modification time
+     * @param {Object[]} items - Current library items
+     * @returns {{added: Object[], removed: string[], modified: Object[]}}
+     */
+    diff(known, items) {
+        const added = [];
+        const modified = [];
+        const seen = new Set();
+
+        for (const item of items) {
+            seen.add(item.id);
+            if (!known.has(item.id)) {
+                added.push(item);
+            } else if (known.get(item.id) !== LibrarySync.itemModified(item)) {
+                modified.push(item);
+            }
+        }
+
+        const removed = [];
+        for (const id of known.keys()) {
+            if (!seen.has(id)) removed.push(id);
+        }
+        return { added, removed, modified };
+    },
+
+    /**
+     * Last modification time Eagle reports for an item (ms, 0 if unknown)
+     */
+    itemModified(item) {
+        return item.modifiedAt || item.modificationTime || item.mtime || 0;
+    },
+
+    _remember(items) {
+        LibrarySync._known = new Map(items.map(item => [item.id, LibrarySync.itemModified(item)]));
+    },
+
+    /**
+     * Queue items for indexing outside of a diff (e.g. an exclusion rule was lifted)
+     */
+    enqueue(items) {
+        for (const item of items) LibrarySync._queue.set(item.id, item);
+    },
+
+    /**
+     * Queued items, removing them from the queue
+     * @returns {Object[]}
+     */
+    takeQueued() {
+        const items = Array.from(LibrarySync._queue.values());
+        LibrarySync._queue.clear();
+        return items;
+    },
+
+    hasQueued() {
+        return LibrarySync._queue.size > 0;
+    }
+};
+
+window.LibrarySync = LibrarySync;
@@ -0,0 +1,118 @@
+/**
+ * tagsuggest.js - Tag suggestions from visually similar items
+ * Each neighbour votes for its tags with its similarity score; a tag is
+ * suggested when enough of the tagged neighbours' weight backs it.
+ *
+ * Batch mode runs the same vote for untagged items in the cache, using the
+ * cached fingerprint as the query, until BATCH_SIZE items have proposals
+ * (one review's worth) or it is cancelled. Nothing is written here.
+ */
+
+const TagSuggest = {
+
+    NEIGHBOURS: 15,
+    MIN_SCORE: 60,          // percent, neighbours below this don't vote
+    MIN_SHARE: 0.3,         // of the tagged neighbours' total weight
+    MIN_VOTES: 2,
+    MAX_SUGGESTIONS: 8,
+    CHUNK_SIZE: 20,
+    BATCH_SIZE: 50,         // proposals per review; each one costs a full search
+
+    _running: false,
+    _shouldStop: false,
+
+    isRunning() {
+        return TagSuggest._running;
+    },
+
+    /**
+     * Stop a running batch after the current item; it returns what it has so far
+     */
+    cancel() {
+        TagSuggest._shouldStop = true;
+    },
+
+    /**
+     * Vote over the tags of neighbours
+     * @param {Array<{id, score}>} neighbours - findSimilar results
+     * @param {Map<string, Object>} itemsMap - Eagle items by ID
+     * @param {string[]} [ownTags] - Tags the item already has (never suggested)
+     * @returns {Array<{tag: string, share: number, votes: number}>} Best first
+     */
+    suggest(neighbours, itemsMap, ownTags) {
+        const own = new Set((ownTags || []).map(tag => tag.toLowerCase()));
+        const votes = new Map();  // lowercased tag -> { tag, weight, votes }
+        let total = 0;
+
+        for (const n of neighbours) {
+            const item = itemsMap.get(n.id);
+            const tags = item && item.tags;
+            if (!tags || tags.length === 0) continue;
+            total += n.score;
+            for (const tag of new Set(tags)) {
+                const key = tag.toLowerCase();
+                if (own.has(key)) continue;
+                const entry = votes.get(key) || { tag, weight: 0, votes: 0 };
+                entry.weight += n.score;
+                entry.votes++;
+                votes.set(key, entry);
+            }
+        }
+        if (total === 0) return [];
+
+        return Array.from(votes.values())
+            .map(v => ({ tag: v.tag, share: v.weight / total, votes: v.votes }))
+            .filter(s => s.votes >= TagSuggest.MIN_VOTES && s.share >= TagSuggest.MIN_SHARE)
+            .sort((a, b) => b.share - a.share)
+            .slice(0, TagSuggest.MAX_SUGGESTIONS);
+    },
+
+    /**
+     * Neighbours that vote for a query
+     */
+    neighbours(queryData, cacheItems, excludeId, mode, options) {
+        return Similarity.findSimilar(
+            queryData, cacheItems, TagSuggest.MIN_SCORE, TagSuggest.NEIGHBOURS, excludeId, mode, options
+        );
+    },
+
+    /**
+     * Propose tags for untagged items that have a fingerprint, up to BATCH_SIZE of them
+     * @param {Object[]} items - Eagle items (App.allItems)
+     * @param {Object} cacheItems - Cache items map
+     * @param {string} mode - Search mode
+     * @param {Object} [options] - findSimilar options (filters and exclusions, see App._searchOptions)
+     * @param {Function} [onProgress] - (processed, total)
+     * @returns {Promise<Array<{id: string, suggestions: Object[]}>>} Items with at least one suggestion
+     */
+    async proposeForUntagged(items, cacheItems, mode, options, onProgress) {
+        if (TagSuggest._running) return [];
+        TagSuggest._running = true;
+        TagSuggest._shouldStop = false;
+
+        try {
+            const itemsMap = new Map(items.map(item => [item.id, item]));
+            const untagged = items.filter(item =>
+                (!item.tags || item.tags.length === 0) && cacheItems[item.id]);
+            const proposals = [];
+
+            for (let i = 0; i < untagged.length; i++) {
+                if (TagSuggest._shouldStop || proposals.length >= TagSuggest.BATCH_SIZE) break;
+                const item = untagged[i];
+                const neighbours = TagSuggest.neighbours(cacheItems[item.id], cacheItems, item.id, mode, options);
+                const suggestions = TagSuggest.suggest(neighbours, itemsMap);
+                if (suggestions.length > 0) proposals.push({ id: item.id, suggestions });
+
+                if (i % TagSuggest.CHUNK_SIZE === TagSuggest.CHUNK_SIZE - 1) {
+                    if (onProgress) onProgress(i + 1, untagged.length);
+                    await new Promise(r => setTimeout(r, 0));
+                }
+            }
+            return proposals;
+        } finally {
+            TagSuggest._running = false;
+        }
+    }
+};
+
+window.TagSuggest = TagSuggest;
@@ -0,0 +1,109 @@
+/**
+ * tiles.js - Multi-crop (tiled) embeddings for sub-image matching
+ * A whole-image embedding misses an object that fills a small part of a
+ * candidate. With tiling on, phase 2 also embeds overlapping tiles of every
+ * item (2x2 grid + centre) and a candidate's neural score is the better of
+ * its whole-image score and its best tile.
+ *
+ * Tiles are stored as one flat vector per item (`tileEmbeddings`, tiles
+ * back to back, int8 in the binary store) with the model that made them in
+ * `tileModel`. Tiling costs five extra inferences per item, so it is opt-in
+ * per library. The ANN index only holds whole-image vectors, so tiled
+ * searches score every item.
+ */
+
+const Tiles = {
+
+    // Fractions of the image; 60% tiles overlap by 20% in the middle
+    REGIONS: [
+        { x: 0, y: 0, width: 0.6, height: 0.6, label: 'top left' },
+        { x: 0.4, y: 0, width: 0.6, height: 0.6, label: 'top right' },
+        { x: 0, y: 0.4, width: 0.6, height: 0.6, label: 'bottom left' },
+        { x: 0.4, y: 0.4, width: 0.6, height: 0.6, label: 'bottom right' },
+        { x: 0.2, y: 0.2, width: 0.6, height: 0.6, label: 'centre' }
+    ],
+
+    _enabled: false,
+
+    setEnabled(enabled) {
+        Tiles._enabled = !!enabled;
+    },
+
+    isEnabled() {
+        return Tiles._enabled;
+    },
+
+    /**
+     * Embed every tile of an image
+     * @returns {Promise<number[]>} Tile embeddings back to back
+     */
+    async compute(filePath) {
+        const tiles = [];
+        for (const region of Tiles.REGIONS) {
+            const embedding = await Embedder.computeEmbedding(filePath, region);
+            for (let i = 0; i < embedding.length; i++) tiles.push(embedding[i]);
+        }
+        return tiles;
+    },
+
+    /**
+     * Whether an entry has tiles usable against a query from a model
+     */
+    comparable(queryData, entry) {
+        if (!Tiles._enabled || !queryData || !queryData.embedding || !entry || !entry.tileEmbeddings) return false;
+        if (entry.tileModel !== Similarity.modelOf(queryData)) return false;
+        return entry.tileEmbeddings.length === queryData.embedding.length * Tiles.REGIONS.length;
+    },
+
+    /**
+     * The entry's tile closest to the query
+     * @returns {{index: number, score: number}|null} null if the entry has no comparable tiles
+     */
+    bestTile(queryData, entry) {
+        if (!Tiles.comparable(queryData, entry)) return null;
+        const dim = queryData.embedding.length;
+        const tiles = entry.tileEmbeddings;
+        let best = null;
+        for (let t = 0; t < Tiles.REGIONS.length; t++) {
+            const tile = tiles.subarray
+                ? tiles.subarray(t * dim, (t + 1) * dim)
+                : tiles.slice(t * dim, (t + 1) * dim);
+            const score = Similarity.clipSimilarity(queryData.embedding, tile);
+            if (!best || score > best.score) best = { index: t, score };
+        }
+        return best;
+    },
+
+    /**
+     * Apply a transform (e.g. whitening) to every tile of a flat tile vector
+     * @param {Function} transform - (vector) => vector
+     */
+    map(tileEmbeddings, transform) {
+        const dim = tileEmbeddings.length / Tiles.REGIONS.length;
+        const out = [];
+        for (let t = 0; t < Tiles.REGIONS.length; t++) {
+            const tile = Array.from(tileEmbeddings.slice(t * dim, (t + 1) * dim));
+            const mapped = transform(tile);
+            for (let i = 0; i < mapped.length; i++) out.push(mapped[i]);
+        }
+        return out;
+    },
+
+    /**
+     * Remove tile embeddings from the cache (tiling was turned off)
+     * @returns {number} Entries changed
+     */
+    dropFromCache(cacheItems) {
+        let dropped = 0;
+        for (const id of Object.keys(cacheItems)) {
+            const cached = cacheItems[id];
+            if (!cached.tileEmbeddings) continue;
+            const { tileEmbeddings, tileModel, ...rest } = cached;
+            Cache.setHash(id, rest);
+            dropped++;
+        }
+        return dropped;
+    }
+};
+
+window.Tiles = Tiles;
@@ -7,8 +7,42 @@ const UI = {
 
     _clickTimer: null,
     _allItems: null,
+    _queryItems: null,
+    _feedback: null,
+    _onFeedback: null,
     _previewClickTimer: null,
+    _statusTimer: null,
     _currentPreviewItemId: null,
+    _resultIds: [],             // rendered order, for Shift-click ranges
+    _selection: new Set(),      // result IDs picked for bulk actions
+    _selectionAnchor: null,
+    _crop: null,                // box drawn on the preview, { x, y, width, height } in 0-1
+    _cropStart: null,
+    _cropDragged: false,        // swallow the click that ends a drag
+
+    MIN_CROP: 0.03,             // smaller boxes count as a click
+
+    // How a result relates to the query (Similarity.structuralMatch)
+    TRANSFORM_LABELS: {
+        mirror: 'mirrored copy',
+        flip: 'upside-down copy',
+        rot90: 'copy rotated 90° clockwise',
+        rot180: 'copy rotated 180°',
+        rot270: 'copy rotated 90° anticlockwise',
+        transpose: 'mirrored and rotated copy',
+        transverse: 'mirrored and rotated copy',
+        cropped: 'cropped copy',
+        extended: 'wider copy (the query is a crop of it)',
+        trimmed: 'slightly cropped copy'
+    },
+
+    // Score breakdown rows: part of Similarity.scoreBreakdown, label, key in its weights
+    BREAKDOWN_PARTS: [
+        { key: 'phash', label: 'Structure', weight: 'phash' },
+        { key: 'color', label: 'Colour', weight: 'color' },
+        { key: 'neural', label: 'Neural', weight: 'clip' },
+        { key: 'palette', label: 'Palette', weight: null }
+    ],
 
     /**
      * Store items map for result rendering
@@ -20,15 +54,26 @@ const UI = {
         }
     },
 
+    /**
+     * Items map set by setItemsMap (id -> Eagle item), empty before the first call
+     */
+    getItemsMap() {
+        return UI._allItems || new Map();
+    },
+
     /**
      * Render similarity results as a thumbnail grid
-     * @param {Array} results - Array of { id, score }
+     * @param {Array} results - Array of { id, score, matchedQuery? }
+     * @param {Object[]} [queryItems] - Query items, used to label multi-item matches
      */
-    renderResults(results) {
+    renderResults(results, queryItems) {
         const grid = document.getElementById('results-grid');
         const emptyState = document.getElementById('empty-state');
 
         grid.innerHTML = '';
+        UI._queryItems = (queryItems && queryItems.length > 1) ? queryItems : null;
+        UI._resultIds = (results || []).map(r => r.id);
+        document.getElementById('bulk-bar').classList.toggle('hidden', !results || results.length === 0);
 
         if (!results || results.length === 0) {
             grid.classList.add('hidden');
@@ -54,6 +99,7 @@ const UI = {
         const cell = document.createElement('div');
         cell.className = 'result-cell';
         cell.dataset.itemId = result.id;
+        if (UI._selection.has(result.id)) cell.classList.add('selected');
 
         // Thumbnail image
         const img = document.createElement('img');
@@ -75,8 +121,54 @@ const UI = {
         badge.textContent = `${Math.round(result.score * 100)}%`;
         cell.appendChild(badge);
 
-        // Click handling: single = preview, double = navigate
+        // Relevance feedback: "more like this" / "not like this"
+        if (UI._onFeedback) {
+            // Negatives are excluded from results, so only positives need a mark
+            if (UI._feedback && UI._feedback.positive.has(result.id)) cell.classList.add('positive');
+
+            const buttons = document.createElement('div');
+            buttons.className = 'feedback-buttons';
+            for (const [kind, label, title] of [
+                ['positive', '+', 'More like this'],
+                ['negative', '−', 'Not like this']
+            ]) {
+                const btn = document.createElement('button');
+                btn.className = `feedback-btn ${kind}`;
+                btn.textContent = label;
+                btn.title = title;
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    UI._onFeedback(result.id, kind);
+                });
+                buttons.appendChild(btn);
+            }
+            cell.appendChild(buttons);
+        }
+
+        // Best-matching moment of a video
+        if (typeof result.frameTime === 'number') {
+            const timeBadge = document.createElement('span');
+            timeBadge.className = 'time-badge';
+            timeBadge.textContent = Video.formatTime(result.frameTime);
+            cell.appendChild(timeBadge);
+        }
+
+        // Which query this result resembles most (multi-item queries)
+        const matched = UI._getMatchedQuery(result);
+        if (matched) {
+            const queryBadge = document.createElement('span');
+            queryBadge.className = 'query-badge';
+            queryBadge.textContent = `Q${result.matchedQuery + 1}`;
+            queryBadge.title = `Closest to ${matched.name || 'query ' + (result.matchedQuery + 1)}`;
+            cell.appendChild(queryBadge);
+        }
+
+        // Click handling: single = preview, double = navigate, Ctrl/Cmd/Shift = select
         cell.addEventListener('click', (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                UI._toggleSelection(result.id, e.shiftKey);
+                return;
+            }
             if (UI._clickTimer) {
                 // Double click
                 clearTimeout(UI._clickTimer);
@@ -94,6 +186,563 @@ const UI = {
         return cell;
     },
 
+    /**
+     * Query item a result matched most strongly, or null for single-item queries
+     */
+    _getMatchedQuery(result) {
+        if (!UI._queryItems || typeof result.matchedQuery !== 'number') return null;
+        return UI._queryItems[result.matchedQuery] || null;
+    },
+
+    /**
+     * Select or deselect a result; with range, everything from the last clicked result
+     */
+    _toggleSelection(id, range) {
+        const anchor = UI._resultIds.indexOf(UI._selectionAnchor);
+        const index = UI._resultIds.indexOf(id);
+        if (range && anchor !== -1 && index !== -1) {
+            const [from, to] = anchor < index ? [anchor, index] : [index, anchor];
+            for (const rangeId of UI._resultIds.slice(from, to + 1)) UI._selection.add(rangeId);
+        } else if (UI._selection.has(id)) {
+            UI._selection.delete(id);
+        } else {
+            UI._selection.add(id);
+        }
+        UI._selectionAnchor = id;
+        UI.setResultSelection(UI._selection);
+    },
+
+    /**
+     * Replace the bulk selection (IDs need not all be rendered)
+     * @param {Iterable<string>} ids
+     */
+    setResultSelection(ids) {
+        UI._selection = new Set(ids);
+        if (UI._selection.size === 0) UI._selectionAnchor = null;
+        for (const cell of document.querySelectorAll('#results-grid .result-cell')) {
+            cell.classList.toggle('selected', UI._selection.has(cell.dataset.itemId));
+        }
+        document.getElementById('bulk-count').textContent = UI._selection.size > 0
+            ? `${UI._selection.size} selected`
+            : 'Ctrl-click to select';
+        document.getElementById('bulk-apply').disabled = UI._selection.size === 0;
+    },
+
+    getResultSelection() {
+        return Array.from(UI._selection);
+    },
+
+    /**
+     * Wire the bulk action bar's own controls
+     */
+    initBulkBar() {
+        document.getElementById('bulk-action').addEventListener('change', () => UI.updateBulkInput());
+        UI.updateBulkInput();
+        UI.setResultSelection([]);
+    },
+
+    /**
+     * Show the value control that fits the chosen bulk action
+     */
+    updateBulkInput() {
+        const action = document.getElementById('bulk-action').value;
+        const input = document.getElementById('bulk-value');
+        const placeholders = {
+            addTags: 'Tags, comma separated',
+            removeTags: 'Tags, comma separated',
+            newFolder: 'Folder name'
+        };
+        input.classList.toggle('hidden', !placeholders[action]);
+        input.placeholder = placeholders[action] || '';
+        document.getElementById('bulk-folder').classList.toggle('hidden', action !== 'addToFolder');
+        document.getElementById('bulk-rating').classList.toggle('hidden', action !== 'rating');
+    },
+
+    /**
+     * Fill the folder selector of the bulk bar
+     * @param {Array<{id, name, depth}>} folders - Flattened folder tree
+     */
+    setBulkFolders(folders) {
+        const select = document.getElementById('bulk-folder');
+        const value = select.value;
+        select.innerHTML = '';
+        for (const f of folders) {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.textContent = `${'\u00a0\u00a0'.repeat(f.depth)}${f.name}`;
+            select.appendChild(option);
+        }
+        if (value) select.value = value;
+    },
+
+    /**
+     * Read the chosen bulk action and its value
+     * @returns {{action: string, tags?: string[], name?: string, folderId?: string, folderName?: string, star?: number}}
+     */
+    getBulkAction() {
+        const action = document.getElementById('bulk-action').value;
+        const text = document.getElementById('bulk-value').value;
+        const folder = document.getElementById('bulk-folder');
+        switch (action) {
+            case 'addTags':
+            case 'removeTags':
+                return { action, tags: text.split(',').map(t => t.trim()).filter(Boolean) };
+            case 'newFolder':
+                return { action, name: text.trim() };
+            case 'addToFolder': {
+                const option = folder.options[folder.selectedIndex];
+                return { action, folderId: folder.value, folderName: option ? option.textContent.trim() : '' };
+            }
+            case 'rating':
+                return { action, star: parseInt(document.getElementById('bulk-rating').value) || 0 };
+        }
+        return { action };
+    },
+
+    clearBulkValue() {
+        document.getElementById('bulk-value').value = '';
+    },
+
+    /**
+     * Show the last write on the Undo button
+     * @param {{label: string, undoable: boolean}|null} undo - Actions.getUndo()
+     */
+    setUndoState(undo) {
+        const btn = document.getElementById('bulk-undo');
+        btn.classList.toggle('hidden', !undo);
+        if (!undo) return;
+        btn.disabled = !undo.undoable;
+        btn.title = undo.undoable
+            ? `Undo: ${undo.label}`
+            : `${undo.label} - restore them from Eagle's trash`;
+    },
+
+    /**
+     * Wire relevance feedback callbacks
+     * @param {Function} onFeedback - (itemId, 'positive' | 'negative')
+     * @param {Function} onReset - Clear all marks
+     */
+    initFeedback(onFeedback, onReset) {
+        UI._onFeedback = onFeedback;
+        document.getElementById('feedback-reset').addEventListener('click', onReset);
+    },
+
+    /**
+     * Current feedback marks, used to highlight cells on the next render
+     * @param {{positive: Set<string>, negative: Set<string>}} feedback
+     */
+    setFeedback(feedback) {
+        UI._feedback = feedback;
+    },
+
+    /**
+     * Show the feedback summary row while any result is marked
+     */
+    showFeedbackControls(positiveCount, negativeCount) {
+        const row = document.getElementById('feedback-row');
+        const active = positiveCount + negativeCount > 0;
+        row.classList.toggle('hidden', !active);
+        if (active) {
+            document.getElementById('feedback-text').textContent =
+                `Refined: +${positiveCount} / −${negativeCount}`;
+        }
+    },
+
+    /**
+     * Fill the embedding model selector; hidden when there is nothing to choose
+     * @param {Object[]} models - Model descriptors from Embedder.listModels
+     * @param {string} activeId - Selected model ID
+     */
+    setModelOptions(models, activeId) {
+        const select = document.getElementById('model-select');
+        select.innerHTML = '';
+        for (const model of models) {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = `${model.name} (${model.dim}d)`;
+            select.appendChild(option);
+        }
+        select.value = activeId;
+        select.disabled = models.length < 2;
+        document.getElementById('model-row').classList.toggle('hidden', models.length === 0);
+        document.getElementById('backend-row').classList.toggle('hidden', models.length === 0);
+    },
+
+    /**
+     * Reflect the backend preference and the backend actually in use
+     * @param {string} preference - 'auto' | 'webgl' | 'wasm' | 'js'
+     * @param {string|null} activeLabel - Label of the running backend, null if none
+     */
+    setBackendState(preference, activeLabel) {
+        document.getElementById('backend-select').value = preference;
+        document.getElementById('backend-active').textContent = activeLabel ? `Using ${activeLabel}` : '';
+    },
+
+    /**
+     * Reflect the PCA whitening toggle
+     */
+    setWhiteningState(enabled) {
+        const btn = document.getElementById('whiten-toggle');
+        btn.textContent = enabled ? 'ON' : 'OFF';
+        btn.classList.toggle('active', enabled);
+    },
+
+    /**
+     * Reflect the tile embeddings toggle
+     */
+    setTilesState(enabled) {
+        const btn = document.getElementById('tiles-toggle');
+        btn.textContent = enabled ? 'ON' : 'OFF';
+        btn.classList.toggle('active', enabled);
+    },
+
+    /**
+     * Fill the hash algorithm selector and the extra-hash toggles (see Hasher.ALGORITHMS)
+     * @param {Function} onToggleExtra - (name) when an extra-hash toggle is clicked
+     */
+    setHashOptions(onToggleExtra) {
+        const select = document.getElementById('hash-algorithm');
+        const extras = document.getElementById('hash-extras');
+        select.innerHTML = '';
+        extras.innerHTML = '';
+        for (const [name, algorithm] of Object.entries(Hasher.ALGORITHMS)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = algorithm.label;
+            select.appendChild(option);
+
+            const btn = document.createElement('button');
+            btn.className = 'toggle-btn';
+            btn.dataset.hashExtra = name;
+            btn.textContent = algorithm.label;
+            btn.addEventListener('click', () => onToggleExtra(name));
+            extras.appendChild(btn);
+        }
+    },
+
+    /**
+     * Reflect the hashing settings
+     * @param {{algorithm: string, bits: number, extras: string[]}} config
+     */
+    setHashState({ algorithm, bits, extras }) {
+        document.getElementById('hash-algorithm').value = algorithm;
+        document.getElementById('hash-bits').value = String(bits);
+        for (const btn of document.querySelectorAll('[data-hash-extra]')) {
+            const name = btn.dataset.hashExtra;
+            btn.classList.toggle('active', extras.includes(name));
+            // The main algorithm is always hashed
+            btn.classList.toggle('hidden', name === algorithm);
+        }
+    },
+
+    /**
+     * Show a message in the model status bar
+     * @param {string} text - Message
+     * @param {boolean} [sticky] - Keep it until the next message instead of fading out
+     */
+    showStatus(text, sticky) {
+        const statusEl = document.getElementById('clip-status');
+        document.getElementById('clip-status-text').textContent = text;
+        statusEl.classList.remove('hidden');
+        clearTimeout(UI._statusTimer);
+        if (!sticky) {
+            UI._statusTimer = setTimeout(() => statusEl.classList.add('hidden'), 4000);
+        }
+    },
+
+    /**
+     * Open or close the filter bar
+     */
+    showFilterBar(show) {
+        document.getElementById('filter-bar').classList.toggle('hidden', !show);
+    },
+
+    /**
+     * Mark the Filter button while a filter is in effect
+     */
+    setFilterActive(active) {
+        document.getElementById('filter-toggle').classList.toggle('active', active);
+    },
+
+    /**
+     * Fill the folder and type selectors, keeping their current values
+     * @param {Array<{id, name, depth}>} folders - Flattened folder tree
+     * @param {string[]} exts - File extensions
+     */
+    setFilterOptions(folders, exts) {
+        const fill = (select, firstLabel, options) => {
+            const value = select.value;
+            select.innerHTML = '';
+            const first = document.createElement('option');
+            first.value = '';
+            first.textContent = firstLabel;
+            select.appendChild(first);
+            for (const { value: v, label } of options) {
+                const option = document.createElement('option');
+                option.value = v;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+            select.value = value;
+        };
+        fill(document.getElementById('filter-folder'), 'All folders',
+            folders.map(f => ({ value: f.id, label: `${'\u00a0\u00a0'.repeat(f.depth)}${f.name}` })));
+        fill(document.getElementById('filter-ext'), 'All types',
+            exts.map(ext => ({ value: ext, label: ext.toUpperCase() })));
+    },
+
+    /**
+     * Show filter criteria in the filter bar
+     */
+    setFilterCriteria(criteria) {
+        const c = Filters.normalize(criteria);
+        document.getElementById('filter-folder').value = c.folder;
+        document.getElementById('filter-ext').value = c.ext;
+        document.getElementById('filter-rating').value = String(c.minRating);
+        document.getElementById('filter-tags').value = c.tags.join(', ');
+        document.getElementById('filter-min-width').value = c.minWidth || '';
+        document.getElementById('filter-min-height').value = c.minHeight || '';
+        document.getElementById('filter-imported-after').value = c.importedAfter;
+    },
+
+    /**
+     * Read filter criteria from the filter bar
+     */
+    getFilterCriteria() {
+        return Filters.normalize({
+            folder: document.getElementById('filter-folder').value,
+            ext: document.getElementById('filter-ext').value,
+            minRating: document.getElementById('filter-rating').value,
+            tags: document.getElementById('filter-tags').value.split(','),
+            minWidth: document.getElementById('filter-min-width').value,
+            minHeight: document.getElementById('filter-min-height').value,
+            importedAfter: document.getElementById('filter-imported-after').value
+        });
+    },
+
+    /**
+     * List saved filter presets
+     * @param {string[]} names - Preset names
+     */
+    setFilterPresets(names) {
+        const select = document.getElementById('filter-preset');
+        select.innerHTML = '';
+        const first = document.createElement('option');
+        first.value = '';
+        first.textContent = names.length > 0 ? 'Presets' : 'No presets';
+        select.appendChild(first);
+        for (const name of names) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+    },
+
+    /**
+     * Open or close the weight sliders
+     */
+    showWeightsBar(show) {
+        document.getElementById('weights-bar').classList.toggle('hidden', !show);
+        document.getElementById('weights-toggle').classList.toggle('active', show);
+    },
+
+    /**
+     * Add the named weight presets to the preset selector
+     * @param {Object} presets - key -> { label, ... } (see Similarity.WEIGHT_PRESETS)
+     */
+    setWeightPresets(presets) {
+        const select = document.getElementById('weight-preset');
+        for (const [key, preset] of Object.entries(presets)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.label;
+            select.appendChild(option);
+        }
+    },
+
+    /**
+     * Reflect the search mode and weights of the current library
+     * @param {{mode: string, preset: string|null, weights: Object|null}} settings - weights as set on the sliders
+     * @param {{phash: number, color: number, clip: number}} effective - Weights in use (sum to 1)
+     */
+    setSearchState({ mode, preset, weights }, effective) {
+        document.getElementById('search-mode').value = mode || 'auto';
+        document.getElementById('weight-preset').value = weights ? (preset || '') : 'default';
+        for (const part of ['phash', 'color', 'clip']) {
+            const raw = weights ? weights[part] : effective[part] * 100;
+            document.getElementById(`weight-${part}`).value = Math.round(raw);
+            document.getElementById(`weight-${part}-label`).textContent = Math.round(effective[part] * 100);
+        }
+    },
+
+    /**
+     * Open or close the palette picker
+     */
+    showPaletteBar(show) {
+        document.getElementById('palette-bar').classList.toggle('hidden', !show);
+        document.getElementById('palette-toggle').classList.toggle('active', show);
+    },
+
+    /**
+     * Show the picked colours, each with its share of the image
+     * @param {Array<{hex: string, share: number|null}>} colours - null share = split the rest
+     * @param {Function} onChange - (index, { hex, share })
+     * @param {Function} onRemove - (index)
+     */
+    renderPaletteSwatches(colours, onChange, onRemove) {
+        const container = document.getElementById('palette-swatches');
+        container.innerHTML = '';
+        document.getElementById('palette-add').disabled = colours.length >= Palette.MAX_COLORS;
+        document.getElementById('palette-search').disabled = colours.length === 0;
+
+        if (colours.length === 0) {
+            const empty = document.createElement('span');
+            empty.className = 'control-label';
+            empty.textContent = 'Add up to 5 colours or paste hex codes';
+            container.appendChild(empty);
+            return;
+        }
+
+        colours.forEach((colour, index) => {
+            const swatch = document.createElement('div');
+            swatch.className = 'palette-swatch';
+
+            const picker = document.createElement('input');
+            picker.type = 'color';
+            picker.value = colour.hex;
+            picker.title = colour.hex;
+            swatch.appendChild(picker);
+
+            const share = document.createElement('input');
+            share.type = 'number';
+            share.min = '1';
+            share.max = '100';
+            share.placeholder = 'auto';
+            share.title = 'Share of the image in percent (empty = split what the others leave)';
+            share.value = colour.share || '';
+            swatch.appendChild(share);
+
+            const change = () => onChange(index, { hex: picker.value, share: parseFloat(share.value) || null });
+            picker.addEventListener('change', change);
+            share.addEventListener('change', change);
+
+            const remove = document.createElement('button');
+            remove.className = 'icon-btn';
+            remove.textContent = '×';
+            remove.title = 'Remove this colour';
+            remove.addEventListener('click', () => onRemove(index));
+            swatch.appendChild(remove);
+
+            container.appendChild(swatch);
+        });
+    },
+
+    /**
+     * Open or close the exclusion rule editor
+     */
+    showExclusionsBar(show) {
+        document.getElementById('exclusions-bar').classList.toggle('hidden', !show);
+    },
+
+    /**
+     * Fill the folder selector of the exclusion editor
+     * @param {Array<{id, name, depth}>} folders - Flattened folder tree
+     */
+    setExclusionFolders(folders) {
+        const select = document.getElementById('exclude-folder');
+        const value = select.value;
+        select.innerHTML = '';
+        for (const f of folders) {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.textContent = `${'  '.repeat(f.depth)}${f.name}`;
+            select.appendChild(option);
+        }
+        if (value) select.value = value;
+    },
+
+    /**
+     * Switch the value input to match the selected rule type
+     */
+    updateExclusionInput() {
+        const type = document.getElementById('exclude-type').value;
+        const input = document.getElementById('exclude-value');
+        const placeholders = {
+            tag: 'Tag',
+            ext: 'File type, e.g. svg',
+            minSize: 'Width × height, e.g. 64x64',
+            name: 'Name pattern, e.g. *_export*'
+        };
+        document.getElementById('exclude-folder').classList.toggle('hidden', type !== 'folder');
+        input.classList.toggle('hidden', type === 'folder');
+        input.placeholder = placeholders[type] || '';
+    },
+
+    /**
+     * Read the rule being added from the exclusion editor
+     * @returns {Object} Rule (not yet validated)
+     */
+    getExclusionDraft() {
+        const type = document.getElementById('exclude-type').value;
+        if (type === 'folder') {
+            return { type, value: document.getElementById('exclude-folder').value };
+        }
+        const value = document.getElementById('exclude-value').value.trim();
+        if (type === 'minSize') {
+            // "64x64", "64 × 64" or a single number for both sides
+            const [width, height] = value.split(/\s*[x×*,]\s*/i);
+            return { type, width, height: height === undefined ? width : height };
+        }
+        return { type, value };
+    },
+
+    clearExclusionDraft() {
+        document.getElementById('exclude-value').value = '';
+    },
+
+    /**
+     * List exclusion rules, each with a remove button
+     * @param {Object[]} rules
+     * @param {Map<string, string>} folderNames - folder ID -> name
+     * @param {Function} onRemove - (ruleIndex)
+     */
+    renderExclusionRules(rules, folderNames, onRemove) {
+        const list = document.getElementById('exclusion-list');
+        list.innerHTML = '';
+        document.getElementById('exclude-toggle').classList.toggle('active', rules.length > 0);
+
+        if (rules.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'control-label';
+            empty.textContent = 'Nothing excluded';
+            list.appendChild(empty);
+            return;
+        }
+
+        rules.forEach((rule, index) => {
+            const row = document.createElement('div');
+            row.className = 'exclusion-rule';
+            const label = document.createElement('span');
+            label.textContent = Exclusions.describe(rule, folderNames);
+            row.appendChild(label);
+            const btn = document.createElement('button');
+            btn.className = 'icon-btn';
+            btn.textContent = '×';
+            btn.title = 'Remove this rule';
+            btn.addEventListener('click', () => onRemove(index));
+            row.appendChild(btn);
+            list.appendChild(row);
+        });
+    },
+
+    /**
+     * Show the centroid/max/min selector only for multi-item queries
+     */
+    showMultiQueryControls(show) {
+        document.getElementById('multi-row').classList.toggle('hidden', !show);
+    },
+
     /**
      * Show large preview overlay
      */
@@ -103,29 +752,222 @@ const UI = {
         const previewInfo = document.getElementById('preview-info');
 
         UI._currentPreviewItemId = result.id;
+        UI._setCrop(null);
 
-        if (item && item.filePath) {
+        // Video results play from their best-matching frame
+        const atTime = typeof result.frameTime === 'number' && item && item.filePath;
+        UI._setPreviewVideo(atTime ? item.filePath : null, result.frameTime);
+        previewImg.classList.toggle('hidden', !!atTime);
+        if (atTime) {
+            previewImg.src = '';
+        } else if (item && item.filePath && Indexer.isImageType(item.ext)) {
             previewImg.src = Hasher.filePathToURL(item.filePath);
         } else if (item && item.thumbnailPath) {
             previewImg.src = Hasher.filePathToURL(item.thumbnailPath);
         }
 
         const name = (item && item.name) || 'Unknown';
-        const score = Math.round(result.score * 100);
         const dims = (item && item.width && item.height)
             ? ` | ${item.width}x${item.height}`
             : '';
-        previewInfo.textContent = `${name}${dims} | ${score}% similar`;
+        const score = typeof result.score === 'number'
+            ? ` | ${Math.round(result.score * 100)}% similar`
+            : '';
+        const matched = UI._getMatchedQuery(result);
+        const matchedText = matched ? ` | closest to ${matched.name || 'Q' + (result.matchedQuery + 1)}` : '';
+        const region = typeof result.tile === 'number' ? Tiles.REGIONS[result.tile] : null;
+        const tileText = region ? ` | best match ${region.label}` : '';
+        const transform = result.transform ? UI.TRANSFORM_LABELS[result.transform] : null;
+        const transformText = transform ? ` | ${transform}` : '';
+        const timeText = atTime ? ` | best match at ${Video.formatTime(result.frameTime)}` : '';
+        previewInfo.textContent = `${name}${dims}${score}${matchedText}${tileText}${transformText}${timeText}`;
+        UI._setTileBox(region);
+        UI._renderBreakdown(result.breakdown || null);
 
         overlay.classList.remove('hidden');
     },
 
+    /**
+     * Load a video into the preview at a time, or clear it (null)
+     */
+    _setPreviewVideo(filePath, time) {
+        const video = document.getElementById('preview-video');
+        video.classList.toggle('hidden', !filePath);
+        video.pause();
+        if (!filePath) {
+            video.removeAttribute('src');
+            video.load();
+            return;
+        }
+        video.onloadedmetadata = () => {
+            video.onloadedmetadata = null;
+            video.currentTime = Math.min(time, video.duration || time);
+        };
+        video.src = Hasher.filePathToURL(filePath);
+    },
+
+    /**
+     * Show what a result's score is made of under the preview (see Similarity.scoreBreakdown)
+     * @param {Object|null} breakdown - null hides it
+     */
+    _renderBreakdown(breakdown) {
+        const el = document.getElementById('preview-breakdown');
+        el.innerHTML = '';
+        el.classList.toggle('hidden', !breakdown);
+        document.getElementById('preview-overlay').classList.toggle('explained', !!breakdown);
+        if (!breakdown) return;
+
+        for (const part of UI.BREAKDOWN_PARTS) {
+            const score = breakdown[part.key];
+            if (score === null || score === undefined) continue;
+            const weight = part.weight ? breakdown.weights[part.weight] : null;
+
+            const row = document.createElement('div');
+            row.className = 'breakdown-row';
+            row.classList.toggle('unweighted', weight === 0);
+            const label = document.createElement('span');
+            label.className = 'breakdown-label';
+            label.textContent = part.label;
+            const bar = document.createElement('div');
+            bar.className = 'breakdown-bar';
+            const fill = document.createElement('div');
+            fill.className = 'breakdown-fill';
+            fill.style.width = `${Math.round(Math.max(0, Math.min(1, score)) * 100)}%`;
+            bar.appendChild(fill);
+            const value = document.createElement('span');
+            value.className = 'breakdown-value';
+            value.textContent = `${Math.round(score * 100)}%` +
+                (weight !== null ? ` × ${Math.round(weight * 100)}%` : '');
+            value.title = weight !== null ? 'Score × weight in this search mode' : '';
+            row.append(label, bar, value);
+            el.appendChild(row);
+        }
+
+        const notes = [];
+        if (breakdown.hamming !== null) {
+            notes.push(`Hamming distance ${breakdown.hamming} of ${breakdown.bits} bits`);
+        }
+        if (breakdown.classes && breakdown.classes.length > 0) {
+            notes.push(`Shared classes: ${breakdown.classes.join(', ')}`);
+        }
+        const applied = [];
+        if (breakdown.applied) {
+            const { filter, exclusions, feedback } = breakdown.applied;
+            if (filter) applied.push('result filter');
+            if (exclusions) applied.push('exclusion rules');
+            if (feedback && feedback.positive + feedback.negative > 0) {
+                applied.push(`feedback (+${feedback.positive} / −${feedback.negative})`);
+            }
+        }
+        if (applied.length > 0) notes.push(`Applied: ${applied.join(', ')}`);
+        for (const text of notes) {
+            const note = document.createElement('div');
+            note.className = 'breakdown-note';
+            note.textContent = text;
+            el.appendChild(note);
+        }
+    },
+
+    /**
+     * Open the preview of an item to draw a search area on it
+     */
+    showCropPreview(item) {
+        UI._showPreview({ id: item.id }, item);
+        document.getElementById('preview-info').textContent =
+            `${item.name || 'Unknown'} | drag a box around the part to search for`;
+    },
+
+    /**
+     * Wire box drawing on the preview image
+     * @param {Function} onSearch - (itemId, crop) when "Search this area" is clicked
+     */
+    initCropSearch(onSearch) {
+        const img = document.getElementById('preview-img');
+        const point = (e) => {
+            const rect = img.getBoundingClientRect();
+            return {
+                x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+                y: Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height))
+            };
+        };
+
+        img.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || !UI._currentPreviewItemId) return;
+            e.preventDefault();
+            UI._cropStart = point(e);
+            UI._cropDragged = false;
+        });
+        document.addEventListener('mousemove', (e) => {
+            if (!UI._cropStart) return;
+            const start = UI._cropStart, end = point(e);
+            UI._setCrop({
+                x: Math.min(start.x, end.x),
+                y: Math.min(start.y, end.y),
+                width: Math.abs(end.x - start.x),
+                height: Math.abs(end.y - start.y)
+            });
+        });
+        document.addEventListener('mouseup', () => {
+            if (!UI._cropStart) return;
+            UI._cropStart = null;
+            const crop = UI._crop;
+            if (!crop) return;
+            if (crop.width < UI.MIN_CROP || crop.height < UI.MIN_CROP) {
+                UI._setCrop(null);
+            } else {
+                UI._cropDragged = true;
+            }
+        });
+
+        document.getElementById('crop-search').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const id = UI._currentPreviewItemId;
+            const crop = UI._crop;
+            UI.hidePreview();
+            if (id && crop) onSearch(id, crop);
+        });
+        document.getElementById('crop-clear').addEventListener('click', (e) => {
+            e.stopPropagation();
+            UI._setCrop(null);
+        });
+    },
+
+    _setCrop(crop) {
+        UI._crop = crop;
+        const box = document.getElementById('crop-box');
+        box.classList.toggle('hidden', !crop);
+        document.getElementById('crop-actions').classList.toggle('hidden', !crop);
+        if (!crop) return;
+        box.style.left = `${crop.x * 100}%`;
+        box.style.top = `${crop.y * 100}%`;
+        box.style.width = `${crop.width * 100}%`;
+        box.style.height = `${crop.height * 100}%`;
+    },
+
+    /**
+     * Outline the tile a result matched by (see Tiles.REGIONS), null to hide
+     */
+    _setTileBox(region) {
+        const box = document.getElementById('tile-box');
+        box.classList.toggle('hidden', !region);
+        if (!region) return;
+        box.style.left = `${region.x * 100}%`;
+        box.style.top = `${region.y * 100}%`;
+        box.style.width = `${region.width * 100}%`;
+        box.style.height = `${region.height * 100}%`;
+    },
+
     /**
      * Hide preview overlay
      */
     hidePreview() {
+        UI._setCrop(null);
+        UI._setTileBox(null);
+        UI._cropStart = null;
         document.getElementById('preview-overlay').classList.add('hidden');
         document.getElementById('preview-img').src = '';
+        document.getElementById('preview-img').classList.remove('hidden');
+        UI._setPreviewVideo(null);
         UI._currentPreviewItemId = null;
     },
 
@@ -143,6 +985,242 @@ const UI = {
         }
     },
 
+    /**
+     * Toggle between the results grid and the duplicate scan panel
+     */
+    showDuplicatesPanel(show) {
+        document.getElementById('duplicates-panel').classList.toggle('hidden', !show);
+        document.getElementById('dupes-toggle').classList.toggle('active', show);
+        document.getElementById('results-grid').classList.toggle('hidden', show);
+        if (show) document.getElementById('empty-state').classList.add('hidden');
+    },
+
+    /**
+     * Set the duplicate scan status line
+     */
+    setDuplicateStatus(text) {
+        document.getElementById('dup-status').textContent = text;
+    },
+
+    /**
+     * Render duplicate groups, one row per group
+     * @param {string[][]} groups - Groups of item IDs
+     * @param {Function} onAction - (groupIndex, action) for 'largest' | 'newest' | 'tag'
+     */
+    renderDuplicateGroups(groups, onAction) {
+        const container = document.getElementById('duplicate-groups');
+        container.innerHTML = '';
+
+        groups.forEach((group, index) => {
+            const groupEl = document.createElement('div');
+            groupEl.className = 'dup-group';
+
+            const header = document.createElement('div');
+            header.className = 'dup-group-header';
+            const title = document.createElement('span');
+            title.textContent = `${group.length} items`;
+            header.appendChild(title);
+            const spacer = document.createElement('div');
+            spacer.className = 'spacer';
+            header.appendChild(spacer);
+
+            const actions = [
+                ['largest', 'Keep largest'],
+                ['newest', 'Keep newest'],
+                ['tag', 'Tag']
+            ];
+            for (const [action, label] of actions) {
+                const btn = document.createElement('button');
+                btn.className = 'icon-btn';
+                btn.textContent = label;
+                btn.addEventListener('click', () => onAction(index, action));
+                header.appendChild(btn);
+            }
+            groupEl.appendChild(header);
+
+            const members = document.createElement('div');
+            members.className = 'dup-members';
+            for (const id of group) {
+                const item = UI._allItems ? UI._allItems.get(id) : null;
+                members.appendChild(UI._createDuplicateMember(id, item));
+            }
+            groupEl.appendChild(members);
+
+            container.appendChild(groupEl);
+        });
+    },
+
+    /**
+     * One member of a duplicate group: thumbnail + resolution, size, date
+     */
+    _createDuplicateMember(id, item) {
+        const member = document.createElement('div');
+        member.className = 'dup-member';
+
+        const img = document.createElement('img');
+        if (item && item.thumbnailPath) {
+            img.src = Hasher.filePathToURL(item.thumbnailPath);
+        } else if (item && item.filePath) {
+            img.src = Hasher.filePathToURL(item.filePath);
+        }
+        img.alt = (item && item.name) || '';
+        img.loading = 'lazy';
+        img.onerror = () => {
+            img.style.display = 'none';
+        };
+        member.appendChild(img);
+
+        const meta = document.createElement('div');
+        meta.className = 'dup-meta';
+        const dims = (item && item.width && item.height) ? `${item.width}x${item.height}` : '?';
+        const size = item && item.size ? UI._formatSize(item.size) : '';
+        const date = UI._formatDate(Duplicates.itemDate(item));
+        meta.textContent = [dims, size, date].filter(Boolean).join(' · ');
+        member.appendChild(meta);
+
+        member.addEventListener('click', () => {
+            if (UI._clickTimer) {
+                clearTimeout(UI._clickTimer);
+                UI._clickTimer = null;
+                UI._navigateToItem(id);
+            } else {
+                UI._clickTimer = setTimeout(() => {
+                    UI._clickTimer = null;
+                    UI._showPreview({ id }, item);
+                }, 250);
+            }
+        });
+
+        return member;
+    },
+
+    /**
+     * A tag button with the share of neighbour weight behind it
+     */
+    _createTagChip(suggestion) {
+        const chip = document.createElement('button');
+        chip.className = 'tag-chip';
+        chip.textContent = suggestion.tag;
+        chip.title = `${suggestion.votes} similar items, ${Math.round(suggestion.share * 100)}% of the vote`;
+        const share = document.createElement('span');
+        share.className = 'tag-share';
+        share.textContent = `${Math.round(suggestion.share * 100)}%`;
+        chip.appendChild(share);
+        return chip;
+    },
+
+    /**
+     * Show tag suggestions for the selected item
+     * @param {Object[]} suggestions - TagSuggest.suggest() result, empty hides the strip
+     * @param {Function} onApply - (tags) for one chip or "Add all"
+     */
+    showTagSuggestions(suggestions, onApply) {
+        const strip = document.getElementById('tag-suggestions');
+        const chips = document.getElementById('tag-chips');
+        chips.innerHTML = '';
+        strip.classList.toggle('hidden', !suggestions || suggestions.length === 0);
+        if (!suggestions || suggestions.length === 0) return;
+
+        for (const suggestion of suggestions) {
+            const chip = UI._createTagChip(suggestion);
+            chip.title = `Add "${suggestion.tag}" - ${chip.title}`;
+            chip.addEventListener('click', () => onApply([suggestion.tag]));
+            chips.appendChild(chip);
+        }
+        document.getElementById('tag-apply-all').onclick = () => onApply(suggestions.map(s => s.tag));
+    },
+
+    /**
+     * Toggle between the results grid and the batch tagging panel
+     */
+    showTaggingPanel(show) {
+        document.getElementById('tagging-panel').classList.toggle('hidden', !show);
+        document.getElementById('tagging-toggle').classList.toggle('active', show);
+        document.getElementById('results-grid').classList.toggle('hidden', show);
+        if (show) {
+            document.getElementById('empty-state').classList.add('hidden');
+            document.getElementById('tag-suggestions').classList.add('hidden');
+        }
+    },
+
+    setTaggingStatus(text) {
+        document.getElementById('tagging-status').textContent = text;
+    },
+
+    /**
+     * Turn the Propose button into a Stop button while a batch runs
+     */
+    setTaggingRunning(running) {
+        const button = document.getElementById('tagging-scan');
+        button.textContent = running ? 'Stop' : 'Propose';
+        button.classList.toggle('active', running);
+    },
+
+    setTaggingSummary(text) {
+        document.getElementById('tagging-summary').textContent = text;
+    },
+
+    /**
+     * Review list for batch tagging: one row per item, a chip per proposed tag
+     * @param {Array<{id, suggestions, accepted: Set<string>}>} proposals
+     * @param {Function} onToggle - (proposalIndex, tag) when a chip is clicked
+     */
+    renderTagProposals(proposals, onToggle) {
+        const container = document.getElementById('tagging-proposals');
+        container.innerHTML = '';
+
+        proposals.forEach((proposal, index) => {
+            const item = UI._allItems ? UI._allItems.get(proposal.id) : null;
+            const row = document.createElement('div');
+            row.className = 'tag-proposal';
+
+            const img = document.createElement('img');
+            if (item && item.thumbnailPath) {
+                img.src = Hasher.filePathToURL(item.thumbnailPath);
+            } else if (item && item.filePath) {
+                img.src = Hasher.filePathToURL(item.filePath);
+            }
+            img.alt = (item && item.name) || '';
+            img.loading = 'lazy';
+            img.addEventListener('click', () => UI._showPreview({ id: proposal.id }, item));
+            row.appendChild(img);
+
+            const body = document.createElement('div');
+            body.className = 'tag-proposal-body';
+            const name = document.createElement('div');
+            name.className = 'dup-meta';
+            name.textContent = (item && item.name) || proposal.id;
+            body.appendChild(name);
+
+            const chips = document.createElement('div');
+            chips.className = 'tag-proposal-chips';
+            for (const suggestion of proposal.suggestions) {
+                const chip = UI._createTagChip(suggestion);
+                chip.classList.toggle('rejected', !proposal.accepted.has(suggestion.tag));
+                chip.addEventListener('click', () => {
+                    onToggle(index, suggestion.tag);
+                    chip.classList.toggle('rejected', !proposal.accepted.has(suggestion.tag));
+                });
+                chips.appendChild(chip);
+            }
+            body.appendChild(chips);
+            row.appendChild(body);
+
+            container.appendChild(row);
+        });
+    },
+
+    _formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes} B`;
+    },
+
+    _formatDate(ms) {
+        if (!ms) return '';
+        return new Date(ms).toLocaleDateString();
+    },
+
     /**
      * Show loading indicator
      */
@@ -163,7 +1241,7 @@ const UI = {
     /**
      * Show indexing progress bar
      */
-    showIndexingProgress(current, total, phase) {
+    showIndexingProgress(current, total, phase, refreshed) {
         const bar = document.getElementById('indexing-bar');
         const progress = document.getElementById('indexing-progress');
         const text = document.getElementById('indexing-text');
@@ -172,7 +1250,7 @@ const UI = {
         const pct = total > 0 ? Math.round((current / total) * 100) : 0;
         progress.style.width = `${pct}%`;
         const label = phase === 'clip' ? 'AI indexing' : 'Indexing';
-        text.textContent = `${label}: ${current}/${total}`;
+        text.textContent = `${label}: ${current}/${total}` + (refreshed ? ` (${refreshed} changed)` : '');
     },
 
     /**
@@ -211,7 +1289,14 @@ const UI = {
     initPreviewOverlay() {
         const overlay = document.getElementById('preview-overlay');
 
+        // Video controls must not close the preview
+        document.getElementById('preview-video').addEventListener('click', (e) => e.stopPropagation());
+
         overlay.addEventListener('click', (e) => {
+            if (UI._cropDragged) {
+                UI._cropDragged = false;
+                return;
+            }
             if (UI._previewClickTimer) {
                 // Double click on preview -> navigate to item
                 clearTimeout(UI._previewClickTimer);
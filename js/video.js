@@ -0,0 +1,256 @@
+/**
+ * video.js - Video indexing by keyframe sampling
+ * Videos are indexed from FRAME_COUNT frames grabbed at evenly spaced times
+ * (seek an HTMLVideoElement, draw the frame to a canvas). Frames are handed
+ * to Hasher and Embedder as JPEG data URLs, so they go through the same
+ * pipelines as image files.
+ *
+ * The middle frame stands for the whole video: its hashes, colours and
+ * embedding fill the usual entry fields, so the hash and ANN indexes,
+ * duplicates and tag suggestions work unchanged. Every frame is also kept:
+ * `frameTimes` (seconds), `frameHashes` (pHashes back to back) and, from
+ * phase 2, `frameEmbeddings` (back to back) with the model in `frameModel`.
+ * Phase 2 reuses phase 1's frames while they are kept, or grabs the recorded
+ * frameTimes again. A video scores by its best frame (bestFrame); results
+ * carry that frame's time so the preview can open the video at it.
+ */
+
+const Video = {
+
+    EXTENSIONS: new Set(['mp4', 'webm', 'mov', 'm4v']),
+    FRAME_COUNT: 8,
+    FRAME_SIZE: 512,         // longest side of a grabbed frame
+    LOAD_TIMEOUT: 30000,     // for loading and seeking through one video
+    KEPT_FRAMES: 32,         // videos whose phase 1 frames are kept for phase 2
+
+    _kept: new Map(),        // file path -> frames grabbed in phase 1, oldest first
+
+    isVideoType(ext) {
+        if (!ext) return false;
+        return Video.EXTENSIONS.has(ext.toLowerCase());
+    },
+
+    /**
+     * Whether a cache entry was indexed from video frames
+     */
+    isVideoEntry(entry) {
+        return !!(entry && entry.frameTimes && entry.frameTimes.length > 0);
+    },
+
+    /**
+     * Index of the frame that stands for the whole video
+     */
+    posterIndex(frameCount) {
+        return Math.floor(frameCount / 2);
+    },
+
+    /**
+     * Grab frames of a video, FRAME_COUNT evenly spaced ones unless times are given
+     * @param {string} filePath - Video file
+     * @param {number[]} [times] - Seconds to grab (e.g. an entry's frameTimes)
+     * @returns {Promise<Array<{time: number, url: string}>>} JPEG data URLs in time order;
+     *   one frame for videos without a known duration
+     */
+    sampleFrames(filePath, times) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.muted = true;
+            video.preload = 'auto';
+            const frames = [];
+
+            const finish = (err) => {
+                clearTimeout(timeout);
+                video.onloadedmetadata = null;
+                video.onseeked = null;
+                video.onerror = null;
+                // Release the decoder
+                video.removeAttribute('src');
+                video.load();
+                if (err) reject(err);
+                else resolve(frames);
+            };
+            const timeout = setTimeout(() => finish(new Error('Video load timeout')), Video.LOAD_TIMEOUT);
+
+            const next = () => {
+                if (frames.length === times.length) {
+                    finish();
+                    return;
+                }
+                video.currentTime = times[frames.length];
+            };
+
+            video.onloadedmetadata = () => {
+                const duration = video.duration;
+                const count = Video.FRAME_COUNT;
+                if (!times || times.length === 0) {
+                    times = (isFinite(duration) && duration > 0)
+                        ? Array.from({ length: count }, (_, i) => (i + 0.5) * duration / count)
+                        : [0];
+                }
+                next();
+            };
+
+            video.onseeked = () => {
+                try {
+                    const scale = Math.min(1, Video.FRAME_SIZE / Math.max(video.videoWidth, video.videoHeight));
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.max(1, Math.round(video.videoWidth * scale));
+                    canvas.height = Math.max(1, Math.round(video.videoHeight * scale));
+                    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+                    frames.push({
+                        time: Math.round(times[frames.length] * 100) / 100,
+                        url: canvas.toDataURL('image/jpeg', 0.9)
+                    });
+                    next();
+                } catch (err) {
+                    finish(err);
+                }
+            };
+
+            video.onerror = () => finish(new Error(`Failed to load: ${filePath}`));
+            video.src = Hasher.filePathToURL(filePath);
+        });
+    },
+
+    /**
+     * Phase 1 features of a video: the middle frame's hashes and colours, plus every frame's pHash
+     * @returns {Promise<Object>} Hasher.computeHashes fields + { frameTimes, frameHashes }
+     */
+    async computeHashes(filePath) {
+        const frames = await Video.sampleFrames(filePath);
+        Video._keepFrames(filePath, frames);
+        const poster = Video.posterIndex(frames.length);
+        const hashes = await Hasher.computeHashes(frames[poster].url);
+        const words = hashes.pHash.length;
+        const frameHashes = new Uint32Array(words * frames.length);
+        for (let i = 0; i < frames.length; i++) {
+            frameHashes.set(i === poster ? hashes.pHash : await Hasher.computePHash(frames[i].url), i * words);
+        }
+        return { ...hashes, frameTimes: frames.map(frame => frame.time), frameHashes };
+    },
+
+    /**
+     * Phase 2 features of a video: every frame's embedding
+     * Uses the frames phase 1 grabbed when they are still kept, else grabs the
+     * same times again so frame embeddings line up with frameHashes.
+     * @param {number[]} [times] - The entry's frameTimes
+     * @returns {Promise<{embedding: number[], frameEmbeddings: number[]}>} embedding is the middle frame's
+     */
+    async computeEmbeddings(filePath, times) {
+        const frames = Video._takeFrames(filePath, times) || await Video.sampleFrames(filePath, times);
+        const embeddings = [];
+        for (const frame of frames) {
+            embeddings.push(await Embedder.computeEmbedding(frame.url));
+        }
+        const frameEmbeddings = [];
+        for (const embedding of embeddings) {
+            for (let i = 0; i < embedding.length; i++) frameEmbeddings.push(embedding[i]);
+        }
+        return { embedding: embeddings[Video.posterIndex(frames.length)], frameEmbeddings };
+    },
+
+    /**
+     * Keep a video's phase 1 frames for phase 2, dropping the oldest past KEPT_FRAMES
+     */
+    _keepFrames(filePath, frames) {
+        Video._kept.delete(filePath);
+        Video._kept.set(filePath, frames);
+        while (Video._kept.size > Video.KEPT_FRAMES) {
+            Video._kept.delete(Video._kept.keys().next().value);
+        }
+    },
+
+    /**
+     * Frames kept from phase 1, removing them; null unless they were grabbed at the given times
+     */
+    _takeFrames(filePath, times) {
+        const frames = Video._kept.get(filePath);
+        if (!frames) return null;
+        Video._kept.delete(filePath);
+        if (times && (times.length !== frames.length || frames.some((frame, i) => frame.time !== times[i]))) {
+            return null;
+        }
+        return frames;
+    },
+
+    /**
+     * An entry as seen from one of its frames, for scoring
+     * The middle frame is the entry itself; other frames swap in their pHash and,
+     * when they are from the entry's model, their embedding.
+     */
+    frameView(entry, index) {
+        const count = entry.frameTimes.length;
+        if (index === Video.posterIndex(count)) return entry;
+
+        const view = {
+            ...entry,
+            variantHashes: null,
+            cropHash: null,
+            extraHashes: null,
+            extraHashAlgorithms: null,
+            tileEmbeddings: null
+        };
+        if (entry.frameHashes && entry.frameHashes.length % count === 0) {
+            const words = entry.frameHashes.length / count;
+            view.pHash = entry.frameHashes.subarray(index * words, (index + 1) * words);
+        }
+        const frames = entry.frameEmbeddings;
+        if (frames && entry.embedding && entry.frameModel === Similarity.modelOf(entry) &&
+            frames.length === entry.embedding.length * count) {
+            const dim = entry.embedding.length;
+            view.embedding = frames.subarray
+                ? frames.subarray(index * dim, (index + 1) * dim)
+                : frames.slice(index * dim, (index + 1) * dim);
+        }
+        return view;
+    },
+
+    /**
+     * The frame of a video entry that scores best against a query
+     * Frames share the poster's colours, so the colour part is scored once and
+     * only pHash and embedding vary; colour and palette modes score the poster alone.
+     * @returns {{index: number, score: number}}
+     */
+    bestFrame(queryData, entry, mode) {
+        const poster = Video.posterIndex(entry.frameTimes.length);
+        if (mode === Similarity.MODE_COLOR || mode === Similarity.MODE_PALETTE) {
+            return { index: poster, score: Similarity.combinedScore(queryData, entry, mode) };
+        }
+
+        const color = (mode === Similarity.MODE_CLIP || mode === Similarity.MODE_STRUCTURE)
+            ? undefined : Similarity.colorScore(queryData, entry);
+        let best = null;
+        for (let i = 0; i < entry.frameTimes.length; i++) {
+            const score = Similarity.combinedScore(queryData, Video.frameView(entry, i), mode, color);
+            if (!best || score > best.score) best = { index: i, score };
+        }
+        return best;
+    },
+
+    /**
+     * Apply a transform (e.g. whitening) to every frame of a flat frame embedding vector
+     * @param {Function} transform - (vector) => vector
+     */
+    mapFrames(frameEmbeddings, frameCount, transform) {
+        const dim = frameEmbeddings.length / frameCount;
+        const out = [];
+        for (let f = 0; f < frameCount; f++) {
+            const frame = Array.from(frameEmbeddings.slice(f * dim, (f + 1) * dim));
+            const mapped = transform(frame);
+            for (let i = 0; i < mapped.length; i++) out.push(mapped[i]);
+        }
+        return out;
+    },
+
+    /**
+     * Seconds as m:ss (h:mm:ss from an hour)
+     */
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const h = Math.floor(total / 3600), m = Math.floor(total / 60) % 60, s = total % 60;
+        const ss = String(s).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+    }
+};
+
+window.Video = Video;
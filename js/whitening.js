@@ -0,0 +1,313 @@
+/**
+ * whitening.js - Optional PCA whitening of embeddings
+ * Fitted on the library's own vectors: subtract the mean, project onto the
+ * top principal components and scale each by 1/sqrt(eigenvalue), so that
+ * dominant, library-wide directions stop drowning out the distinctive ones.
+ *
+ * Whitened embeddings are recorded under their own model ID (base model +
+ * fit ID), so they are never compared with raw vectors. The transform is
+ * lossy - turning whitening off means re-embedding.
+ * Persisted next to the binary cache as whitening.json + whitening.bin.
+ */
+
+// fs, nodePath already declared in cache.js (shared global scope)
+
+const Whitening = {
+
+    VERSION: 1,
+    COMPONENTS: 128,
+    MIN_SAMPLES: 500,
+    MAX_SAMPLES: 2000,
+    ITERATIONS: 15,
+    EPSILON: 1e-6,
+
+    _enabled: false,
+    _params: null,   // { id, baseModel, dim, k, mean, scales, components }
+    _fitting: false,
+    _dirty: false,
+
+    setEnabled(enabled) {
+        Whitening._enabled = !!enabled;
+    },
+
+    isEnabled() {
+        return Whitening._enabled;
+    },
+
+    isFitting() {
+        return Whitening._fitting;
+    },
+
+    /**
+     * Whether a fit exists for a base model
+     */
+    hasParamsFor(baseModelId) {
+        return !!(Whitening._params && Whitening._params.baseModel === baseModelId);
+    },
+
+    /**
+     * Whether embeddings of a base model should be whitened right now
+     */
+    isActive(baseModelId) {
+        return Whitening._enabled && !Whitening._fitting && Whitening.hasParamsFor(baseModelId);
+    },
+
+    /**
+     * Model ID recorded for whitened embeddings
+     */
+    getModelId() {
+        return Whitening._params ? Whitening._params.id : null;
+    },
+
+    /**
+     * Fit PCA whitening on raw embeddings of one model
+     * Covariance from a sample, then subspace iteration for the top components.
+     * Yields to the event loop regularly - this takes a few seconds.
+     * @param {Array<number[]>} vectors - L2-normalized raw embeddings
+     * @param {string} baseModelId - Model that produced them
+     */
+    async fit(vectors, baseModelId) {
+        if (Whitening._fitting) return false;
+        if (vectors.length < Whitening.MIN_SAMPLES) return false;
+        Whitening._fitting = true;
+
+        try {
+            const dim = vectors[0].length;
+            const k = Math.min(Whitening.COMPONENTS, dim);
+            const sample = vectors.length > Whitening.MAX_SAMPLES
+                ? Whitening._sample(vectors, Whitening.MAX_SAMPLES)
+                : vectors;
+            const n = sample.length;
+            console.log(`Whitening: Fitting ${k} components on ${n} vectors`);
+
+            const mean = new Float64Array(dim);
+            for (const vec of sample) {
+                for (let i = 0; i < dim; i++) mean[i] += vec[i];
+            }
+            for (let i = 0; i < dim; i++) mean[i] /= n;
+
+            // Covariance (upper triangle, mirrored afterwards)
+            const cov = new Float64Array(dim * dim);
+            const centered = new Float64Array(dim);
+            for (let s = 0; s < n; s++) {
+                const vec = sample[s];
+                for (let i = 0; i < dim; i++) centered[i] = vec[i] - mean[i];
+                for (let i = 0; i < dim; i++) {
+                    const ci = centered[i];
+                    if (ci === 0) continue;
+                    const row = i * dim;
+                    for (let j = i; j < dim; j++) cov[row + j] += ci * centered[j];
+                }
+                if (s % 100 === 99) await new Promise(r => setTimeout(r, 0));
+            }
+            for (let i = 0; i < dim; i++) {
+                for (let j = i; j < dim; j++) {
+                    const v = cov[i * dim + j] / n;
+                    cov[i * dim + j] = v;
+                    cov[j * dim + i] = v;
+                }
+            }
+
+            // Subspace iteration: Q <- orth(C Q)
+            let q = new Float64Array(k * dim);
+            for (let i = 0; i < q.length; i++) q[i] = Math.random() - 0.5;
+            Whitening._orthonormalize(q, k, dim);
+
+            for (let iter = 0; iter < Whitening.ITERATIONS; iter++) {
+                q = Whitening._multiply(cov, q, k, dim);
+                Whitening._orthonormalize(q, k, dim);
+                await new Promise(r => setTimeout(r, 0));
+            }
+
+            // Eigenvalues (Rayleigh quotients), strongest first
+            const cq = Whitening._multiply(cov, q, k, dim);
+            const order = [];
+            for (let c = 0; c < k; c++) {
+                let lambda = 0;
+                for (let i = 0; i < dim; i++) lambda += q[c * dim + i] * cq[c * dim + i];
+                order.push({ c, lambda: Math.max(0, lambda) });
+            }
+            order.sort((a, b) => b.lambda - a.lambda);
+
+            const components = new Float32Array(k * dim);
+            const scales = new Float32Array(k);
+            order.forEach((o, r) => {
+                for (let i = 0; i < dim; i++) components[r * dim + i] = q[o.c * dim + i];
+                scales[r] = 1 / Math.sqrt(o.lambda + Whitening.EPSILON);
+            });
+
+            Whitening._params = {
+                id: `${baseModelId}+pca${k}-${Date.now().toString(36)}`,
+                baseModel: baseModelId,
+                dim,
+                k,
+                mean: Float32Array.from(mean),
+                scales,
+                components
+            };
+            Whitening._dirty = true;
+            console.log('Whitening: Fit complete,', Whitening._params.id);
+            return true;
+        } finally {
+            Whitening._fitting = false;
+        }
+    },
+
+    _sample(vectors, count) {
+        const copy = vectors.slice();
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy.slice(0, count);
+    },
+
+    /**
+     * Rows of q (k x dim) times the symmetric matrix C (dim x dim)
+     */
+    _multiply(cov, q, k, dim) {
+        const out = new Float64Array(k * dim);
+        for (let c = 0; c < k; c++) {
+            const base = c * dim;
+            for (let i = 0; i < dim; i++) {
+                const qi = q[base + i];
+                if (qi === 0) continue;
+                const row = i * dim;
+                for (let j = 0; j < dim; j++) out[base + j] += qi * cov[row + j];
+            }
+        }
+        return out;
+    },
+
+    /**
+     * Modified Gram-Schmidt over the k rows of q
+     */
+    _orthonormalize(q, k, dim) {
+        for (let c = 0; c < k; c++) {
+            const base = c * dim;
+            for (let p = 0; p < c; p++) {
+                const pb = p * dim;
+                let dot = 0;
+                for (let i = 0; i < dim; i++) dot += q[base + i] * q[pb + i];
+                for (let i = 0; i < dim; i++) q[base + i] -= dot * q[pb + i];
+            }
+            let norm = 0;
+            for (let i = 0; i < dim; i++) norm += q[base + i] * q[base + i];
+            norm = Math.sqrt(norm) || 1;
+            for (let i = 0; i < dim; i++) q[base + i] /= norm;
+        }
+    },
+
+    /**
+     * Whiten one raw embedding
+     * @returns {number[]} L2-normalized k-dim vector
+     */
+    transform(vec) {
+        const p = Whitening._params;
+        const out = new Array(p.k);
+        for (let c = 0; c < p.k; c++) {
+            const base = c * p.dim;
+            let dot = 0;
+            for (let i = 0; i < p.dim; i++) dot += p.components[base + i] * (vec[i] - p.mean[i]);
+            out[c] = dot * p.scales[c];
+        }
+        return Embedder.l2Normalize(out);
+    },
+
+    /**
+     * Whiten, in place, every cached raw embedding of the base model
+     * Cheaper than re-embedding - no images are read.
+     * @returns {number} Number of entries converted
+     */
+    applyToCache(cacheItems, baseModelId) {
+        if (!Whitening.isActive(baseModelId)) return 0;
+        const p = Whitening._params;
+        let converted = 0;
+        for (const id of Object.keys(cacheItems)) {
+            const cached = cacheItems[id];
+            const update = {};
+            if (cached.embedding && cached.embedding.length === p.dim &&
+                Similarity.modelOf(cached) === baseModelId) {
+                update.embedding = Whitening.transform(cached.embedding);
+                update.embeddingModel = p.id;
+            }
+            // Tiles (see tiles.js) are whitened alongside, each tile on its own
+            if (cached.tileEmbeddings && cached.tileModel === baseModelId &&
+                cached.tileEmbeddings.length === p.dim * Tiles.REGIONS.length) {
+                update.tileEmbeddings = Tiles.map(cached.tileEmbeddings, Whitening.transform);
+                update.tileModel = p.id;
+            }
+            // So are video frames (see video.js)
+            if (cached.frameEmbeddings && cached.frameModel === baseModelId && Video.isVideoEntry(cached) &&
+                cached.frameEmbeddings.length === p.dim * cached.frameTimes.length) {
+                update.frameEmbeddings = Video.mapFrames(cached.frameEmbeddings, cached.frameTimes.length, Whitening.transform);
+                update.frameModel = p.id;
+            }
+            if (Object.keys(update).length === 0) continue;
+            Cache.setHash(id, { ...cached, ...update });
+            converted++;
+        }
+        if (converted > 0) console.log(`Whitening: Whitened ${converted} cached embeddings`);
+        return converted;
+    },
+
+    /**
+     * Load a persisted fit from the cache directory
+     */
+    load(dir) {
+        Whitening._params = null;
+        Whitening._dirty = false;
+        try {
+            const metaPath = nodePath.join(dir, 'whitening.json');
+            if (!fs.existsSync(metaPath)) return;
+            const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+            if (meta.version !== Whitening.VERSION) return;
+
+            const raw = fs.readFileSync(nodePath.join(dir, 'whitening.bin'));
+            const buf = raw.buffer.slice(raw.byteOffset, raw.byteOffset + raw.byteLength);
+            const { dim, k } = meta;
+            Whitening._params = {
+                id: meta.id,
+                baseModel: meta.baseModel,
+                dim,
+                k,
+                mean: new Float32Array(buf, 0, dim),
+                scales: new Float32Array(buf, dim * 4, k),
+                components: new Float32Array(buf, (dim + k) * 4, k * dim)
+            };
+        } catch (e) {
+            console.warn('Whitening: Failed to load:', e.message);
+            Whitening._params = null;
+        }
+    },
+
+    /**
+     * Persist the fit if it changed since the last save, or its files went missing
+     */
+    save(dir) {
+        if (!Whitening._params) return;
+        const binPath = nodePath.join(dir, 'whitening.bin');
+        const metaPath = nodePath.join(dir, 'whitening.json');
+        if (!Whitening._dirty && fs.existsSync(binPath) && fs.existsSync(metaPath)) return;
+        try {
+            const p = Whitening._params;
+            const packed = new Float32Array(p.dim + p.k + p.k * p.dim);
+            packed.set(p.mean, 0);
+            packed.set(p.scales, p.dim);
+            packed.set(p.components, p.dim + p.k);
+            Store._writeAtomic(binPath, Buffer.from(packed.buffer));
+            Store._writeAtomic(metaPath, JSON.stringify({
+                version: Whitening.VERSION,
+                id: p.id,
+                baseModel: p.baseModel,
+                dim: p.dim,
+                k: p.k
+            }));
+            Whitening._dirty = false;
+        } catch (e) {
+            console.warn('Whitening: Failed to save:', e.message);
+        }
+    }
+};
+
+window.Whitening = Whitening;